@@ -0,0 +1,136 @@
+// analyticSignal.js - Analytic signal via the FFT Hilbert transform
+//
+// The analytic signal z = x + i·H{x} keeps a real signal's positive
+// frequencies (doubled) and drops the negative ones. Its magnitude is the
+// amplitude envelope, its angle the instantaneous phase, and the phase's rate
+// of change the instantaneous frequency.
+//
+// Band-limited analytic signals split the spectrum into constant-Q bands on
+// the CQT grid (see CQT.js). Each band is a raised cosine in log frequency
+// reaching to its neighbours' centers, so adjacent bands sum to the full
+// signal.
+
+import { FFT } from '../FFT/FFT.js';
+
+export class AnalyticSignal {
+    constructor(size) {
+        this.size = size;
+        this.realPlan = FFT.realPlan(size);
+        this.plan = FFT.plan(size);
+        this.spectrumRe = new Float64Array(this.realPlan.binCount);
+        this.spectrumIm = new Float64Array(this.realPlan.binCount);
+    }
+
+    /**
+     * setSignal(samples, offset = 0)
+     * Takes the spectrum of samples[offset, offset + size). full() and band()
+     * then derive analytic signals from it without another forward FFT.
+     */
+    setSignal(samples, offset = 0) {
+        const frame = offset === 0 && samples.length === this.size
+            ? samples
+            : samples.subarray(offset, offset + this.size);
+        this.realPlan.forward(frame, this.spectrumRe, this.spectrumIm);
+    }
+
+    /**
+     * full(outRe, outIm)
+     * Analytic signal of the whole frame; outRe reproduces the input.
+     */
+    full(outRe, outIm) {
+        const n = this.size;
+        const half = this.realPlan.binCount - 1;
+        outRe.fill(0);
+        outIm.fill(0);
+        outRe[0] = this.spectrumRe[0];
+        outIm[0] = this.spectrumIm[0];
+        for (let k = 1; k < half; k++) {
+            outRe[k] = 2 * this.spectrumRe[k];
+            outIm[k] = 2 * this.spectrumIm[k];
+        }
+        // Odd sizes have no Nyquist bin; their last bin is an ordinary one
+        const nyquistGain = n % 2 === 0 ? 1 : 2;
+        outRe[half] = nyquistGain * this.spectrumRe[half];
+        outIm[half] = nyquistGain * this.spectrumIm[half];
+        this.plan.inverse(outRe, outIm);
+    }
+
+    /**
+     * band(centerFreq, binsPerOctave, sampleRate, outRe, outIm)
+     * Analytic signal of the constant-Q band around centerFreq, 1/binsPerOctave
+     * octave from each neighbouring center.
+     */
+    band(centerFreq, binsPerOctave, sampleRate, outRe, outIm) {
+        outRe.fill(0);
+        outIm.fill(0);
+        this._forBandBins(centerFreq, binsPerOctave, sampleRate, (k, gain) => {
+            outRe[k] = 2 * gain * this.spectrumRe[k];
+            outIm[k] = 2 * gain * this.spectrumIm[k];
+        });
+        this.plan.inverse(outRe, outIm);
+    }
+
+    /**
+     * bandPower(centerFreq, binsPerOctave, sampleRate)
+     * Spectral power in the band band() would extract, to pick bands without
+     * an inverse transform each.
+     */
+    bandPower(centerFreq, binsPerOctave, sampleRate) {
+        let power = 0;
+        this._forBandBins(centerFreq, binsPerOctave, sampleRate, (k, gain) => {
+            const re = this.spectrumRe[k];
+            const im = this.spectrumIm[k];
+            power += gain * gain * (re * re + im * im);
+        });
+        return power;
+    }
+
+    // Calls fn(bin, gain) for each FFT bin inside the band
+    _forBandBins(centerFreq, binsPerOctave, sampleRate, fn) {
+        const binHz = sampleRate / this.size;
+        const low = centerFreq * 2 ** (-1 / binsPerOctave);
+        const high = centerFreq * 2 ** (1 / binsPerOctave);
+        const first = Math.max(1, Math.ceil(low / binHz));
+        const last = Math.min(this.realPlan.binCount - 1, Math.floor(high / binHz));
+        for (let k = first; k <= last; k++) {
+            // Distance from the center in bands: 0 at the center, ±1 at the neighbours
+            const d = binsPerOctave * Math.log2((k * binHz) / centerFreq);
+            const c = Math.cos((Math.PI / 2) * d);
+            fn(k, c * c);
+        }
+    }
+}
+
+/**
+ * envelope(re, im, out)
+ * Amplitude envelope |z|.
+ */
+export function envelope(re, im, out) {
+    for (let i = 0; i < out.length; i++) out[i] = Math.hypot(re[i], im[i]);
+    return out;
+}
+
+/**
+ * instantaneousPhase(re, im, out)
+ * Wrapped phase arg(z) in (-π, π].
+ */
+export function instantaneousPhase(re, im, out) {
+    for (let i = 0; i < out.length; i++) out[i] = Math.atan2(im[i], re[i]);
+    return out;
+}
+
+/**
+ * instantaneousFrequency(re, im, sampleRate, out)
+ * Phase advance from each sample to the next, in Hz. Taken from
+ * z[i]·conj(z[i-1]) so it needs no unwrapping; out[0] repeats out[1].
+ */
+export function instantaneousFrequency(re, im, sampleRate, out) {
+    const scale = sampleRate / (2 * Math.PI);
+    for (let i = 1; i < out.length; i++) {
+        const dRe = re[i] * re[i - 1] + im[i] * im[i - 1];
+        const dIm = im[i] * re[i - 1] - re[i] * im[i - 1];
+        out[i] = Math.atan2(dIm, dRe) * scale;
+    }
+    if (out.length > 1) out[0] = out[1];
+    return out;
+}
@@ -0,0 +1,455 @@
+// AnalyticVisualizer.js - Analytic signal: complex plane, envelope, instantaneous frequency and phase
+//
+// The left square plots the analytic signal in the complex plane (a steady
+// tone is a circle). On the right, stacked over the same stretch of time: the
+// waveform with its ± envelope, the instantaneous frequency on a log axis and
+// the wrapped instantaneous phase.
+//
+// In constant-Q band mode the signal is split into bands on the CQT grid and
+// the strongest few bands (local maxima, so one tone is one band) are drawn
+// each in their own color.
+
+import { AnalyticSignal, envelope, instantaneousPhase, instantaneousFrequency } from '../AnalyticSignal/analyticSignal.js';
+import { cqtFrequencies, noteName } from '../CQT/CQT.js';
+import { channelModes, channelColors, deriveChannels } from '../channelModes/channelModes.js';
+import { makeSelect, makeRow } from '../controlPanel/settingsControls.js';
+
+const MIN_FREQ = 20;
+// Samples whose envelope is below this fraction of the window's peak have no
+// meaningful frequency and are left out of the frequency plot
+const FREQUENCY_GATE = 0.05;
+
+export class AnalyticVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+        this.isRunning = false;
+        this.subscription = null;
+        this.sampleRate = 44100;
+
+        this.channelMode = 'mono';
+        this.mode = 'single';
+        // Samples shown; the analysis runs over twice as many and shows the
+        // middle, away from the frame edges the FFT wraps around
+        this.windowSize = 2048;
+        this.binsPerOctave = 12;
+        this.bandCount = 3;
+        this.tuning = 440;
+
+        // Peak envelope, decaying slowly, scales the plots
+        this.displayPeak = 0;
+        this.hasNewSamples = false;
+        this.traces = [];
+        this._allocate();
+        this.setupUI();
+    }
+
+    setupUI() {
+
+        const row = makeRow(this.settingsDiv);
+        makeSelect(row, 'Channel: ',
+            Object.keys(channelModes).filter(m => !channelModes[m].allChannels).map(m => [m, channelModes[m].label]),
+            this.channelMode, (value) => {
+                this.channelMode = value;
+            });
+        makeSelect(row, 'Window: ', [1024, 2048, 4096, 8192].map(n => [n, `${n}`]), this.windowSize, (value) => {
+            this.windowSize = value;
+            this._allocate();
+        });
+
+        const bandRow = makeRow(this.settingsDiv);
+        const bandSelects = [];
+        makeSelect(bandRow, 'Mode: ', [['single', 'Single (full band)'], ['bands', 'Constant-Q bands']], this.mode,
+            (value) => {
+                this.mode = value;
+                this.hasNewSamples = true;
+                for (const select of bandSelects) select.parentElement.style.display = value === 'bands' ? '' : 'none';
+            });
+        bandSelects.push(makeSelect(bandRow, 'Bins/octave: ', [12, 24, 36].map(n => [n, `${n}`]), this.binsPerOctave,
+            (value) => {
+                this.binsPerOctave = value;
+                this.hasNewSamples = true;
+            }));
+        bandSelects.push(makeSelect(bandRow, 'Bands: ', [1, 2, 3, 4, 6].map(n => [n, `${n}`]), this.bandCount,
+            (value) => {
+                this.bandCount = value;
+                this.hasNewSamples = true;
+            }));
+        for (const select of bandSelects) select.parentElement.style.display = this.mode === 'bands' ? '' : 'none';
+    }
+
+    _allocate() {
+        const n = 2 * this.windowSize;
+        this.history = new Float32Array(n);
+        this.analytic = new AnalyticSignal(n);
+        this.workRe = new Float64Array(n);
+        this.workIm = new Float64Array(n);
+        this.traces = [];
+        this.hasNewSamples = true;
+    }
+
+    _start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.subscription = this.audioSource.subscribe();
+        this.renderLoop();
+    }
+
+    _stop() {
+        this.isRunning = false;
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+            this.subscription = null;
+        }
+    }
+
+    renderLoop() {
+        if (!this.isRunning) return;
+        this.processSamples();
+        if (this.hasNewSamples) {
+            this._analyze();
+            this.hasNewSamples = false;
+        }
+        this.draw();
+        requestAnimationFrame(() => this.renderLoop());
+    }
+
+    processSamples() {
+        const samples = this.subscription.pullAllSamples();
+        if (!samples || samples.length === 0) return;
+        this.sampleRate = this.subscription.sampleRate || this.sampleRate;
+        const [signal] = deriveChannels(samples, this.channelMode);
+
+        // Silence stands in for dropped blocks so the history keeps its timing
+        let pushed = 0;
+        for (const gap of this.subscription.gaps) {
+            this._push(signal.subarray(pushed, gap.offset));
+            this._push(new Float32Array(Math.min(gap.missingFrames, this.history.length)));
+            pushed = gap.offset;
+        }
+        this._push(signal.subarray(pushed));
+        this.hasNewSamples = true;
+    }
+
+    _push(samples) {
+        const history = this.history;
+        const count = samples.length;
+        if (count >= history.length) {
+            history.set(samples.subarray(count - history.length));
+            return;
+        }
+        history.copyWithin(0, count);
+        history.set(samples, history.length - count);
+    }
+
+    // Each trace is one analytic signal over the shown window:
+    // { re, im, env, freq, phase, color, label }
+    _analyze() {
+        this.analytic.setSignal(this.history);
+        const sampleRate = this.sampleRate;
+        const bands = [];
+        if (this.mode === 'single') {
+            bands.push({ center: null, color: channelColors[0], label: 'Full band' });
+        } else {
+            this._strongestBands().forEach((center, i) => {
+                bands.push({ center, color: channelColors[i % channelColors.length], label: noteName(center, this.tuning).name });
+            });
+        }
+
+        const begin = this.windowSize / 2;
+        const end = begin + this.windowSize;
+        this.traces = bands.map(({ center, color, label }) => {
+            if (center === null) {
+                this.analytic.full(this.workRe, this.workIm);
+            } else {
+                this.analytic.band(center, this.binsPerOctave, sampleRate, this.workRe, this.workIm);
+            }
+            const re = Float32Array.from(this.workRe.subarray(begin, end));
+            const im = Float32Array.from(this.workIm.subarray(begin, end));
+            const n = this.windowSize;
+            return {
+                re,
+                im,
+                env: envelope(re, im, new Float32Array(n)),
+                freq: instantaneousFrequency(re, im, sampleRate, new Float32Array(n)),
+                phase: instantaneousPhase(re, im, new Float32Array(n)),
+                color,
+                label
+            };
+        });
+
+        let peak = 0;
+        for (let i = begin; i < end; i++) peak = Math.max(peak, Math.abs(this.history[i]));
+        for (const trace of this.traces) {
+            for (let i = 0; i < trace.env.length; i++) peak = Math.max(peak, trace.env[i]);
+        }
+        this.displayPeak = Math.max(peak, this.displayPeak * 0.95, 1e-4);
+    }
+
+    // Centers of the strongest bands that are louder than both neighbours
+    _strongestBands() {
+        const nyquist = this.sampleRate / 2;
+        const centers = cqtFrequencies({
+            binsPerOctave: this.binsPerOctave,
+            minFreq: MIN_FREQ * 2 ** (1 / this.binsPerOctave),
+            maxFreq: nyquist * 2 ** (-1 / this.binsPerOctave),
+            tuning: this.tuning
+        });
+        const powers = centers.map(center => this.analytic.bandPower(center, this.binsPerOctave, this.sampleRate));
+        const peaks = [];
+        for (let k = 0; k < centers.length; k++) {
+            const left = k > 0 ? powers[k - 1] : 0;
+            const right = k < centers.length - 1 ? powers[k + 1] : 0;
+            if (powers[k] > 0 && powers[k] >= left && powers[k] > right) peaks.push(k);
+        }
+        peaks.sort((a, b) => powers[b] - powers[a]);
+        return peaks.slice(0, this.bandCount).sort((a, b) => a - b).map(k => centers[k]);
+    }
+
+    draw() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        if (width <= 0 || height <= 0) return;
+
+        const planeSize = Math.min(height, Math.floor(width * 0.4));
+        this._drawComplexPlane(0, 0, planeSize);
+
+        const left = planeSize + 8;
+        const plotWidth = width - left;
+        if (plotWidth <= 20) return;
+        const laneHeight = height / 3;
+        this._drawWaveform(left, 0, plotWidth, laneHeight);
+        this._drawFrequency(left, laneHeight, plotWidth, laneHeight);
+        this._drawPhase(left, 2 * laneHeight, plotWidth, laneHeight);
+    }
+
+    _drawFrame(x, y, width, height, title) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(title, x + 4, y + 3);
+    }
+
+    _drawComplexPlane(x, y, size) {
+        const ctx = this.ctx;
+        const center = size / 2;
+        const radius = (size / 2) * 0.9;
+        const scale = radius / this.displayPeak;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(x + center, y + center, radius, 0, 2 * Math.PI);
+        ctx.moveTo(x + center - radius, y + center);
+        ctx.lineTo(x + center + radius, y + center);
+        ctx.moveTo(x + center, y + center - radius);
+        ctx.lineTo(x + center, y + center + radius);
+        ctx.stroke();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('Re', x + size - 4, y + center - 2);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText('Im', x + center + 4, y + 4);
+
+        for (const trace of this.traces) {
+            ctx.strokeStyle = trace.color;
+            ctx.globalAlpha = 0.7;
+            ctx.beginPath();
+            for (let i = 0; i < trace.re.length; i++) {
+                const px = x + center + trace.re[i] * scale;
+                const py = y + center - trace.im[i] * scale;
+                if (i === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            }
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+
+        // Legend with each trace's mean frequency
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        this.traces.forEach((trace, i) => {
+            const freq = this._meanFrequency(trace);
+            let text = trace.label;
+            if (freq > 0) {
+                const { name, cents } = noteName(freq, this.tuning);
+                text += `  ${freq.toFixed(1)} Hz (${name} ${cents >= 0 ? '+' : ''}${cents.toFixed(0)}¢)`;
+            }
+            ctx.fillStyle = trace.color;
+            ctx.fillText(text, x + 4, y + size - 14 * (this.traces.length - i) - 2);
+        });
+        ctx.restore();
+    }
+
+    // Envelope-weighted mean of the instantaneous frequency
+    _meanFrequency(trace) {
+        let sum = 0;
+        let weight = 0;
+        for (let i = 0; i < trace.freq.length; i++) {
+            const w = trace.env[i] * trace.env[i];
+            sum += trace.freq[i] * w;
+            weight += w;
+        }
+        return weight > 1e-12 ? sum / weight : 0;
+    }
+
+    _drawWaveform(x, y, width, height) {
+        const ctx = this.ctx;
+        const mid = y + height / 2;
+        const scale = (height / 2) * 0.9 / this.displayPeak;
+        const n = this.windowSize;
+        const begin = this.windowSize / 2;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.clip();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.beginPath();
+        ctx.moveTo(x, mid);
+        ctx.lineTo(x + width, mid);
+        ctx.stroke();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+        ctx.beginPath();
+        for (let i = 0; i < n; i++) {
+            const px = x + (i / (n - 1)) * width;
+            const py = mid - this.history[begin + i] * scale;
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        }
+        ctx.stroke();
+
+        ctx.lineWidth = 1.5;
+        for (const trace of this.traces) {
+            ctx.strokeStyle = trace.color;
+            for (const sign of [1, -1]) {
+                ctx.beginPath();
+                for (let i = 0; i < n; i++) {
+                    const px = x + (i / (n - 1)) * width;
+                    const py = mid - sign * trace.env[i] * scale;
+                    if (i === 0) ctx.moveTo(px, py);
+                    else ctx.lineTo(px, py);
+                }
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+        this._drawFrame(x, y, width, height, 'Waveform and envelope');
+    }
+
+    _drawFrequency(x, y, width, height) {
+        const ctx = this.ctx;
+        const maxFreq = this.sampleRate / 2;
+        const logMin = Math.log10(MIN_FREQ);
+        const logSpan = Math.log10(maxFreq) - logMin;
+        const yFor = (freq) => y + height - ((Math.log10(freq) - logMin) / logSpan) * height;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.clip();
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (const freq of [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000]) {
+            if (freq >= maxFreq) break;
+            const py = Math.round(yFor(freq)) + 0.5;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+            ctx.beginPath();
+            ctx.moveTo(x, py);
+            ctx.lineTo(x + width, py);
+            ctx.stroke();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x + width - 3, py);
+        }
+
+        // One point per column: the envelope-weighted frequency of its samples
+        const n = this.windowSize;
+        for (const trace of this.traces) {
+            let peak = 0;
+            for (let i = 0; i < n; i++) peak = Math.max(peak, trace.env[i]);
+            const gate = peak * FREQUENCY_GATE;
+            ctx.strokeStyle = trace.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let drawing = false;
+            for (let col = 0; col < width; col++) {
+                const from = Math.floor((col / width) * n);
+                const to = Math.max(from + 1, Math.floor(((col + 1) / width) * n));
+                let sum = 0;
+                let weight = 0;
+                for (let i = from; i < to; i++) {
+                    if (trace.env[i] < gate) continue;
+                    sum += trace.freq[i] * trace.env[i];
+                    weight += trace.env[i];
+                }
+                const freq = weight > 0 ? sum / weight : 0;
+                if (freq < MIN_FREQ) {
+                    drawing = false;
+                    continue;
+                }
+                const py = yFor(Math.min(freq, maxFreq));
+                if (drawing) ctx.lineTo(x + col, py);
+                else ctx.moveTo(x + col, py);
+                drawing = true;
+            }
+            ctx.stroke();
+        }
+        ctx.restore();
+        this._drawFrame(x, y, width, height, 'Instantaneous frequency');
+    }
+
+    _drawPhase(x, y, width, height) {
+        const ctx = this.ctx;
+        const mid = y + height / 2;
+        const scale = (height / 2) * 0.9 / Math.PI;
+        const n = this.windowSize;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.clip();
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (const [value, text] of [[Math.PI, 'π'], [0, '0'], [-Math.PI, '-π']]) {
+            const py = Math.round(mid - value * scale) + 0.5;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+            ctx.beginPath();
+            ctx.moveTo(x, py);
+            ctx.lineTo(x + width, py);
+            ctx.stroke();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillText(text, x + width - 3, py);
+        }
+
+        // Dots rather than lines: the wrapped phase jumps by 2π every cycle
+        const step = Math.max(1, Math.floor(n / (2 * width)));
+        for (const trace of this.traces) {
+            let peak = 0;
+            for (let i = 0; i < n; i++) peak = Math.max(peak, trace.env[i]);
+            const gate = peak * FREQUENCY_GATE;
+            ctx.fillStyle = trace.color;
+            for (let i = 0; i < n; i += step) {
+                if (trace.env[i] < gate) continue;
+                ctx.fillRect(x + (i / (n - 1)) * width, mid - trace.phase[i] * scale, 1.5, 1.5);
+            }
+        }
+        ctx.restore();
+        this._drawFrame(x, y, width, height, 'Instantaneous phase');
+    }
+}
@@ -0,0 +1,276 @@
+// BeatGridVisualizer.js - Onset envelope, beats and tempo
+//
+// Shows what the shared RhythmTracker hears: the spectral-flux envelope with
+// its adaptive threshold, a marker per onset and a line per beat, scrolling
+// right to left. The right fifth of the plot is the near future, where the
+// beat grid is projected at the current tempo. The BPM readout pulses on
+// the projected beats.
+
+import { RhythmTracker } from '../Rhythm/RhythmTracker.js';
+import { makeSelect } from '../controlPanel/settingsControls.js';
+
+// Share of the width left for the projected future
+const FUTURE_SHARE = 0.2;
+const MAX_SECONDS = 16;
+
+export class BeatGridVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+
+        this.canvas.close = () => {
+            this._stop();
+        };
+
+        this.secondsShown = 8;
+        this.sensitivity = 1;
+
+        // Envelope as parallel arrays of frames; onset and beat times in seconds
+        this.fluxTimes = [];
+        this.fluxValues = [];
+        this.thresholds = [];
+        this.onsets = [];
+        this.beats = [];
+        this.tempo = null;
+
+        this.tracker = null;
+        this._running = false;
+        this._onFlux = this._onFlux.bind(this);
+        this._onOnset = this._onOnset.bind(this);
+        this._onBeat = this._onBeat.bind(this);
+        this._onTempo = this._onTempo.bind(this);
+        this._renderLoop = this._renderLoop.bind(this);
+        this._createSettingsUI();
+    }
+
+    _createSettingsUI() {
+        makeSelect(this.settingsDiv, 'Shown: ', [4, 8, 16].map(s => [s, `${s} s`]), this.secondsShown, (value) => {
+            this.secondsShown = value;
+        });
+        makeSelect(this.settingsDiv, 'Sensitivity: ', [[0.5, 'Low'], [1, 'Normal'], [1.5, 'High'], [2, 'Very high']], this.sensitivity,
+            (value) => {
+                this.sensitivity = value;
+                if (this._running) this._acquireTracker();
+            });
+    }
+
+    _acquireTracker() {
+        this._releaseTracker();
+        this.tracker = RhythmTracker.acquire(this.audioSource, { sensitivity: this.sensitivity });
+        this.tracker.addEventListener('flux', this._onFlux);
+        this.tracker.addEventListener('onset', this._onOnset);
+        this.tracker.addEventListener('beat', this._onBeat);
+        this.tracker.addEventListener('tempo', this._onTempo);
+        this.tempo = this.tracker.bpm ? { bpm: this.tracker.bpm, confidence: null } : null;
+    }
+
+    _releaseTracker() {
+        if (!this.tracker) return;
+        this.tracker.removeEventListener('flux', this._onFlux);
+        this.tracker.removeEventListener('onset', this._onOnset);
+        this.tracker.removeEventListener('beat', this._onBeat);
+        this.tracker.removeEventListener('tempo', this._onTempo);
+        this.tracker.release();
+        this.tracker = null;
+    }
+
+    _start() {
+        if (this._running) return;
+        this._running = true;
+        this._acquireTracker();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _stop() {
+        this._running = false;
+        this._releaseTracker();
+    }
+
+    _onFlux(e) {
+        const { time, frameRate, flux, threshold } = e.detail;
+        for (let i = 0; i < flux.length; i++) {
+            this.fluxTimes.push(time + i / frameRate);
+            this.fluxValues.push(flux[i]);
+            this.thresholds.push(threshold[i]);
+        }
+        // Drop what has scrolled past the longest view
+        const oldest = time - MAX_SECONDS;
+        let drop = 0;
+        while (drop < this.fluxTimes.length && this.fluxTimes[drop] < oldest) drop++;
+        if (drop > 0) {
+            this.fluxTimes.splice(0, drop);
+            this.fluxValues.splice(0, drop);
+            this.thresholds.splice(0, drop);
+        }
+        while (this.onsets.length > 0 && this.onsets[0].time < oldest) this.onsets.shift();
+        while (this.beats.length > 0 && this.beats[0].time < oldest) this.beats.shift();
+    }
+
+    _onOnset(e) {
+        this.onsets.push(e.detail);
+    }
+
+    _onBeat(e) {
+        this.beats.push(e.detail);
+    }
+
+    _onTempo(e) {
+        this.tempo = e.detail;
+    }
+
+    _renderLoop() {
+        if (!this._running) return;
+        this._draw();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _draw() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        if (width <= 0 || height <= 0 || !this.tracker) return;
+
+        const now = this.tracker.currentTime;
+        const nowX = width * (1 - FUTURE_SHARE);
+        const pixelsPerSecond = nowX / this.secondsShown;
+        const xFor = (time) => nowX - (now - time) * pixelsPerSecond;
+        const plotTop = 20;
+        const plotHeight = height - plotTop;
+
+        // Envelope scale follows the loudest frame shown
+        let peak = 1e-6;
+        const from = now - this.secondsShown;
+        for (let i = 0; i < this.fluxTimes.length; i++) {
+            if (this.fluxTimes[i] >= from) peak = Math.max(peak, this.fluxValues[i], this.thresholds[i]);
+        }
+        const yFor = (value) => plotTop + plotHeight - (value / peak) * plotHeight * 0.9;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.04)';
+        ctx.fillRect(nowX, 0, width - nowX, height);
+
+        // Flux, filled
+        ctx.fillStyle = 'rgba(79, 195, 247, 0.35)';
+        ctx.strokeStyle = '#4fc3f7';
+        ctx.beginPath();
+        let started = false;
+        let lastX = 0;
+        for (let i = 0; i < this.fluxTimes.length; i++) {
+            if (this.fluxTimes[i] < from) continue;
+            const x = xFor(this.fluxTimes[i]);
+            if (!started) {
+                ctx.moveTo(x, plotTop + plotHeight);
+                started = true;
+            }
+            ctx.lineTo(x, yFor(this.fluxValues[i]));
+            lastX = x;
+        }
+        if (started) {
+            ctx.lineTo(lastX, plotTop + plotHeight);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Threshold
+        ctx.strokeStyle = 'rgba(255, 213, 79, 0.8)';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        started = false;
+        for (let i = 0; i < this.fluxTimes.length; i++) {
+            if (this.fluxTimes[i] < from) continue;
+            const x = xFor(this.fluxTimes[i]);
+            const y = yFor(this.thresholds[i]);
+            if (started) ctx.lineTo(x, y);
+            else ctx.moveTo(x, y);
+            started = true;
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Onsets as ticks along the top of the plot
+        ctx.fillStyle = '#ff8a65';
+        for (const { time } of this.onsets) {
+            if (time < from) continue;
+            const x = xFor(time);
+            ctx.beginPath();
+            ctx.moveTo(x - 4, plotTop);
+            ctx.lineTo(x + 4, plotTop);
+            ctx.lineTo(x, plotTop + 7);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Detected beats, every fourth one heavier
+        for (const { time, index } of this.beats) {
+            if (time < from) continue;
+            const x = Math.round(xFor(time)) + 0.5;
+            ctx.strokeStyle = index % 4 === 0 ? 'rgba(255, 255, 255, 0.9)' : 'rgba(255, 255, 255, 0.45)';
+            ctx.lineWidth = index % 4 === 0 ? 2 : 1;
+            ctx.beginPath();
+            ctx.moveTo(x, plotTop);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        }
+
+        // Projected grid from the last detected beat on
+        const bpm = this.tracker.bpm;
+        const lastBeat = this.beats[this.beats.length - 1];
+        if (bpm && lastBeat) {
+            const period = 60 / bpm;
+            const end = now + (width - nowX) / pixelsPerSecond;
+            ctx.strokeStyle = 'rgba(120, 255, 160, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 4]);
+            for (let time = lastBeat.time + period; time <= end; time += period) {
+                const x = Math.round(xFor(time)) + 0.5;
+                ctx.beginPath();
+                ctx.moveTo(x, plotTop);
+                ctx.lineTo(x, height);
+                ctx.stroke();
+            }
+            ctx.setLineDash([]);
+        }
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.beginPath();
+        ctx.moveTo(Math.round(nowX) + 0.5, 0);
+        ctx.lineTo(Math.round(nowX) + 0.5, height);
+        ctx.stroke();
+        ctx.restore();
+
+        this._drawTempo(width, now);
+    }
+
+    // BPM readout with a dot that flashes on the projected beats
+    _drawTempo(width, now) {
+        const ctx = this.ctx;
+        const bpm = this.tracker.bpm;
+        const lastBeat = this.beats[this.beats.length - 1];
+        ctx.save();
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'white';
+        const text = bpm ? `${bpm.toFixed(1)} BPM` : '— BPM';
+        ctx.fillText(text, width - 8, 3);
+        if (bpm && lastBeat) {
+            const period = 60 / bpm;
+            const phase = (((now - lastBeat.time) / period) % 1 + 1) % 1;
+            const flash = Math.exp(-phase * 6);
+            ctx.fillStyle = `rgba(120, 255, 160, ${0.2 + 0.8 * flash})`;
+            ctx.beginPath();
+            ctx.arc(width - 16 - ctx.measureText(text).width, 10, 5, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+        if (this.tempo && this.tempo.confidence !== null) {
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.fillText(`tempo confidence ${(this.tempo.confidence * 100).toFixed(0)}%`, 6, 4);
+        }
+        ctx.restore();
+    }
+}
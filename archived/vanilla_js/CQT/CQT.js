@@ -0,0 +1,323 @@
+// CQT.js - Constant-Q transform (Schörkhuber & Klapuri octave decimation)
+//
+// Bins are geometrically spaced, binsPerOctave to the octave, on the grid
+// tuning * 2^(m / binsPerOctave), so with a multiple of 12 bins per octave
+// every semitone of the tuning has a bin centered on it. Each bin correlates
+// the signal with a Hann-windowed complex sinusoid Q cycles long.
+//
+// A bin an octave down needs a kernel twice as long, but at half the sample
+// rate it is the same kernel. So the input runs through a chain of halving
+// decimators, and one octave of sparse spectral kernels (Brown & Puckette) is
+// applied to each rate in turn: per frame that is one small real FFT and a
+// short dot product per bin for every octave, however low the range reaches.
+// The transform is streamed: append() samples, then read frames, one per
+// hopSize input samples.
+
+import { FFT } from '../FFT/FFT.js';
+import { makeWindow } from '../FFT/windows.js';
+
+// Kernel spectrum entries below this fraction of the bin's peak are dropped
+const SPARSITY_THRESHOLD = 0.0054;
+// Decimate-by-two lowpass: Kaiser-windowed sinc, cut off at half the input
+// Nyquist. Flat within 0.001 dB to an eighth of the input rate and at least
+// 88 dB down from three eighths, which is all the octaves ever use.
+const DECIMATION_TAPS = 25;
+const DECIMATION_DELAY = (DECIMATION_TAPS - 1) / 2;
+const NOTE_NAMES = ['A', 'A#', 'B', 'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#'];
+
+export const defaultCQTSettings = {
+    binsPerOctave: 12,
+    minFreq: 32.70,  // C1
+    maxFreq: 4186,   // C8
+    tuning: 440,
+    hopSize: 1024
+};
+
+/**
+ * cqtFrequencies(settings)
+ * Center frequencies of the CQT bins, low to high. `settings` takes the
+ * fields of defaultCQTSettings.
+ */
+export function cqtFrequencies(settings) {
+    const { binsPerOctave, minFreq, maxFreq, tuning } = { ...defaultCQTSettings, ...settings };
+    // Tiny tolerance so a bound given as a rounded note frequency still includes that note
+    const first = Math.ceil(binsPerOctave * Math.log2(minFreq / tuning) - 1e-3);
+    const last = Math.floor(binsPerOctave * Math.log2(maxFreq / tuning) + 1e-3);
+    const freqs = [];
+    for (let m = first; m <= last; m++) {
+        freqs.push(tuning * 2 ** (m / binsPerOctave));
+    }
+    return Float32Array.from(freqs);
+}
+
+/**
+ * noteName(freq, tuning)
+ * Nearest equal-tempered note, e.g. 'A4' or 'C#3', with the offset in cents.
+ */
+export function noteName(freq, tuning = 440) {
+    const semitones = 12 * Math.log2(freq / tuning);
+    const nearest = Math.round(semitones);
+    const name = NOTE_NAMES[((nearest % 12) + 12) % 12];
+    // Octave numbers change at C, which is 3 semitones above A
+    const octave = 4 + Math.floor((nearest + 9) / 12);
+    return { name: `${name}${octave}`, cents: 100 * (semitones - nearest) };
+}
+
+const decimationFilter = (() => {
+    const window = makeWindow('kaiser', DECIMATION_TAPS, 9);
+    const h = new Float32Array(DECIMATION_TAPS);
+    let sum = 0;
+    for (let n = 0; n < DECIMATION_TAPS; n++) {
+        const t = (n - DECIMATION_DELAY) / 2;
+        h[n] = window[n] * (t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t));
+        sum += h[n];
+    }
+    for (let n = 0; n < DECIMATION_TAPS; n++) h[n] /= sum;
+    return h;
+})();
+
+// The signal at one rate of the decimation chain. Samples have absolute
+// indices; data[0] holds sample `first`, and the DECIMATION_TAPS - 1 samples
+// before index 0 are the silence the stream starts from. A level is read by
+// the next level's decimator and/or an octave's frames; each says where the
+// samples it still needs begin.
+class RateLevel {
+    constructor({ decimated, measured }) {
+        this.data = new Float32Array(4096);
+        this.first = 1 - DECIMATION_TAPS;
+        this.end = 0;
+        this.decimatorFrom = decimated ? this.first : Infinity;
+        this.windowFrom = measured ? this.first : Infinity;
+    }
+
+    get keepFrom() {
+        return Math.min(this.decimatorFrom, this.windowFrom);
+    }
+
+    push(value) {
+        if (this.end - this.first === this.data.length) {
+            // Make room: drop what's no longer needed, growing if that's not enough
+            const keepFrom = this.keepFrom;
+            const drop = keepFrom - this.first;
+            if (drop >= this.data.length / 2) {
+                this.data.copyWithin(0, drop);
+            } else {
+                const grown = new Float32Array(this.data.length * 2);
+                grown.set(this.data.subarray(drop));
+                this.data = grown;
+            }
+            this.first = keepFrom;
+        }
+        this.data[this.end - this.first] = value;
+        this.end++;
+    }
+
+    // Feeds `next` every sample it can now decimate from this level
+    decimateInto(next) {
+        const h = decimationFilter;
+        const data = this.data;
+        while (2 * next.end < this.end) {
+            // y[j] = Σ h[i] x[2j - i]
+            const newest = 2 * next.end - this.first;
+            let sum = 0;
+            for (let i = 0; i < DECIMATION_TAPS; i++) sum += h[i] * data[newest - i];
+            next.push(sum);
+        }
+        this.decimatorFrom = 2 * next.end - (DECIMATION_TAPS - 1);
+    }
+}
+
+export class CQT {
+    constructor(sampleRate, settings = {}) {
+        this.settings = { ...defaultCQTSettings, ...settings };
+        const { binsPerOctave, hopSize } = this.settings;
+        this.sampleRate = sampleRate;
+        this.hopSize = hopSize;
+        this.frequencies = cqtFrequencies(this.settings);
+        this.binCount = this.frequencies.length;
+        this.Q = 1 / (2 ** (1 / binsPerOctave) - 1);
+
+        // Octave o (0 = the top) covers the bins [binCount - (o + 1) * binsPerOctave,
+        // binCount - o * binsPerOctave) and is measured at level firstLevel + o,
+        // sampled at sampleRate / 2^level. Rates are halved before the top
+        // octave too while its highest bin stays under a quarter of the rate.
+        const highest = this.frequencies[this.binCount - 1];
+        this.octaveCount = Math.ceil(this.binCount / binsPerOctave);
+        this.firstLevel = Math.max(0, Math.floor(Math.log2(sampleRate / (4 * highest))));
+        this.topRate = sampleRate / 2 ** this.firstLevel;
+
+        // Top-octave bins, low to high; the lowest has the longest kernel and sets the frame size
+        this.octaveFrequencies = this.frequencies.slice(Math.max(0, this.binCount - binsPerOctave));
+        const longest = Math.ceil((this.Q * this.topRate) / this.octaveFrequencies[0]);
+        this.frameSize = 1;
+        while (this.frameSize < longest) this.frameSize <<= 1;
+
+        this.plan = FFT.realPlan(this.frameSize);
+        this.frame = new Float32Array(this.frameSize);
+        this.spectrumRe = new Float32Array(this.plan.binCount);
+        this.spectrumIm = new Float32Array(this.plan.binCount);
+        this.kernels = this._buildKernels();
+
+        // Each octave reads the stretch of the frame its longest kernel covers;
+        // only the lowest octave may lack the low end of the top octave's bins
+        this.octaves = Array.from({ length: this.octaveCount }, (_, o) => {
+            const firstBin = this.binCount - (o + 1) * this.octaveFrequencies.length;
+            const lowest = Math.max(0, -firstBin);
+            const { start, length } = this.kernels[lowest];
+            return { level: this.firstLevel + o, firstBin, lowest, start, length };
+        });
+        // Input samples between the start and the middle of the lowest octave's kernels
+        const bottom = this.octaves[this.octaveCount - 1];
+        this.latency = Math.ceil((bottom.length * 2 ** bottom.level) / 2);
+        this.clear();
+    }
+
+    /** clear() - Forget all samples, e.g. across a gap in the input. */
+    clear() {
+        const count = this.firstLevel + this.octaveCount;
+        this.levels = Array.from({ length: count }, (_, l) => new RateLevel({
+            decimated: l + 1 < count,
+            measured: l >= this.firstLevel
+        }));
+        this.nextFrame = 0;
+    }
+
+    /**
+     * append(samples)
+     * Feeds input samples through the decimation chain.
+     */
+    append(samples) {
+        const levels = this.levels;
+        for (let i = 0; i < samples.length; i++) levels[0].push(samples[i]);
+        for (let l = 0; l + 1 < levels.length; l++) levels[l].decimateInto(levels[l + 1]);
+    }
+
+    // Sample of `level` nearest input time `time`, a decimated sample at level l
+    // standing for input time 2^l (n - D) + D after the filters' delays
+    _levelIndex(level, time) {
+        return Math.round((time - DECIMATION_DELAY) / 2 ** level + DECIMATION_DELAY);
+    }
+
+    // First sample of `octave`'s stretch of its level for the frame centered at `time`
+    _windowStart(octave, time) {
+        return this._levelIndex(octave.level, time) - this.frameSize / 2 + octave.start;
+    }
+
+    // Whether every octave has the samples for the frame centered at `time`
+    _frameReady(time) {
+        for (const octave of this.octaves) {
+            if (this._windowStart(octave, time) + octave.length > this.levels[octave.level].end) return false;
+        }
+        return true;
+    }
+
+    /** Frames that can be read with the samples appended so far. */
+    get framesAvailable() {
+        let count = 0;
+        while (this._frameReady((this.nextFrame + count) * this.hopSize + this.latency)) count++;
+        return count;
+    }
+
+    // Sparse conjugated kernel spectra for the top octave, one per bin:
+    // { index, re, im } plus where in the frame the kernel's samples lie
+    _buildKernels() {
+        const n = this.frameSize;
+        const plan = FFT.plan(n);
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+        const kernels = [];
+        for (const freq of this.octaveFrequencies) {
+            const length = Math.ceil((this.Q * this.topRate) / freq);
+            // Centered so every bin looks at the same instant, the frame's middle
+            const start = Math.floor((n - length) / 2);
+            re.fill(0);
+            im.fill(0);
+            let windowSum = 0;
+            for (let t = 0; t < length; t++) windowSum += 0.5 - 0.5 * Math.cos((2 * Math.PI * t) / length);
+            for (let t = 0; t < length; t++) {
+                const w = (0.5 - 0.5 * Math.cos((2 * Math.PI * t) / length)) / windowSum;
+                const angle = (2 * Math.PI * freq * (t + start)) / this.topRate;
+                re[start + t] = w * Math.cos(angle);
+                im[start + t] = w * Math.sin(angle);
+            }
+            plan.forward(re, im);
+
+            // The kernel lives at positive frequencies, which the real FFT covers
+            const half = n / 2;
+            let peak = 0;
+            for (let j = 0; j <= half; j++) peak = Math.max(peak, Math.hypot(re[j], im[j]));
+            const keep = [];
+            for (let j = 0; j <= half; j++) {
+                if (Math.hypot(re[j], im[j]) > peak * SPARSITY_THRESHOLD) keep.push(j);
+            }
+            kernels.push({
+                index: Int32Array.from(keep),
+                re: Float32Array.from(keep, j => re[j]),
+                // Conjugated for the correlation
+                im: Float32Array.from(keep, j => -im[j]),
+                start,
+                length
+            });
+        }
+        return kernels;
+    }
+
+    /**
+     * readComplexFrame(outRe, outIm)
+     * Writes the next frame's complex CQT, low bins first, and returns true;
+     * returns false if not enough samples have been appended yet. A sinusoid
+     * of amplitude A at a bin's frequency gives that bin a magnitude of A.
+     */
+    readComplexFrame(outRe, outIm) {
+        const time = this.nextFrame * this.hopSize + this.latency;
+        if (!this._frameReady(time)) return false;
+        const frame = this.frame;
+        // Parseval turns the time-domain correlation into 1/n of the spectral
+        // one; the 2 restores the amplitude split between ±frequency
+        const scale = 2 / this.frameSize;
+        for (const octave of this.octaves) {
+            const level = this.levels[octave.level];
+            const begin = this._windowStart(octave, time);
+            // Samples outside the kernels don't change the result; leave them zero
+            frame.fill(0);
+            frame.set(level.data.subarray(begin - level.first, begin - level.first + octave.length), octave.start);
+            level.windowFrom = begin;
+            this.plan.forward(frame, this.spectrumRe, this.spectrumIm);
+            const specRe = this.spectrumRe;
+            const specIm = this.spectrumIm;
+
+            // Octave o's bins are the top octave's, 2^o lower
+            const firstBin = octave.firstBin;
+            for (let b = octave.lowest; b < this.kernels.length; b++) {
+                const { index, re, im } = this.kernels[b];
+                let sumRe = 0;
+                let sumIm = 0;
+                for (let i = 0; i < index.length; i++) {
+                    const j = index[i];
+                    sumRe += specRe[j] * re[i] - specIm[j] * im[i];
+                    sumIm += specRe[j] * im[i] + specIm[j] * re[i];
+                }
+                outRe[firstBin + b] = sumRe * scale;
+                outIm[firstBin + b] = sumIm * scale;
+            }
+        }
+        this.nextFrame++;
+        return true;
+    }
+
+    /**
+     * readFrame(mags)
+     * Magnitudes only; the lane interface the STFT worker uses.
+     */
+    readFrame(mags) {
+        if (!this._re) {
+            this._re = new Float32Array(this.binCount);
+            this._im = new Float32Array(this.binCount);
+        }
+        if (!this.readComplexFrame(this._re, this._im)) return false;
+        for (let k = 0; k < this.binCount; k++) {
+            mags[k] = Math.hypot(this._re[k], this._im[k]);
+        }
+        return true;
+    }
+}
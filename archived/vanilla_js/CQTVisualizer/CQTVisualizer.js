@@ -0,0 +1,285 @@
+// CQTVisualizer.js - Scrolling constant-Q spectrogram
+//
+// One band of rows per CQT bin, so with 12 bins per octave every semitone is
+// a row band, labeled with note names on the left. Frames come from the
+// shared analysis worker (STFTAnalyzer with kind 'cqt').
+
+import { STFTAnalyzer } from '../STFTVisualizer/STFTAnalyzer.js';
+import { colormaps, buildColormapLUT } from '../STFTVisualizer/colormaps.js';
+import { cqtFrequencies, noteName } from '../CQT/CQT.js';
+import { makeSelect, makeRow } from '../controlPanel/settingsControls.js';
+
+// MIDI note numbers of the C's offered as range bounds, C0 to C9
+const C_NOTES = Array.from({ length: 10 }, (_, octave) => 12 + 12 * octave);
+
+export class CQTVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+
+        this.canvas.close = () => {
+            this._stop();
+        };
+
+        // Transform settings; range bounds are MIDI notes
+        this.binsPerOctave = 12;
+        this.minNote = 24;  // C1
+        this.maxNote = 108; // C8
+        this.tuning = 440;
+        this.hopSize = 1024;
+
+        this.floorDb = -90;
+        this.ceilingDb = 0;
+        this.colormap = 'magma';
+        this.colormapLUT = buildColormapLUT(colormaps[this.colormap].stops);
+
+        this.width = this.canvas.width;
+        this.height = this.canvas.height;
+        this.specCanvas = document.createElement('canvas');
+        this.specCtx = this.specCanvas.getContext('2d');
+        this.specCanvas.width = this.width;
+        this.specCanvas.height = this.height;
+        this.columnImage = null;
+        this.frequencies = cqtFrequencies(this._cqtSettings());
+
+        this.analyzer = null;
+        this.pendingFrames = [];
+        this._running = false;
+        this._onFrames = this._onFrames.bind(this);
+        this._renderLoop = this._renderLoop.bind(this);
+        this._createSettingsUI();
+    }
+
+    _noteFrequency(midi) {
+        return this.tuning * 2 ** ((midi - 69) / 12);
+    }
+
+    _cqtSettings() {
+        return {
+            kind: 'cqt',
+            binsPerOctave: this.binsPerOctave,
+            minFreq: this._noteFrequency(this.minNote),
+            maxFreq: this._noteFrequency(this.maxNote),
+            tuning: this.tuning,
+            hopSize: this.hopSize,
+            channelMode: 'mono'
+        };
+    }
+
+    _createSettingsUI() {
+
+        const transformRow = makeRow(this.settingsDiv);
+        makeSelect(transformRow, 'Bins/octave: ', [12, 24, 36, 48].map(n => [n, `${n}`]), this.binsPerOctave,
+            (value) => {
+                this.binsPerOctave = value;
+                this._analysisChanged();
+            });
+        makeSelect(transformRow, 'Hop: ', [256, 512, 1024, 2048].map(n => [n, `${n}`]), this.hopSize,
+            (value) => {
+                this.hopSize = value;
+                this._analysisChanged();
+            });
+
+        const noteOptions = C_NOTES.map(midi => [midi, `C${midi / 12 - 1}`]);
+        const rangeRow = makeRow(this.settingsDiv);
+        makeSelect(rangeRow, 'From: ', noteOptions, this.minNote, (value) => {
+            this.minNote = Math.min(value, this.maxNote - 12);
+            this._analysisChanged();
+        });
+        makeSelect(rangeRow, 'To: ', noteOptions, this.maxNote, (value) => {
+            this.maxNote = Math.max(value, this.minNote + 12);
+            this._analysisChanged();
+        });
+
+        const tuningLabel = document.createElement('label');
+        tuningLabel.textContent = 'A4 Hz: ';
+        const tuningInput = document.createElement('input');
+        tuningInput.type = 'number';
+        tuningInput.min = 400;
+        tuningInput.max = 480;
+        tuningInput.step = 0.1;
+        tuningInput.value = this.tuning;
+        tuningInput.style.width = '64px';
+        tuningInput.addEventListener('change', () => {
+            const hz = parseFloat(tuningInput.value);
+            if (!Number.isFinite(hz) || hz < 400 || hz > 480) return;
+            this.tuning = hz;
+            this._analysisChanged();
+        });
+        tuningLabel.appendChild(tuningInput);
+        rangeRow.appendChild(tuningLabel);
+
+        const displayRow = makeRow(this.settingsDiv);
+        makeSelect(displayRow, 'Colormap: ',
+            Object.keys(colormaps).filter(name => colormaps[name].stops).map(name => [name, colormaps[name].label]),
+            this.colormap, (value) => {
+                this.colormap = value;
+                this.colormapLUT = buildColormapLUT(colormaps[value].stops);
+            });
+        const makeDbInput = (text, value, onChange) => {
+            const label = document.createElement('label');
+            label.textContent = text;
+            label.style.marginRight = '8px';
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 1;
+            input.value = value;
+            input.style.width = '56px';
+            input.addEventListener('change', () => {
+                const db = parseFloat(input.value);
+                if (Number.isFinite(db)) onChange(db);
+            });
+            label.appendChild(input);
+            displayRow.appendChild(label);
+        };
+        makeDbInput('Floor dB: ', this.floorDb, (db) => { this.floorDb = db; });
+        makeDbInput('Ceiling dB: ', this.ceilingDb, (db) => { this.ceilingDb = db; });
+    }
+
+    _analysisChanged() {
+        this.frequencies = cqtFrequencies(this._cqtSettings());
+        if (this._running) this._acquireAnalyzer();
+        this._clear();
+    }
+
+    _acquireAnalyzer() {
+        this._releaseAnalyzer();
+        this.analyzer = STFTAnalyzer.acquire(this.audioSource, this._cqtSettings());
+        this.analyzer.addEventListener('frames', this._onFrames);
+    }
+
+    _releaseAnalyzer() {
+        if (!this.analyzer) return;
+        this.analyzer.removeEventListener('frames', this._onFrames);
+        this.analyzer.release();
+        this.analyzer = null;
+        this.pendingFrames = [];
+    }
+
+    _onFrames(e) {
+        this.pendingFrames.push(e.detail);
+    }
+
+    _start() {
+        if (this._running) return;
+        this._running = true;
+        this._acquireAnalyzer();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _stop() {
+        this._running = false;
+        this._releaseAnalyzer();
+    }
+
+    _clear() {
+        this.specCtx.clearRect(0, 0, this.specCanvas.width, this.specCanvas.height);
+    }
+
+    _renderLoop() {
+        if (!this._running) return;
+        this._handleResize();
+        for (const { frames, count, binCount, blankColumns } of this.pendingFrames) {
+            const silence = new Float32Array(binCount);
+            for (let i = 0; i < Math.min(blankColumns, this.width); i++) this._drawColumn(silence);
+            for (let f = 0; f < count; f++) {
+                this._drawColumn(frames.subarray(f * binCount, (f + 1) * binCount));
+            }
+        }
+        this.pendingFrames = [];
+        this._paint();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _handleResize() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        if (width === this.width && height === this.height) return;
+        this.width = width;
+        this.height = height;
+        if (width <= 0 || height <= 0) return;
+        // Scale what's been drawn so far onto the new size
+        const snapshot = document.createElement('canvas');
+        snapshot.width = this.specCanvas.width;
+        snapshot.height = this.specCanvas.height;
+        if (snapshot.width > 0 && snapshot.height > 0) {
+            snapshot.getContext('2d').drawImage(this.specCanvas, 0, 0);
+        }
+        this.specCanvas.width = width;
+        this.specCanvas.height = height;
+        if (snapshot.width > 0 && snapshot.height > 0) {
+            this.specCtx.drawImage(snapshot, 0, 0, snapshot.width, snapshot.height, 0, 0, width, height);
+        }
+    }
+
+    // Row y (0 = top) shows this bin; bins split the height evenly
+    _binForRow(y, binCount) {
+        return Math.min(binCount - 1, Math.floor(((this.height - 1 - y) / this.height) * binCount));
+    }
+
+    _drawColumn(mags) {
+        if (this.width <= 0 || this.height <= 0) return;
+        this.specCtx.drawImage(this.specCanvas, 1, 0);
+
+        if (!this.columnImage || this.columnImage.height !== this.height) {
+            this.columnImage = this.specCtx.createImageData(1, this.height);
+        }
+        const pixels = this.columnImage.data;
+        const lut = this.colormapLUT;
+        const span = this.ceilingDb - this.floorDb || 1;
+        for (let y = 0; y < this.height; y++) {
+            const db = 20 * Math.log10(mags[this._binForRow(y, mags.length)]);
+            let norm = (db - this.floorDb) / span;
+            if (!(norm > 0)) norm = 0;
+            else if (norm > 1) norm = 1;
+            const index = Math.floor(norm * 255) * 4;
+            const p = y * 4;
+            pixels[p] = lut[index];
+            pixels[p + 1] = lut[index + 1];
+            pixels[p + 2] = lut[index + 2];
+            pixels[p + 3] = 255;
+        }
+        this.specCtx.putImageData(this.columnImage, 0, 0);
+    }
+
+    _paint() {
+        if (this.width <= 0 || this.height <= 0) return;
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.ctx.drawImage(this.specCanvas, 0, 0);
+        this._drawNoteAxis();
+    }
+
+    // Note names at the bins that sit on semitones: every C, or every
+    // semitone when rows are tall enough
+    _drawNoteAxis() {
+        const freqs = this.frequencies;
+        const binCount = freqs.length;
+        const rowHeight = this.height / binCount;
+        const semitoneHeight = rowHeight * (this.binsPerOctave / 12);
+        const everyNote = semitoneHeight >= 12;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        for (let k = 0; k < binCount; k++) {
+            const { name, cents } = noteName(freqs[k], this.tuning);
+            if (Math.abs(cents) > 1) continue;
+            const isC = name[0] === 'C' && name[1] !== '#';
+            if (!everyNote && !isC) continue;
+            const y = this.height - (k + 0.5) * rowHeight;
+            const textWidth = ctx.measureText(name).width;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(0, y - 6, textWidth + 6, 12);
+            ctx.fillStyle = isC ? 'white' : 'rgba(255, 255, 255, 0.7)';
+            ctx.fillText(name, 3, y);
+            if (isC) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+                ctx.fillRect(textWidth + 6, Math.round(y + rowHeight / 2), this.width, 1);
+            }
+        }
+        ctx.restore();
+    }
+}
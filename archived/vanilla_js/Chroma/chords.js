@@ -0,0 +1,134 @@
+// chords.js - Chord recognition by template matching with Viterbi smoothing
+//
+// Every frame's chroma is scored against binary templates of the 24 major
+// and minor triads plus "N" (no chord). A hidden Markov model whose states
+// are the chords, with a fixed probability of staying on the same chord,
+// smooths the frame-by-frame guesses: an online Viterbi decoder settles each
+// frame's label once `lag` more frames have come in.
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+// Emission log-likelihood is SHARPNESS · cosine similarity
+const SHARPNESS = 8;
+// "N" scores as if this similar, so that only a clear triad beats it
+const NO_CHORD_SIMILARITY = 0.6;
+
+/**
+ * chordLabels
+ * Label of every chord state: 'C', 'Cm', ... 'B', 'Bm', then 'N'.
+ */
+export const chordLabels = [];
+const templates = [];
+for (let root = 0; root < 12; root++) {
+    for (const [suffix, third] of [['', 4], ['m', 3]]) {
+        const template = new Float32Array(12);
+        for (const interval of [0, third, 7]) template[(root + interval) % 12] = 1 / Math.sqrt(3);
+        templates.push(template);
+        chordLabels.push(`${NOTE_NAMES[root]}${suffix}`);
+    }
+}
+export const NO_CHORD = chordLabels.length;
+chordLabels.push('N');
+
+/**
+ * chordSimilarities(chroma, out)
+ * Cosine similarity of the chroma with every chord template; "N" gets
+ * NO_CHORD_SIMILARITY.
+ */
+export function chordSimilarities(chroma, out) {
+    let norm = 0;
+    for (let i = 0; i < 12; i++) norm += chroma[i] * chroma[i];
+    norm = Math.sqrt(norm);
+    for (let s = 0; s < templates.length; s++) {
+        let dot = 0;
+        for (let i = 0; i < 12; i++) dot += chroma[i] * templates[s][i];
+        out[s] = norm > 0 ? dot / norm : 0;
+    }
+    out[NO_CHORD] = NO_CHORD_SIMILARITY;
+    return out;
+}
+
+export class ChordTracker {
+    /**
+     * new ChordTracker({ stayProbability, lag })
+     * stayProbability: chance of keeping the chord from one frame to the next.
+     * lag: frames the decoder looks back over; labels older than that are final.
+     */
+    constructor({ stayProbability = 0.9, lag = 16 } = {}) {
+        const states = chordLabels.length;
+        this.states = states;
+        this.lag = lag;
+        this.logStay = Math.log(stayProbability);
+        this.logMove = Math.log((1 - stayProbability) / (states - 1));
+        this.scores = new Float64Array(states);
+        this.nextScores = new Float64Array(states);
+        this.similarities = new Float32Array(states);
+        // Back-pointers of the last `lag` frames, newest last
+        this.backPointers = [];
+        this.started = false;
+    }
+
+    /**
+     * push(chroma, silent)
+     * Adds one frame; silent frames are forced to "N". Returns the labels of
+     * the last min(lag, frames) frames as decoded now, oldest first: the
+     * first one is final, later ones may still change.
+     */
+    push(chroma, silent = false) {
+        const states = this.states;
+        const emissions = this.similarities;
+        if (silent) {
+            emissions.fill(-Infinity);
+            emissions[NO_CHORD] = 0;
+        } else {
+            chordSimilarities(chroma, emissions);
+            for (let s = 0; s < states; s++) emissions[s] *= SHARPNESS;
+        }
+
+        const pointers = new Uint8Array(states);
+        if (!this.started) {
+            for (let s = 0; s < states; s++) this.scores[s] = emissions[s];
+            this.started = true;
+        } else {
+            // Staying beats every move whenever the best move comes from this
+            // state's own score, so only the best other state needs checking
+            let best = 0;
+            for (let s = 1; s < states; s++) if (this.scores[s] > this.scores[best]) best = s;
+            let second = best === 0 ? 1 : 0;
+            for (let s = 0; s < states; s++) {
+                if (s !== best && this.scores[s] > this.scores[second]) second = s;
+            }
+            for (let s = 0; s < states; s++) {
+                const from = s === best ? second : best;
+                const stay = this.scores[s] + this.logStay;
+                const move = this.scores[from] + this.logMove;
+                if (stay >= move) {
+                    this.nextScores[s] = stay + emissions[s];
+                    pointers[s] = s;
+                } else {
+                    this.nextScores[s] = move + emissions[s];
+                    pointers[s] = from;
+                }
+            }
+            // Keep scores near zero; only their differences matter
+            const top = Math.max(...this.nextScores);
+            for (let s = 0; s < states; s++) this.scores[s] = this.nextScores[s] - top;
+        }
+        this.backPointers.push(pointers);
+        if (this.backPointers.length > this.lag) this.backPointers.shift();
+
+        // Trace back from the best current state
+        let state = 0;
+        for (let s = 1; s < states; s++) if (this.scores[s] > this.scores[state]) state = s;
+        const path = new Array(this.backPointers.length);
+        for (let i = this.backPointers.length - 1; i >= 0; i--) {
+            path[i] = state;
+            state = this.backPointers[i][state];
+        }
+        return path;
+    }
+
+    reset() {
+        this.started = false;
+        this.backPointers = [];
+    }
+}
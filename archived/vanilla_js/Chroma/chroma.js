@@ -0,0 +1,97 @@
+// chroma.js - Pitch-class (chroma) features from magnitude spectra
+//
+// Each spectrum bin's power is shared between the two pitch classes its
+// frequency falls between, by a raised cosine of the distance in semitones.
+// The semitone grid follows a running tuning estimate: spectral peaks vote
+// with their offset from the nearest equal-tempered semitone, averaged on the
+// circle so +49 and -49 cents don't cancel out.
+
+// Seconds the tuning estimate averages over
+const TUNING_TIME_CONSTANT = 5;
+// Peaks quieter than this fraction of the frame's loudest don't vote
+const PEAK_SHARE = 0.1;
+const SILENCE = 1e-4;
+
+export class ChromaExtractor {
+    /**
+     * new ChromaExtractor(binCount, binHz, { minFreq, maxFreq, reference })
+     * For spectra of binCount bins binHz apart. Bins outside [minFreq,
+     * maxFreq] are ignored; reference is the nominal A4.
+     */
+    constructor(binCount, binHz, { minFreq = 55, maxFreq = 2000, reference = 440 } = {}) {
+        this.binCount = binCount;
+        this.binHz = binHz;
+        this.reference = reference;
+        this.firstBin = Math.max(1, Math.ceil(minFreq / binHz));
+        this.lastBin = Math.min(binCount - 2, Math.floor(maxFreq / binHz));
+        // Semitones above C of every bin at the nominal reference
+        this.semitones = new Float32Array(binCount);
+        for (let k = this.firstBin; k <= this.lastBin; k++) {
+            this.semitones[k] = 12 * Math.log2((k * binHz) / reference) + 9;
+        }
+        // Circular mean of peak offsets, as a decaying vector sum
+        this.tuningRe = 0;
+        this.tuningIm = 0;
+    }
+
+    /**
+     * tuningCents
+     * Estimated offset of the material's tuning from the reference, -50..50.
+     */
+    get tuningCents() {
+        if (this.tuningRe === 0 && this.tuningIm === 0) return 0;
+        return (100 * Math.atan2(this.tuningIm, this.tuningRe)) / (2 * Math.PI);
+    }
+
+    /**
+     * updateTuning(mags, seconds)
+     * Folds the peaks of one frame, `seconds` long, into the tuning estimate.
+     */
+    updateTuning(mags, seconds) {
+        let loudest = 0;
+        for (let k = this.firstBin; k <= this.lastBin; k++) loudest = Math.max(loudest, mags[k]);
+        if (loudest < SILENCE) return;
+        const keep = Math.exp(-seconds / TUNING_TIME_CONSTANT);
+        let re = 0;
+        let im = 0;
+        for (let k = this.firstBin; k <= this.lastBin; k++) {
+            const m = mags[k];
+            if (m < loudest * PEAK_SHARE || m < mags[k - 1] || m <= mags[k + 1]) continue;
+            // Parabolic peak position, in bins
+            const a = mags[k - 1];
+            const c = mags[k + 1];
+            const denom = a - 2 * m + c;
+            const shift = denom < 0 ? (0.5 * (a - c)) / denom : 0;
+            const semitone = 12 * Math.log2(((k + shift) * this.binHz) / this.reference);
+            const angle = 2 * Math.PI * (semitone - Math.round(semitone));
+            re += m * Math.cos(angle);
+            im += m * Math.sin(angle);
+        }
+        this.tuningRe = this.tuningRe * keep + re * (1 - keep);
+        this.tuningIm = this.tuningIm * keep + im * (1 - keep);
+    }
+
+    /**
+     * compute(mags, out)
+     * Chroma of one frame, C first, into out (12 entries) as summed power on
+     * the tuning-corrected grid. Returns the total.
+     */
+    compute(mags, out) {
+        out.fill(0);
+        const offset = this.tuningCents / 100;
+        let total = 0;
+        for (let k = this.firstBin; k <= this.lastBin; k++) {
+            const power = mags[k] * mags[k];
+            if (power === 0) continue;
+            const position = this.semitones[k] - offset;
+            const lower = Math.floor(position);
+            const fraction = position - lower;
+            const c = Math.cos((Math.PI / 2) * fraction);
+            const toLower = c * c;
+            out[((lower % 12) + 12) % 12] += power * toLower;
+            out[(((lower + 1) % 12) + 12) % 12] += power * (1 - toLower);
+            total += power;
+        }
+        return total;
+    }
+}
@@ -0,0 +1,48 @@
+// key.js - Key estimation with the Krumhansl-Kessler profiles
+//
+// The key is the major or minor profile, rotated to each of the twelve
+// tonics, that correlates best with a (long-term) chroma vector.
+
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+function correlation(a, b, rotation) {
+    let meanA = 0;
+    let meanB = 0;
+    for (let i = 0; i < 12; i++) {
+        meanA += a[i];
+        meanB += b[i];
+    }
+    meanA /= 12;
+    meanB /= 12;
+    let ab = 0;
+    let aa = 0;
+    let bb = 0;
+    for (let i = 0; i < 12; i++) {
+        const da = a[(i + rotation) % 12] - meanA;
+        const db = b[i] - meanB;
+        ab += da * db;
+        aa += da * da;
+        bb += db * db;
+    }
+    return aa > 0 && bb > 0 ? ab / Math.sqrt(aa * bb) : 0;
+}
+
+/**
+ * estimateKey(chroma)
+ * Best-matching key as { tonic (pitch class), mode ('major' | 'minor'),
+ * name, correlation }, or null for a flat chroma.
+ */
+export function estimateKey(chroma) {
+    let best = null;
+    for (let tonic = 0; tonic < 12; tonic++) {
+        for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+            const r = correlation(chroma, profile, tonic);
+            if (!best || r > best.correlation) best = { tonic, mode, correlation: r };
+        }
+    }
+    if (!best || best.correlation === 0) return null;
+    best.name = `${NOTE_NAMES[best.tonic]} ${best.mode}`;
+    return best;
+}
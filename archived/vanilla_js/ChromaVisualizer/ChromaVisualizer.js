@@ -0,0 +1,295 @@
+// ChromaVisualizer.js - Scrolling chromagram with key and chord recognition
+//
+// Twelve pitch-class rows, C at the bottom, scroll right to left with one
+// column per STFT frame. Underneath runs the chord timeline from the
+// Viterbi-smoothed chord tracker; its last second or so may still be
+// revised as more frames come in. The estimated key, current chord and
+// tuning offset are overlaid at the top left.
+
+import { STFTAnalyzer } from '../STFTVisualizer/STFTAnalyzer.js';
+import { colormaps, buildColormapLUT } from '../STFTVisualizer/colormaps.js';
+import { ChromaExtractor } from '../Chroma/chroma.js';
+import { estimateKey } from '../Chroma/key.js';
+import { ChordTracker, chordLabels, NO_CHORD } from '../Chroma/chords.js';
+import { makeSelect } from '../controlPanel/settingsControls.js';
+
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const LABEL_WIDTH = 24;
+const TIMELINE_HEIGHT = 24;
+// Frames quieter than this total power count as silence
+const SILENCE_POWER = 1e-7;
+// Seconds of chord decoding left open to revision
+const CHORD_LAG_SECONDS = 0.7;
+
+export class ChromaVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+
+        this.canvas.close = () => {
+            this._stop();
+        };
+
+        this.fftSize = 8192;
+        this.columnWidth = 2;
+        this.stayProbability = 0.9;
+        this.keySeconds = 30;
+        this.colormapLUT = buildColormapLUT(colormaps.viridis.stops);
+
+        this.chromaCanvas = document.createElement('canvas');
+        this.chromaCtx = this.chromaCanvas.getContext('2d');
+        this.extractor = null;
+        this.tracker = null;
+        this.chroma = new Float32Array(12);
+        // Long-term chroma for the key, each frame normalized to sum 1
+        this.keyChroma = new Float32Array(12);
+        this.key = null;
+        // Chord index per drawn column, newest last
+        this.chordColumns = [];
+
+        this.analyzer = null;
+        this._running = false;
+        this._onFrames = this._onFrames.bind(this);
+        this._renderLoop = this._renderLoop.bind(this);
+        this._createSettingsUI();
+    }
+
+    _createSettingsUI() {
+        makeSelect(this.settingsDiv, 'FFT: ', [4096, 8192, 16384].map(n => [n, `${n}`]), this.fftSize, (value) => {
+            this.fftSize = value;
+            this._analysisChanged();
+        });
+        makeSelect(this.settingsDiv, 'Column: ', [1, 2, 4].map(n => [n, `${n} px`]), this.columnWidth, (value) => {
+            this.columnWidth = value;
+        });
+        makeSelect(this.settingsDiv, 'Chord smoothing: ', [[0.5, 'Off'], [0.8, 'Light'], [0.9, 'Medium'], [0.97, 'Heavy']],
+            this.stayProbability, (value) => {
+                this.stayProbability = value;
+                this.tracker = null;
+            });
+        makeSelect(this.settingsDiv, 'Key window: ', [10, 30, 60].map(s => [s, `${s} s`]), this.keySeconds, (value) => {
+            this.keySeconds = value;
+        });
+    }
+
+    _analysisChanged() {
+        this.extractor = null;
+        this.tracker = null;
+        if (this._running) this._acquireAnalyzer();
+    }
+
+    _acquireAnalyzer() {
+        this._releaseAnalyzer();
+        // Same settings shape as the spectrogram, so matching settings share one analysis
+        this.analyzer = STFTAnalyzer.acquire(this.audioSource, {
+            fftSize: this.fftSize,
+            hopSize: this.fftSize / 4,
+            window: 'hann',
+            windowParam: undefined,
+            zeroPadding: 1,
+            channelMode: 'mono'
+        });
+        this.analyzer.addEventListener('frames', this._onFrames);
+    }
+
+    _releaseAnalyzer() {
+        if (!this.analyzer) return;
+        this.analyzer.removeEventListener('frames', this._onFrames);
+        this.analyzer.release();
+        this.analyzer = null;
+    }
+
+    _start() {
+        if (this._running) return;
+        this._running = true;
+        this._acquireAnalyzer();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _stop() {
+        this._running = false;
+        this._releaseAnalyzer();
+    }
+
+    _onFrames(e) {
+        const { frames, count, binCount, blankColumns } = e.detail;
+        const sampleRate = this.analyzer.sampleRate || 44100;
+        const hopSeconds = this.fftSize / 4 / sampleRate;
+        if (!this.extractor || this.extractor.binCount !== binCount || this.extractor.binHz !== sampleRate / this.fftSize) {
+            this.extractor = new ChromaExtractor(binCount, sampleRate / this.fftSize);
+        }
+        if (!this.tracker) {
+            this.tracker = new ChordTracker({
+                stayProbability: this.stayProbability,
+                lag: Math.max(1, Math.round(CHORD_LAG_SECONDS / hopSeconds))
+            });
+        }
+        for (let i = 0; i < Math.min(blankColumns, this.chromaCanvas.width); i++) {
+            this._addColumn(null, [NO_CHORD]);
+        }
+        if (blankColumns > 0) this.tracker.reset();
+
+        const keep = Math.exp(-hopSeconds / this.keySeconds);
+        for (let f = 0; f < count; f++) {
+            const mags = frames.subarray(f * binCount, (f + 1) * binCount);
+            this.extractor.updateTuning(mags, hopSeconds);
+            const total = this.extractor.compute(mags, this.chroma);
+            const silent = total < SILENCE_POWER;
+            if (!silent) {
+                for (let i = 0; i < 12; i++) {
+                    this.keyChroma[i] = this.keyChroma[i] * keep + (this.chroma[i] / total) * (1 - keep);
+                }
+            }
+            const path = this.tracker.push(this.chroma, silent);
+            this._addColumn(silent ? null : this.chroma, path);
+        }
+        this.key = estimateKey(this.keyChroma);
+    }
+
+    // Draws one chroma column at the right edge and records the chord path
+    _addColumn(chroma, path) {
+        const { width, height } = this.chromaCanvas;
+        const w = this.columnWidth;
+        if (width > w && height > 0) {
+            this.chromaCtx.drawImage(this.chromaCanvas, -w, 0);
+            this.chromaCtx.clearRect(width - w, 0, w, height);
+            if (chroma) {
+                const peak = Math.max(...chroma);
+                const rowHeight = height / 12;
+                for (let pc = 0; pc < 12; pc++) {
+                    const level = peak > 0 ? chroma[pc] / peak : 0;
+                    const index = Math.floor(level * 255) * 4;
+                    const lut = this.colormapLUT;
+                    this.chromaCtx.fillStyle = `rgb(${lut[index]}, ${lut[index + 1]}, ${lut[index + 2]})`;
+                    const top = Math.round(height - (pc + 1) * rowHeight);
+                    this.chromaCtx.fillRect(width - w, top, w, Math.round(height - pc * rowHeight) - top);
+                }
+            }
+        }
+
+        // The path rewrites the columns still open to revision
+        this.chordColumns.push(path[path.length - 1]);
+        const start = this.chordColumns.length - path.length;
+        for (let i = 0; i < path.length; i++) {
+            if (start + i >= 0) this.chordColumns[start + i] = path[i];
+        }
+        const maxColumns = Math.ceil(width / w) + 1;
+        if (this.chordColumns.length > maxColumns) {
+            this.chordColumns.splice(0, this.chordColumns.length - maxColumns);
+        }
+    }
+
+    _renderLoop() {
+        if (!this._running) return;
+        this._resizeChroma();
+        this._draw();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _resizeChroma() {
+        const width = Math.max(0, this.canvas.width - LABEL_WIDTH);
+        const height = Math.max(0, this.canvas.height - TIMELINE_HEIGHT);
+        if (this.chromaCanvas.width === width && this.chromaCanvas.height === height) return;
+        // Keep the newest columns, right-aligned
+        const snapshot = document.createElement('canvas');
+        snapshot.width = this.chromaCanvas.width;
+        snapshot.height = this.chromaCanvas.height;
+        if (snapshot.width > 0 && snapshot.height > 0) snapshot.getContext('2d').drawImage(this.chromaCanvas, 0, 0);
+        this.chromaCanvas.width = width;
+        this.chromaCanvas.height = height;
+        if (snapshot.width > 0 && snapshot.height > 0 && width > 0 && height > 0) {
+            this.chromaCtx.drawImage(snapshot, 0, 0, snapshot.width, snapshot.height,
+                width - snapshot.width, 0, snapshot.width, height);
+        }
+    }
+
+    _draw() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        const chromaHeight = this.chromaCanvas.height;
+        if (this.chromaCanvas.width <= 0 || chromaHeight <= 0) return;
+
+        ctx.drawImage(this.chromaCanvas, LABEL_WIDTH, 0);
+
+        // Pitch-class labels
+        const rowHeight = chromaHeight / 12;
+        ctx.save();
+        ctx.font = `${Math.min(11, Math.max(7, rowHeight - 1))}px sans-serif`;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let pc = 0; pc < 12; pc++) {
+            ctx.fillStyle = this.key && pc === this.key.tonic ? '#ffd54f' : 'rgba(255, 255, 255, 0.7)';
+            ctx.fillText(PITCH_CLASSES[pc], LABEL_WIDTH - 4, chromaHeight - (pc + 0.5) * rowHeight);
+        }
+        ctx.restore();
+
+        this._drawTimeline(chromaHeight, width);
+        this._drawOverlay();
+    }
+
+    // Chord segments, right-aligned with the chromagram columns
+    _drawTimeline(top, width) {
+        const ctx = this.ctx;
+        const w = this.columnWidth;
+        const columns = this.chordColumns;
+        const right = LABEL_WIDTH + this.chromaCanvas.width;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+        ctx.fillRect(LABEL_WIDTH, top, width - LABEL_WIDTH, TIMELINE_HEIGHT);
+        if (columns.length === 0) return;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(LABEL_WIDTH, top, width - LABEL_WIDTH, TIMELINE_HEIGHT);
+        ctx.clip();
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        let segmentEnd = columns.length;
+        let shade = 0;
+        for (let i = columns.length - 1; i >= -1; i--) {
+            if (i >= 0 && columns[i] === columns[segmentEnd - 1]) continue;
+            // Segment covers columns i+1 .. segmentEnd-1
+            const chord = columns[segmentEnd - 1];
+            const x0 = right - (columns.length - (i + 1)) * w;
+            const x1 = right - (columns.length - segmentEnd) * w;
+            if (chord !== NO_CHORD) {
+                ctx.fillStyle = shade % 2 === 0 ? 'rgba(79, 195, 247, 0.35)' : 'rgba(79, 195, 247, 0.2)';
+                ctx.fillRect(x0, top + 2, x1 - x0 - 1, TIMELINE_HEIGHT - 4);
+                const label = chordLabels[chord];
+                if (ctx.measureText(label).width + 6 < x1 - x0) {
+                    ctx.fillStyle = 'white';
+                    ctx.fillText(label, Math.max(x0, LABEL_WIDTH) + 3, top + TIMELINE_HEIGHT / 2);
+                }
+            }
+            shade++;
+            segmentEnd = i + 1;
+        }
+        ctx.restore();
+    }
+
+    _drawOverlay() {
+        const ctx = this.ctx;
+        const lines = [];
+        lines.push(`Key: ${this.key ? this.key.name : '—'}`);
+        const current = this.chordColumns[this.chordColumns.length - 1];
+        lines.push(`Chord: ${current === undefined || current === NO_CHORD ? '—' : chordLabels[current]}`);
+        if (this.extractor) {
+            const cents = this.extractor.tuningCents;
+            const a4 = 440 * 2 ** (cents / 1200);
+            lines.push(`Tuning: ${cents >= 0 ? '+' : ''}${cents.toFixed(0)} ¢ (A4 ${a4.toFixed(1)} Hz)`);
+        }
+        ctx.save();
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(LABEL_WIDTH + 4, 4, boxWidth, lines.length * 16 + 6);
+        ctx.fillStyle = 'white';
+        lines.forEach((line, i) => ctx.fillText(line, LABEL_WIDTH + 10, 8 + i * 16));
+        ctx.restore();
+    }
+}
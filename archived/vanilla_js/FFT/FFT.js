@@ -1,46 +1,307 @@
-export class FFT {
-    static neg2pi = -2 * Math.PI;
-    static fft_in_place(re, im) {
-        const n = re.length;
-        const levels = Math.log2(n);
-        if (Math.floor(levels) !== levels) {
-            throw new Error('FFT size must be power of 2');
+// FFT.js - Cached FFT plans
+//
+// A plan precomputes everything that only depends on the transform size
+// (bit-reversal permutation, twiddle tables), so repeated transforms of the
+// same size only do the butterflies. Plans are cached per size; get them with
+// FFT.plan(n) (complex) or FFT.realPlan(n) (real input).
+
+function isPowerOfTwo(n) {
+    return n > 0 && (n & (n - 1)) === 0;
+}
+
+// Radix-2 Cooley-Tukey transform for power-of-two sizes
+export class FFTPlan {
+    constructor(n) {
+        if (!isPowerOfTwo(n)) {
+            throw new Error('FFTPlan size must be power of 2');
         }
+        this.n = n;
+        const levels = Math.log2(n);
 
         // Bit-reversed addressing
+        this.bitReverse = new Uint32Array(n);
         for (let i = 0; i < n; i++) {
             let j = 0;
             for (let k = 0; k < levels; k++) {
                 j = (j << 1) | ((i >>> k) & 1);
             }
+            this.bitReverse[i] = j;
+        }
+
+        // Twiddle factors e^{2πik/n} for k < n/2
+        const half = n >> 1;
+        this.cosTable = new Float64Array(half);
+        this.sinTable = new Float64Array(half);
+        for (let k = 0; k < half; k++) {
+            this.cosTable[k] = Math.cos((2 * Math.PI * k) / n);
+            this.sinTable[k] = Math.sin((2 * Math.PI * k) / n);
+        }
+    }
+
+    // In-place forward transform, X[k] = Σ x[t] e^{-2πikt/n}
+    forward(re, im) {
+        this._transform(re, im, -1);
+    }
+
+    // In-place inverse transform, scaled by 1/n so inverse(forward(x)) = x
+    inverse(re, im) {
+        this._transform(re, im, 1);
+        const scale = 1 / this.n;
+        for (let i = 0; i < this.n; i++) {
+            re[i] *= scale;
+            im[i] *= scale;
+        }
+    }
+
+    _transform(re, im, sign) {
+        const n = this.n;
+        const rev = this.bitReverse;
+        for (let i = 0; i < n; i++) {
+            const j = rev[i];
             if (j > i) {
-                [re[i], re[j]] = [re[j], re[i]];
-                [im[i], im[j]] = [im[j], im[i]];
+                let t = re[i]; re[i] = re[j]; re[j] = t;
+                t = im[i]; im[i] = im[j]; im[j] = t;
             }
         }
 
-        // Cooley-Tukey FFT
+        const cosTable = this.cosTable;
+        const sinTable = this.sinTable;
         for (let size = 2; size <= n; size <<= 1) {
             const halfSize = size >> 1;
             const tableStep = n / size;
-            const nfactor = this.neg2pi / n;
             for (let i = 0; i < n; i += size) {
-                for (let j = 0; j < halfSize; j++) {
-                    const k = j * tableStep;
-                    const ijh = i + j + halfSize;
-                    const trigfactor = nfactor * k;
-                    const cosfactor = Math.cos(trigfactor);
-                    const sinfactor = Math.sin(trigfactor);
-                    const tRe = cosfactor * re[ijh]
-                        - sinfactor * im[ijh];
-                    const tIm = sinfactor * re[ijh]
-                        + cosfactor * im[ijh];
-                    re[ijh] = re[i + j] - tRe;
-                    im[ijh] = im[i + j] - tIm;
-                    re[i + j] += tRe;
-                    im[i + j] += tIm;
+                for (let j = 0, k = 0; j < halfSize; j++, k += tableStep) {
+                    const cosfactor = cosTable[k];
+                    const sinfactor = sign * sinTable[k];
+                    const ij = i + j;
+                    const ijh = ij + halfSize;
+                    const tRe = cosfactor * re[ijh] - sinfactor * im[ijh];
+                    const tIm = sinfactor * re[ijh] + cosfactor * im[ijh];
+                    re[ijh] = re[ij] - tRe;
+                    im[ijh] = im[ij] - tIm;
+                    re[ij] += tRe;
+                    im[ij] += tIm;
                 }
             }
         }
     }
-}
\ No newline at end of file
+}
+
+// Bluestein (chirp-z) transform for arbitrary sizes, built on a power-of-two plan
+export class BluesteinPlan {
+    constructor(n) {
+        this.n = n;
+        this.m = 1;
+        while (this.m < 2 * n - 1) this.m <<= 1;
+        this.inner = FFT.plan(this.m);
+
+        // Chirp w[k] = e^{-πik²/n}; k² is reduced mod 2n to keep the angle accurate
+        this.chirpRe = new Float64Array(n);
+        this.chirpIm = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const angle = (Math.PI * ((k * k) % (2 * n))) / n;
+            this.chirpRe[k] = Math.cos(angle);
+            this.chirpIm[k] = -Math.sin(angle);
+        }
+
+        // Spectrum of the conjugate chirp, wrapped for circular convolution
+        this.kernelRe = new Float64Array(this.m);
+        this.kernelIm = new Float64Array(this.m);
+        this.kernelRe[0] = this.chirpRe[0];
+        this.kernelIm[0] = -this.chirpIm[0];
+        for (let k = 1; k < n; k++) {
+            this.kernelRe[k] = this.kernelRe[this.m - k] = this.chirpRe[k];
+            this.kernelIm[k] = this.kernelIm[this.m - k] = -this.chirpIm[k];
+        }
+        this.inner.forward(this.kernelRe, this.kernelIm);
+
+        this.workRe = new Float64Array(this.m);
+        this.workIm = new Float64Array(this.m);
+    }
+
+    forward(re, im) {
+        this._transform(re, im);
+    }
+
+    // Inverse via conjugation: x = conj(F(conj(X))) / n
+    inverse(re, im) {
+        const n = this.n;
+        for (let i = 0; i < n; i++) im[i] = -im[i];
+        this._transform(re, im);
+        const scale = 1 / n;
+        for (let i = 0; i < n; i++) {
+            re[i] *= scale;
+            im[i] *= -scale;
+        }
+    }
+
+    _transform(re, im) {
+        const { n, m, chirpRe, chirpIm, workRe, workIm } = this;
+        workRe.fill(0);
+        workIm.fill(0);
+        for (let k = 0; k < n; k++) {
+            workRe[k] = re[k] * chirpRe[k] - im[k] * chirpIm[k];
+            workIm[k] = re[k] * chirpIm[k] + im[k] * chirpRe[k];
+        }
+
+        this.inner.forward(workRe, workIm);
+        for (let k = 0; k < m; k++) {
+            const a = workRe[k];
+            const b = workIm[k];
+            workRe[k] = a * this.kernelRe[k] - b * this.kernelIm[k];
+            workIm[k] = a * this.kernelIm[k] + b * this.kernelRe[k];
+        }
+        this.inner.inverse(workRe, workIm);
+
+        for (let k = 0; k < n; k++) {
+            re[k] = workRe[k] * chirpRe[k] - workIm[k] * chirpIm[k];
+            im[k] = workRe[k] * chirpIm[k] + workIm[k] * chirpRe[k];
+        }
+    }
+}
+
+// Transform of n real samples, returning the n/2 + 1 non-redundant bins.
+// Even sizes pack the input into an n/2-point complex transform.
+export class RealFFTPlan {
+    constructor(n) {
+        this.n = n;
+        this.binCount = Math.floor(n / 2) + 1;
+        this.packed = n % 2 === 0;
+        const inner = this.packed ? n / 2 : n;
+        this.inner = FFT.plan(inner);
+        this.workRe = new Float64Array(inner);
+        this.workIm = new Float64Array(inner);
+
+        if (this.packed) {
+            // Split twiddles e^{-2πik/n} for k <= n/2
+            this.twRe = new Float64Array(inner + 1);
+            this.twIm = new Float64Array(inner + 1);
+            for (let k = 0; k <= inner; k++) {
+                this.twRe[k] = Math.cos((2 * Math.PI * k) / n);
+                this.twIm[k] = -Math.sin((2 * Math.PI * k) / n);
+            }
+        }
+    }
+
+    /**
+     * forward(input, outRe, outIm)
+     * input: n real samples. outRe/outIm: receive bins 0..n/2.
+     */
+    forward(input, outRe, outIm) {
+        const { workRe, workIm } = this;
+        if (!this.packed) {
+            workRe.set(input);
+            workIm.fill(0);
+            this.inner.forward(workRe, workIm);
+            for (let k = 0; k < this.binCount; k++) {
+                outRe[k] = workRe[k];
+                outIm[k] = workIm[k];
+            }
+            return;
+        }
+
+        // z[t] = x[2t] + i·x[2t+1]
+        const m = this.n / 2;
+        for (let t = 0; t < m; t++) {
+            workRe[t] = input[2 * t];
+            workIm[t] = input[2 * t + 1];
+        }
+        this.inner.forward(workRe, workIm);
+
+        // X[k] = E[k] + W^k·O[k], with E/O the spectra of the even/odd samples:
+        // E[k] = (Z[k] + conj(Z[m-k])) / 2, O[k] = (Z[k] - conj(Z[m-k])) / 2i
+        for (let k = 0; k <= m; k++) {
+            const zr = workRe[k % m];
+            const zi = workIm[k % m];
+            const cr = workRe[(m - k) % m];
+            const ci = -workIm[(m - k) % m];
+            const eRe = (zr + cr) / 2;
+            const eIm = (zi + ci) / 2;
+            const oRe = (zi - ci) / 2;
+            const oIm = -(zr - cr) / 2;
+            outRe[k] = eRe + this.twRe[k] * oRe - this.twIm[k] * oIm;
+            outIm[k] = eIm + this.twRe[k] * oIm + this.twIm[k] * oRe;
+        }
+    }
+
+    /**
+     * inverse(inRe, inIm, output)
+     * inRe/inIm: bins 0..n/2 of a real signal's spectrum. output: receives n samples.
+     */
+    inverse(inRe, inIm, output) {
+        const { workRe, workIm } = this;
+        const n = this.n;
+        if (!this.packed) {
+            // Rebuild the full Hermitian spectrum
+            for (let k = 0; k < this.binCount; k++) {
+                workRe[k] = inRe[k];
+                workIm[k] = inIm[k];
+            }
+            for (let k = this.binCount; k < n; k++) {
+                workRe[k] = inRe[n - k];
+                workIm[k] = -inIm[n - k];
+            }
+            this.inner.inverse(workRe, workIm);
+            for (let t = 0; t < n; t++) output[t] = workRe[t];
+            return;
+        }
+
+        // Z[k] = E[k] + i·O[k], E[k] = (X[k] + conj(X[m-k])) / 2,
+        // O[k] = (X[k] - conj(X[m-k]))·W^{-k} / 2
+        const m = n / 2;
+        for (let k = 0; k < m; k++) {
+            const xr = inRe[k];
+            const xi = inIm[k];
+            const cr = inRe[m - k];
+            const ci = -inIm[m - k];
+            const eRe = (xr + cr) / 2;
+            const eIm = (xi + ci) / 2;
+            const dRe = (xr - cr) / 2;
+            const dIm = (xi - ci) / 2;
+            // multiply by conj(W^k)
+            const oRe = dRe * this.twRe[k] + dIm * this.twIm[k];
+            const oIm = dIm * this.twRe[k] - dRe * this.twIm[k];
+            workRe[k] = eRe - oIm;
+            workIm[k] = eIm + oRe;
+        }
+        this.inner.inverse(workRe, workIm);
+        for (let t = 0; t < m; t++) {
+            output[2 * t] = workRe[t];
+            output[2 * t + 1] = workIm[t];
+        }
+    }
+}
+
+export class FFT {
+    static neg2pi = -2 * Math.PI;
+    static plans = new Map();
+    static realPlans = new Map();
+
+    // Cached complex plan; power-of-two sizes use radix-2, others Bluestein
+    static plan(n) {
+        let plan = this.plans.get(n);
+        if (!plan) {
+            plan = isPowerOfTwo(n) ? new FFTPlan(n) : new BluesteinPlan(n);
+            this.plans.set(n, plan);
+        }
+        return plan;
+    }
+
+    // Cached real-input plan
+    static realPlan(n) {
+        let plan = this.realPlans.get(n);
+        if (!plan) {
+            plan = new RealFFTPlan(n);
+            this.realPlans.set(n, plan);
+        }
+        return plan;
+    }
+
+    static fft_in_place(re, im) {
+        this.plan(re.length).forward(re, im);
+    }
+
+    static ifft_in_place(re, im) {
+        this.plan(re.length).inverse(re, im);
+    }
+}
@@ -0,0 +1,120 @@
+// windows.js - Analysis window functions
+//
+// Windows are symmetric and peak at 1. Windows with a shape parameter
+// (Kaiser's beta, the Gaussian's sigma) describe it with `param`, so settings
+// UIs can offer an input for it.
+
+// Sum-of-cosines window: a0 - a1 cos(x) + a2 cos(2x) - ...
+function cosineSum(coefficients) {
+    return (n, N) => {
+        const x = (2 * Math.PI * n) / (N - 1);
+        let value = 0;
+        for (let k = 0; k < coefficients.length; k++) {
+            value += (k % 2 === 0 ? 1 : -1) * coefficients[k] * Math.cos(k * x);
+        }
+        return value;
+    };
+}
+
+// Zeroth-order modified Bessel function of the first kind (power series)
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    const halfX = x / 2;
+    for (let k = 1; k < 50; k++) {
+        term *= (halfX / k) * (halfX / k);
+        sum += term;
+        if (term < sum * 1e-12) break;
+    }
+    return sum;
+}
+
+export const windowFunctions = {
+    hann: {
+        label: 'Hann',
+        value: cosineSum([0.5, 0.5])
+    },
+    hamming: {
+        label: 'Hamming',
+        value: cosineSum([0.54, 0.46])
+    },
+    blackmanHarris: {
+        // 4-term, -92 dB sidelobes
+        label: 'Blackman-Harris',
+        value: cosineSum([0.35875, 0.48829, 0.14128, 0.01168])
+    },
+    kaiser: {
+        label: 'Kaiser',
+        param: { label: 'Beta', default: 8.6, min: 0, max: 40, step: 0.1 },
+        value: (n, N, beta) => {
+            const r = (2 * n) / (N - 1) - 1;
+            return besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / besselI0(beta);
+        }
+    },
+    flatTop: {
+        // Amplitude-accurate to about 0.01 dB regardless of where a tone falls
+        label: 'Flat-top',
+        value: cosineSum([0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368])
+    },
+    gaussian: {
+        label: 'Gaussian',
+        param: { label: 'Sigma', default: 0.4, min: 0.05, max: 0.5, step: 0.01 },
+        value: (n, N, sigma) => {
+            const half = (N - 1) / 2;
+            const t = (n - half) / (sigma * half);
+            return Math.exp(-0.5 * t * t);
+        }
+    },
+    rectangular: {
+        label: 'Rectangular',
+        value: () => 1
+    }
+};
+
+/**
+ * makeWindow(name, size, param)
+ * Returns a Float32Array of `size` window samples. `param` defaults to the
+ * window's own default when it has one.
+ */
+export function makeWindow(name, size, param) {
+    const fn = windowFunctions[name];
+    if (!fn) {
+        throw new Error(`Unknown window function: ${name}`);
+    }
+    const p = param ?? fn.param?.default;
+    const window = new Float32Array(size);
+    if (size === 1) {
+        window[0] = 1;
+        return window;
+    }
+    for (let n = 0; n < size; n++) {
+        window[n] = fn.value(n, size, p);
+    }
+    return window;
+}
+
+/**
+ * coherentGain(window)
+ * Mean of the window: the factor a windowed sinusoid's spectral peak is
+ * scaled by. Dividing by it makes magnitudes comparable across windows.
+ */
+export function coherentGain(window) {
+    let sum = 0;
+    for (let i = 0; i < window.length; i++) sum += window[i];
+    return sum / window.length;
+}
+
+/**
+ * equivalentNoiseBandwidth(window)
+ * Width in bins of the ideal filter passing as much noise as the window does.
+ * Summed bin powers overread a tone by this factor.
+ */
+export function equivalentNoiseBandwidth(window) {
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < window.length; i++) {
+        sum += window[i];
+        sumSquares += window[i] * window[i];
+    }
+    return (window.length * sumSquares) / (sum * sum);
+}
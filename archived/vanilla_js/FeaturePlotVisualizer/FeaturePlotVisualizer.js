@@ -0,0 +1,183 @@
+// FeaturePlotVisualizer.js - Selected audio features over time
+//
+// Plots any of the shared FeatureExtractor's features, one lane each, with
+// time scrolling right to left and now at the right edge. Every lane scales
+// itself to the range of its feature currently on screen, so features of
+// very different units and sizes read side by side.
+
+import { FeatureExtractor } from '../Features/FeatureExtractor.js';
+import { featureDescriptors } from '../Features/features.js';
+import { makeSelect, makeRow } from '../controlPanel/settingsControls.js';
+
+const MAX_SECONDS = 30;
+const LANE_COLORS = ['#4fc3f7', '#ffb74d', '#81c784', '#e57373', '#ba68c8', '#fff176', '#4db6ac', '#f06292'];
+
+export class FeaturePlotVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+
+        this.canvas.close = () => {
+            this._stop();
+        };
+
+        this.secondsShown = 10;
+        this.selected = new Set(['rms', 'centroid', 'flux']);
+
+        // Feature frames, oldest first
+        this.history = [];
+
+        this.extractor = null;
+        this._running = false;
+        this._onFeatures = this._onFeatures.bind(this);
+        this._renderLoop = this._renderLoop.bind(this);
+        this._createSettingsUI();
+    }
+
+    _createSettingsUI() {
+        const timeRow = makeRow(this.settingsDiv);
+        makeSelect(timeRow, 'Shown: ', [5, 10, 20, 30].map(s => [s, `${s} s`]), this.secondsShown, (value) => {
+            this.secondsShown = value;
+        });
+
+        const featureRow = makeRow(this.settingsDiv);
+        for (const [name, { label: text }] of Object.entries(featureDescriptors)) {
+            const featureLabel = document.createElement('label');
+            featureLabel.style.marginRight = '8px';
+            featureLabel.style.whiteSpace = 'nowrap';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selected.has(name);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.selected.add(name);
+                else this.selected.delete(name);
+            });
+            featureLabel.appendChild(checkbox);
+            featureLabel.appendChild(document.createTextNode(` ${text}`));
+            featureRow.appendChild(featureLabel);
+        }
+    }
+
+    _start() {
+        if (this._running) return;
+        this._running = true;
+        this.extractor = FeatureExtractor.acquire(this.audioSource);
+        this.extractor.addEventListener('features', this._onFeatures);
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _stop() {
+        this._running = false;
+        if (!this.extractor) return;
+        this.extractor.removeEventListener('features', this._onFeatures);
+        this.extractor.release();
+        this.extractor = null;
+    }
+
+    _onFeatures(e) {
+        const { frames } = e.detail;
+        for (const frame of frames) this.history.push(frame);
+        const oldest = frames[frames.length - 1].time - MAX_SECONDS;
+        let drop = 0;
+        while (drop < this.history.length && this.history[drop].time < oldest) drop++;
+        if (drop > 0) this.history.splice(0, drop);
+    }
+
+    _renderLoop() {
+        if (!this._running) return;
+        this._draw();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _draw() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        if (width <= 0 || height <= 0 || !this.extractor) return;
+
+        // Lanes in the order the features are listed, not the order ticked
+        const names = Object.keys(featureDescriptors).filter(name => this.selected.has(name));
+        if (names.length === 0) return;
+
+        const now = this.extractor.currentTime;
+        const from = now - this.secondsShown;
+        const pixelsPerSecond = width / this.secondsShown;
+        let first = 0;
+        while (first < this.history.length && this.history[first].time < from) first++;
+        const visible = this.history.slice(first);
+
+        const laneHeight = height / names.length;
+        ctx.save();
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'top';
+        names.forEach((name, lane) => {
+            const top = lane * laneHeight;
+            const color = LANE_COLORS[lane % LANE_COLORS.length];
+            if (lane > 0) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(0, Math.round(top) + 0.5);
+                ctx.lineTo(width, Math.round(top) + 0.5);
+                ctx.stroke();
+            }
+
+            let min = Infinity;
+            let max = -Infinity;
+            for (const frame of visible) {
+                const value = frame[name];
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (!(max >= min)) min = max = 0;
+            // A flat feature sits mid-lane rather than filling it
+            const pad = max > min ? 0 : Math.abs(max) / 2 || 1;
+            const low = min - pad;
+            const high = max + pad;
+            const plotTop = top + 16;
+            const plotHeight = Math.max(1, laneHeight - 20);
+            const yFor = (value) => plotTop + plotHeight * (1 - (value - low) / (high - low));
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            // Lines break where audio went missing, so a gap isn't bridged
+            const maxStep = 2 * this.extractor.settings.hopSize / (this.extractor.sampleRate || 44100);
+            let previousTime = null;
+            for (const frame of visible) {
+                const x = width - (now - frame.time) * pixelsPerSecond;
+                const y = yFor(frame[name]);
+                if (previousTime === null || frame.time - previousTime > maxStep) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+                previousTime = frame.time;
+            }
+            ctx.stroke();
+
+            const { label, unit } = featureDescriptors[name];
+            const latest = visible.length > 0 ? visible[visible.length - 1][name] : null;
+            ctx.fillStyle = color;
+            ctx.textAlign = 'left';
+            ctx.fillText(label, 6, top + 3);
+            const labelWidth = ctx.measureText(label).width;
+            ctx.textAlign = 'right';
+            ctx.fillText(latest === null ? '—' : this._format(latest, unit), width - 6, top + 3);
+            if (visible.length > 0) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+                ctx.font = '10px sans-serif';
+                ctx.textAlign = 'left';
+                ctx.fillText(`${this._format(min, unit)} – ${this._format(max, unit)}`, 12 + labelWidth, top + 4);
+                ctx.font = '11px sans-serif';
+            }
+        });
+        ctx.restore();
+    }
+
+    _format(value, unit) {
+        const magnitude = Math.abs(value);
+        const digits = magnitude >= 100 ? 0 : magnitude >= 1 ? 2 : 4;
+        return unit ? `${value.toFixed(digits)} ${unit}` : value.toFixed(digits);
+    }
+}
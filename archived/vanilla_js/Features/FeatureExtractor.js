@@ -0,0 +1,156 @@
+// FeatureExtractor.js - Shared, per-frame audio features for a source
+//
+// Acquire the extractor for a source and listen for 'features':
+//   detail: { frames: [{ time, rms, zcr, centroid, spread, flatness, rolloff, flux, mfcc0 .. mfcc12 }] }
+// with one entry per analysis frame (hopSize apart) since the last event.
+// time is the frame's start in seconds of analyzed audio, the clock
+// currentTime reads; missing audio advances it and restarts the flux.
+// Features are those of featureDescriptors (features.js). Extractors are
+// shared per source and settings; every acquire() must be paired with a
+// release().
+
+import { FFT } from '../FFT/FFT.js';
+import { makeWindow, coherentGain } from '../FFT/windows.js';
+import { deriveChannels } from '../channelModes/channelModes.js';
+import { rms, zeroCrossingRate, spectralShape, spectralFlux, MFCC, MFCC_COUNT } from './features.js';
+import { SharedInstances } from '../sourceRegistry/SharedInstances.js';
+
+const extractors = new SharedInstances((source, settings) => new FeatureExtractor(source, settings));
+
+export class FeatureExtractor extends EventTarget {
+    /**
+     * acquire(source, settings)
+     * Returns the shared extractor for this source and settings
+     * ({ fftSize, hopSize }), creating it if needed. Frames may overlap but
+     * not leave samples out, so hopSize must not exceed fftSize.
+     */
+    static acquire(source, settings = {}) {
+        const resolved = { fftSize: 2048, hopSize: 1024, ...settings };
+        if (!(resolved.hopSize > 0 && resolved.hopSize <= resolved.fftSize)) {
+            throw new Error(`FeatureExtractor: hopSize ${resolved.hopSize} must be between 1 and fftSize (${resolved.fftSize})`);
+        }
+        return extractors.acquire(source, resolved);
+    }
+
+    constructor(source, settings) {
+        super();
+        this.source = source;
+        this.settings = settings;
+
+        const { fftSize } = settings;
+        this.plan = FFT.realPlan(fftSize);
+        this.window = makeWindow('hann', fftSize);
+        // Scales magnitudes so a full-scale sine reads 1
+        this.magnitudeScale = 2 / (coherentGain(this.window) * fftSize);
+        this.windowed = new Float32Array(fftSize);
+        this.re = new Float32Array(this.plan.binCount);
+        this.im = new Float32Array(this.plan.binCount);
+        this.mags = new Float32Array(this.plan.binCount);
+        this.previousMags = null;
+        this.mfcc = null;
+        this.mfccValues = new Float32Array(MFCC_COUNT);
+
+        // Samples waiting for a full frame, and where the first one falls in
+        // the analyzed audio
+        this.pending = new Float32Array(0);
+        this.pendingStart = 0;
+        this.sampleRate = null;
+
+        this.subscription = source.subscribe();
+        this._running = true;
+        this._pullLoop = this._pullLoop.bind(this);
+        requestAnimationFrame(this._pullLoop);
+    }
+
+    /**
+     * currentTime
+     * End of the audio analyzed so far, in seconds.
+     */
+    get currentTime() {
+        return this.sampleRate ? (this.pendingStart + this.pending.length) / this.sampleRate : 0;
+    }
+
+    release() {
+        if (!extractors.release(this)) return;
+        this._running = false;
+        this.subscription.unsubscribe();
+    }
+
+    _pullLoop() {
+        if (!this._running) return;
+        const channels = this.subscription.pullAllSamples();
+        if (channels && channels.length > 0) this._addSamples(channels);
+        requestAnimationFrame(this._pullLoop);
+    }
+
+    _addSamples(channels) {
+        const sampleRate = this.subscription.sampleRate || 44100;
+        if (sampleRate !== this.sampleRate) {
+            this.sampleRate = sampleRate;
+            this.mfcc = new MFCC(this.plan.binCount, sampleRate / this.settings.fftSize);
+            this._restart();
+        }
+        const [signal] = deriveChannels(channels, 'mono');
+
+        // Samples on either side of a gap don't continue each other, so each
+        // stretch is framed on its own and the clock skips the missing audio
+        const frames = [];
+        let begin = 0;
+        for (const { offset, missingFrames } of this.subscription.gaps) {
+            this._frameSamples(signal.subarray(begin, offset), frames);
+            this.pendingStart += this.pending.length + missingFrames;
+            this._restart();
+            begin = offset;
+        }
+        this._frameSamples(signal.subarray(begin), frames);
+        if (frames.length > 0) {
+            this.dispatchEvent(new CustomEvent('features', { detail: { frames } }));
+        }
+    }
+
+    _restart() {
+        this.pending = new Float32Array(0);
+        this.previousMags = null;
+    }
+
+    _frameSamples(samples, frames) {
+        if (samples.length === 0) return;
+        const combined = new Float32Array(this.pending.length + samples.length);
+        combined.set(this.pending);
+        combined.set(samples, this.pending.length);
+
+        const { fftSize, hopSize } = this.settings;
+        let offset = 0;
+        for (; offset + fftSize <= combined.length; offset += hopSize) {
+            frames.push(this._analyzeFrame(combined.subarray(offset, offset + fftSize),
+                (this.pendingStart + offset) / this.sampleRate));
+        }
+        this.pending = combined.slice(offset);
+        this.pendingStart += offset;
+    }
+
+    _analyzeFrame(frame, time) {
+        const { fftSize } = this.settings;
+        for (let i = 0; i < fftSize; i++) this.windowed[i] = frame[i] * this.window[i];
+        this.plan.forward(this.windowed, this.re, this.im);
+        const mags = this.mags;
+        for (let k = 0; k < mags.length; k++) {
+            mags[k] = Math.hypot(this.re[k], this.im[k]) * this.magnitudeScale;
+        }
+
+        const binHz = this.sampleRate / fftSize;
+        const features = {
+            time,
+            rms: rms(frame),
+            zcr: zeroCrossingRate(frame),
+            ...spectralShape(mags, binHz),
+            flux: this.previousMags ? spectralFlux(mags, this.previousMags) : 0
+        };
+        this.mfcc.compute(mags, this.mfccValues);
+        for (let c = 0; c < MFCC_COUNT; c++) features[`mfcc${c}`] = this.mfccValues[c];
+
+        if (!this.previousMags) this.previousMags = new Float32Array(mags.length);
+        this.previousMags.set(mags);
+        return features;
+    }
+}
@@ -0,0 +1,158 @@
+// features.js - Frame-level audio features
+//
+// Time-domain features take a frame of samples; spectral ones take the
+// magnitude spectrum of a windowed frame (bins 0..n/2) and its bin spacing.
+
+/**
+ * featureDescriptors
+ * Every feature FeatureExtractor reports, by key, with a display label and unit.
+ */
+export const featureDescriptors = {
+    rms: { label: 'RMS', unit: '' },
+    zcr: { label: 'Zero-crossing rate', unit: '/sample' },
+    centroid: { label: 'Spectral centroid', unit: 'Hz' },
+    spread: { label: 'Spectral spread', unit: 'Hz' },
+    flatness: { label: 'Spectral flatness', unit: '' },
+    rolloff: { label: 'Spectral rolloff', unit: 'Hz' },
+    flux: { label: 'Spectral flux', unit: '' }
+};
+export const MFCC_COUNT = 13;
+for (let i = 0; i < MFCC_COUNT; i++) {
+    featureDescriptors[`mfcc${i}`] = { label: `MFCC ${i}`, unit: '' };
+}
+
+/**
+ * rms(frame)
+ * Root-mean-square level.
+ */
+export function rms(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+    return Math.sqrt(sum / frame.length);
+}
+
+/**
+ * zeroCrossingRate(frame)
+ * Sign changes per sample.
+ */
+export function zeroCrossingRate(frame) {
+    let crossings = 0;
+    for (let i = 1; i < frame.length; i++) {
+        if ((frame[i] >= 0) !== (frame[i - 1] >= 0)) crossings++;
+    }
+    return crossings / Math.max(1, frame.length - 1);
+}
+
+/**
+ * spectralShape(mags, binHz, rolloffShare = 0.85)
+ * { centroid, spread, flatness, rolloff } of a magnitude spectrum. Centroid
+ * and spread are magnitude-weighted, in Hz; flatness is the geometric over
+ * the arithmetic mean of the power (1 for white noise, near 0 for a tone);
+ * rolloff is the frequency below which rolloffShare of the power lies.
+ */
+export function spectralShape(mags, binHz, rolloffShare = 0.85) {
+    let magSum = 0;
+    let weighted = 0;
+    let power = 0;
+    let logPower = 0;
+    const bins = mags.length - 1;
+    // DC says nothing about the shape
+    for (let k = 1; k <= bins; k++) {
+        const m = mags[k];
+        magSum += m;
+        weighted += m * k * binHz;
+        power += m * m;
+        logPower += Math.log(m * m + 1e-20);
+    }
+    if (magSum <= 0) return { centroid: 0, spread: 0, flatness: 0, rolloff: 0 };
+
+    const centroid = weighted / magSum;
+    let variance = 0;
+    for (let k = 1; k <= bins; k++) {
+        const d = k * binHz - centroid;
+        variance += mags[k] * d * d;
+    }
+    const flatness = Math.exp(logPower / bins) / (power / bins);
+
+    let rolloff = bins * binHz;
+    let cumulative = 0;
+    for (let k = 1; k <= bins; k++) {
+        cumulative += mags[k] * mags[k];
+        if (cumulative >= rolloffShare * power) {
+            rolloff = k * binHz;
+            break;
+        }
+    }
+    return { centroid, spread: Math.sqrt(variance / magSum), flatness, rolloff };
+}
+
+/**
+ * spectralFlux(mags, previous)
+ * Euclidean norm of the rises in magnitude since the previous spectrum.
+ */
+export function spectralFlux(mags, previous) {
+    let sum = 0;
+    for (let k = 0; k < mags.length; k++) {
+        const rise = mags[k] - previous[k];
+        if (rise > 0) sum += rise * rise;
+    }
+    return Math.sqrt(sum);
+}
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+export class MFCC {
+    /**
+     * new MFCC(binCount, binHz, { bands, coefficients, minFreq, maxFreq })
+     * Triangular mel filterbank (HTK mel scale) over power spectra of
+     * binCount bins, log band energies, then an orthonormal DCT-II.
+     */
+    constructor(binCount, binHz, { bands = 40, coefficients = MFCC_COUNT, minFreq = 20, maxFreq = null } = {}) {
+        const top = Math.min(maxFreq ?? Infinity, (binCount - 1) * binHz);
+        const melMin = hzToMel(minFreq);
+        const melMax = hzToMel(top);
+        const edges = Array.from({ length: bands + 2 }, (_, i) => melToHz(melMin + ((melMax - melMin) * i) / (bands + 1)));
+        // Each filter as { first bin, weights }
+        this.filters = [];
+        for (let b = 0; b < bands; b++) {
+            const [low, center, high] = [edges[b], edges[b + 1], edges[b + 2]];
+            const first = Math.max(0, Math.ceil(low / binHz));
+            const last = Math.min(binCount - 1, Math.floor(high / binHz));
+            const weights = new Float32Array(Math.max(0, last - first + 1));
+            for (let k = first; k <= last; k++) {
+                const f = k * binHz;
+                weights[k - first] = f <= center ? (f - low) / (center - low) : (high - f) / (high - center);
+            }
+            this.filters.push({ first, weights });
+        }
+        this.coefficients = coefficients;
+        this.energies = new Float32Array(bands);
+        this.dct = [];
+        for (let c = 0; c < coefficients; c++) {
+            const scale = Math.sqrt((c === 0 ? 1 : 2) / bands);
+            this.dct.push(Float32Array.from({ length: bands }, (_, b) => scale * Math.cos((Math.PI * c * (b + 0.5)) / bands)));
+        }
+    }
+
+    /**
+     * compute(mags, out)
+     * Coefficients c0..c(coefficients-1) of one magnitude spectrum into out.
+     */
+    compute(mags, out) {
+        const energies = this.energies;
+        for (let b = 0; b < this.filters.length; b++) {
+            const { first, weights } = this.filters[b];
+            let sum = 0;
+            for (let i = 0; i < weights.length; i++) sum += weights[i] * mags[first + i] * mags[first + i];
+            energies[b] = Math.log(sum + 1e-10);
+        }
+        for (let c = 0; c < this.coefficients; c++) {
+            const basis = this.dct[c];
+            let sum = 0;
+            for (let b = 0; b < energies.length; b++) sum += basis[b] * energies[b];
+            out[c] = sum;
+        }
+        return out;
+    }
+}
@@ -0,0 +1,333 @@
+// LoudnessVisualizer.js - Level and loudness meters
+//
+// Meters view: a bar per channel (RMS, sample peak with peak hold, true-peak
+// marker) beside momentary / short-term / integrated loudness bars and
+// readouts. History view: momentary and short-term loudness scrolling by,
+// with the integrated value as a line.
+
+import { LoudnessMeter } from './loudness.js';
+import { makeSelect } from '../controlPanel/settingsControls.js';
+
+const LEVEL_FLOOR_DB = -60;
+const LOUDNESS_FLOOR = -60;
+const LOUDNESS_CEILING = 0;
+const PEAK_HOLD_SECONDS = 1.5;
+const PEAK_FALL_DB_PER_SECOND = 20;
+
+function toDb(amplitude) {
+    return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+function formatLevel(value, unit) {
+    return Number.isFinite(value) ? `${value.toFixed(1)} ${unit}` : `-∞ ${unit}`;
+}
+
+export class LoudnessVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+        this.isRunning = false;
+        this.subscription = null;
+
+        this.mode = 'meters';
+        this.historySeconds = 60;
+        this.meter = null;
+
+        // Per channel display state: falling peak bar and held peak
+        this.channelDisplay = [];
+        // One { momentary, shortTerm } point per 100 ms measured
+        this.history = [];
+        this.lastSubblock = 0;
+        this.lastFrameTime = null;
+        this.setupUI();
+    }
+
+    setupUI() {
+        makeSelect(this.settingsDiv, 'View: ', [['meters', 'Meters'], ['history', 'History']], this.mode, (value) => {
+            this.mode = value;
+        });
+        makeSelect(this.settingsDiv, 'History: ', [[30, '30 s'], [60, '1 min'], [300, '5 min'], [900, '15 min']],
+            this.historySeconds, (value) => {
+                this.historySeconds = value;
+            });
+
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset';
+        resetButton.addEventListener('click', () => this.reset());
+        this.settingsDiv.appendChild(resetButton);
+    }
+
+    /** reset() - Restart integrated loudness, LRA, max true peak and history. */
+    reset() {
+        if (this.meter) this.meter.reset();
+        this.channelDisplay = [];
+        this.history = [];
+        this.lastSubblock = 0;
+    }
+
+    _start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.subscription = this.audioSource.subscribe();
+        this.renderLoop();
+    }
+
+    _stop() {
+        this.isRunning = false;
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+            this.subscription = null;
+        }
+    }
+
+    renderLoop() {
+        if (!this.isRunning) return;
+        this.processSamples();
+        this.draw();
+        requestAnimationFrame(() => this.renderLoop());
+    }
+
+    processSamples() {
+        const samples = this.subscription.pullAllSamples();
+        if (!samples || samples.length === 0) return;
+
+        const sampleRate = this.subscription.sampleRate || 44100;
+        if (!this.meter || this.meter.sampleRate !== sampleRate || this.meter.numChannels !== samples.length) {
+            this.meter = new LoudnessMeter(sampleRate, samples.length);
+            this.reset();
+        }
+        // Measure each stretch of contiguous audio on its own
+        let begin = 0;
+        for (const { offset } of this.subscription.gaps) {
+            this.meter.process(samples.map(ch => ch.subarray(begin, offset)));
+            this.meter.restart();
+            begin = offset;
+        }
+        this.meter.process(begin === 0 ? samples : samples.map(ch => ch.subarray(begin)));
+
+        // Record a history point for every 100 ms the meter finished
+        const count = this.meter.subblockCount;
+        if (count > this.lastSubblock) {
+            const point = { momentary: this.meter.momentary, shortTerm: this.meter.shortTerm };
+            for (let i = this.lastSubblock; i < count; i++) this.history.push(point);
+            this.lastSubblock = count;
+            const maxPoints = this.historySeconds * 10;
+            if (this.history.length > maxPoints) this.history.splice(0, this.history.length - maxPoints);
+        }
+    }
+
+    // Peak ballistics: instant attack, hold, then a steady fall in dB
+    _updateChannelDisplay(now) {
+        const elapsed = this.lastFrameTime === null ? 0 : (now - this.lastFrameTime) / 1000;
+        this.lastFrameTime = now;
+        const levels = this.meter.takeChannelLevels();
+        levels.forEach((level, ch) => {
+            let display = this.channelDisplay[ch];
+            if (!display) {
+                display = this.channelDisplay[ch] = { peakDb: -Infinity, holdDb: -Infinity, holdAge: 0, truePeakDb: -Infinity };
+            }
+            const peakDb = toDb(level.peak);
+            display.peakDb = Math.max(peakDb, display.peakDb - PEAK_FALL_DB_PER_SECOND * elapsed);
+            display.holdAge += elapsed;
+            if (peakDb >= display.holdDb || display.holdAge > PEAK_HOLD_SECONDS) {
+                display.holdDb = peakDb;
+                display.holdAge = 0;
+            }
+            display.truePeakDb = Math.max(toDb(level.truePeak), display.truePeakDb - PEAK_FALL_DB_PER_SECOND * elapsed);
+            display.rmsDb = toDb(level.rms);
+        });
+    }
+
+    draw() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        this.ctx.clearRect(0, 0, width, height);
+        if (!this.meter) return;
+        this._updateChannelDisplay(performance.now());
+        if (this.mode === 'history') {
+            this._drawHistory(width, height);
+        } else {
+            this._drawMeters(width, height);
+        }
+    }
+
+    _drawMeters(width, height) {
+        const ctx = this.ctx;
+        const top = 10;
+        const bottom = height - 70;
+        const barHeight = Math.max(0, bottom - top);
+        const dbToY = (db, floor, ceiling) => {
+            const norm = Math.min(1, Math.max(0, (db - floor) / (ceiling - floor)));
+            return bottom - norm * barHeight;
+        };
+
+        // Channel level bars
+        const numChannels = this.channelDisplay.length;
+        const barWidth = 18;
+        const scaleX = 34;
+        let x = scaleX + 6;
+        this._drawScale(scaleX, top, bottom, LEVEL_FLOOR_DB, 0, 'dBFS');
+        this.channelDisplay.forEach((display, ch) => {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.fillRect(x, top, barWidth, barHeight);
+            // Peak bar behind, RMS in front
+            const peakY = dbToY(display.peakDb, LEVEL_FLOOR_DB, 0);
+            ctx.fillStyle = display.peakDb > -1 ? '#ff6b6b' : display.peakDb > -9 ? '#ffd54f' : '#4caf50';
+            ctx.globalAlpha = 0.45;
+            ctx.fillRect(x, peakY, barWidth, bottom - peakY);
+            ctx.globalAlpha = 1;
+            const rmsY = dbToY(display.rmsDb, LEVEL_FLOOR_DB, 0);
+            ctx.fillRect(x, rmsY, barWidth, bottom - rmsY);
+            // Peak hold line and true-peak tick
+            ctx.fillStyle = 'white';
+            ctx.fillRect(x, Math.round(dbToY(display.holdDb, LEVEL_FLOOR_DB, 0)), barWidth, 2);
+            ctx.fillStyle = '#ff8a65';
+            const tpY = Math.round(dbToY(display.truePeakDb, LEVEL_FLOOR_DB, 0));
+            ctx.fillRect(x - 3, tpY, 3, 2);
+            ctx.fillRect(x + barWidth, tpY, 3, 2);
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            const label = numChannels === 2 ? ['L', 'R'][ch] : `${ch + 1}`;
+            ctx.fillText(label, x + barWidth / 2, bottom + 4);
+            x += barWidth + 8;
+        });
+
+        // Loudness bars
+        const meter = this.meter;
+        const loudnessX = x + 40;
+        this._drawScale(loudnessX - 6, top, bottom, LOUDNESS_FLOOR, LOUDNESS_CEILING, 'LUFS');
+        [['M', meter.momentary], ['S', meter.shortTerm], ['I', meter.integrated]].forEach(([label, value], i) => {
+            const bx = loudnessX + i * (barWidth + 8);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.fillRect(bx, top, barWidth, barHeight);
+            const y = dbToY(value, LOUDNESS_FLOOR, LOUDNESS_CEILING);
+            ctx.fillStyle = '#4fc3f7';
+            ctx.fillRect(bx, y, barWidth, bottom - y);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.textAlign = 'center';
+            ctx.fillText(label, bx + barWidth / 2, bottom + 4);
+        });
+
+        // Readouts
+        const lines = [
+            `Momentary   ${formatLevel(meter.momentary, 'LUFS')}`,
+            `Short-term  ${formatLevel(meter.shortTerm, 'LUFS')}`,
+            `Integrated  ${formatLevel(meter.integrated, 'LUFS')}`,
+            `Range       ${meter.loudnessRange.toFixed(1)} LU`,
+            `Max true peak ${formatLevel(toDb(meter.maxTruePeak), 'dBTP')}`
+        ];
+        ctx.font = '12px monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'white';
+        // Beside the bars if there's room, else in two columns underneath
+        const textX = loudnessX + 3 * (barWidth + 8) + 16;
+        const fitsBeside = textX + 200 <= width;
+        lines.forEach((line, i) => {
+            if (fitsBeside) ctx.fillText(line, textX, top + i * 16);
+            else ctx.fillText(line, i < 3 ? 6 : width / 2, bottom + 18 + (i % 3) * 16);
+        });
+    }
+
+    // dB scale with labels every 6 dB, right-aligned to x
+    _drawScale(x, top, bottom, floor, ceiling, unit) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '10px sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let db = ceiling; db >= floor; db -= 6) {
+            const y = bottom - ((db - floor) / (ceiling - floor)) * (bottom - top);
+            ctx.fillText(`${db}`, x - 4, y);
+        }
+        ctx.textBaseline = 'top';
+        ctx.fillText(unit, x - 4, bottom + 4);
+        ctx.restore();
+    }
+
+    _drawHistory(width, height) {
+        const ctx = this.ctx;
+        const left = 40;
+        const top = 10;
+        const bottom = height - 20;
+        const plotWidth = Math.max(0, width - left - 6);
+        const loudnessToY = (lufs) => {
+            const norm = (lufs - LOUDNESS_FLOOR) / (LOUDNESS_CEILING - LOUDNESS_FLOOR);
+            return bottom - Math.min(1, Math.max(0, norm)) * (bottom - top);
+        };
+
+        // Grid every 6 LU, with the R128 -23 LUFS target emphasized
+        ctx.save();
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let lufs = LOUDNESS_CEILING; lufs >= LOUDNESS_FLOOR; lufs -= 6) {
+            const y = Math.round(loudnessToY(lufs)) + 0.5;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + plotWidth, y);
+            ctx.stroke();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.fillText(`${lufs}`, left - 4, y);
+        }
+        const targetY = Math.round(loudnessToY(-23)) + 0.5;
+        ctx.strokeStyle = 'rgba(174, 213, 129, 0.6)';
+        ctx.beginPath();
+        ctx.moveTo(left, targetY);
+        ctx.lineTo(left + plotWidth, targetY);
+        ctx.stroke();
+
+        // Newest point on the right edge
+        const maxPoints = this.historySeconds * 10;
+        const stepX = plotWidth / maxPoints;
+        const startX = left + plotWidth - this.history.length * stepX;
+        const plot = (key, color, lineWidth) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            let drawing = false;
+            this.history.forEach((point, i) => {
+                const value = point[key];
+                if (!Number.isFinite(value)) {
+                    drawing = false;
+                    return;
+                }
+                const px = startX + i * stepX;
+                const py = loudnessToY(value);
+                if (drawing) ctx.lineTo(px, py);
+                else ctx.moveTo(px, py);
+                drawing = true;
+            });
+            ctx.stroke();
+        };
+        plot('momentary', 'rgba(79, 195, 247, 0.6)', 1);
+        plot('shortTerm', '#4fc3f7', 2);
+
+        const integrated = this.meter.integrated;
+        if (Number.isFinite(integrated)) {
+            const y = loudnessToY(integrated);
+            ctx.strokeStyle = '#ffd54f';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + plotWidth, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        ctx.font = '12px monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'white';
+        ctx.fillText(`I ${formatLevel(integrated, 'LUFS')}  LRA ${this.meter.loudnessRange.toFixed(1)} LU`, left + 6, top + 2);
+        ctx.restore();
+    }
+}
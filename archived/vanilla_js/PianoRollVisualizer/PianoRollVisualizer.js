@@ -0,0 +1,377 @@
+// PianoRollVisualizer.js - Scrolling piano roll of detected notes
+//
+// Time runs right to left past a keyboard on the left edge. Each STFT frame
+// is scored by harmonic summation (salience.js); notes that pass the
+// threshold become bars that last while the note keeps sounding, brighter
+// for louder notes. A Standard MIDI File can be loaded as an outlined
+// overlay to compare a performance with the score.
+
+import { STFTAnalyzer } from '../STFTVisualizer/STFTAnalyzer.js';
+import { HarmonicSalience } from './salience.js';
+import { parseMidiFile } from './midiFile.js';
+import { makeSelect, makeRow } from '../controlPanel/settingsControls.js';
+
+const KEYBOARD_WIDTH = 40;
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const BLACK_KEYS = new Set([1, 3, 6, 8, 10]);
+// A sounding note survives this many frames without detection, so one
+// missed frame doesn't split a bar
+const RELEASE_FRAMES = 2;
+// Note brightness spans this many dB above the threshold
+const VELOCITY_RANGE_DB = 40;
+
+function noteLabel(note) {
+    return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+}
+
+export class PianoRollVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+
+        this.canvas.close = () => {
+            this._stop();
+        };
+
+        // MIDI note range shown, inclusive
+        this.lowNote = 36;  // C2
+        this.highNote = 96; // C7
+        this.thresholdDb = -40;
+        this.harmonics = 8;
+        this.fftSize = 8192;
+        this.tuning = 440;
+        this.secondsShown = 8;
+
+        // Detected notes as { note, start, end, velocityDb, missed }; end is
+        // null while the note sounds. Times are seconds of analyzed audio.
+        this.notes = [];
+        this.sounding = new Map();
+        this.streamTime = 0;
+        this.nextPrune = 0;
+        this.salience = null;
+
+        // Loaded score, and when its clock started for sources without a media element
+        this.score = null;
+        this.scoreOffset = 0;
+        this.scoreStartMs = performance.now();
+
+        this.analyzer = null;
+        this._running = false;
+        this._onFrames = this._onFrames.bind(this);
+        this._renderLoop = this._renderLoop.bind(this);
+        this._createSettingsUI();
+    }
+
+    _createSettingsUI() {
+        const makeNumber = (row, text, value, step, onChange) => {
+            const label = document.createElement('label');
+            label.textContent = text;
+            label.style.marginRight = '8px';
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = step;
+            input.value = value;
+            input.style.width = '56px';
+            input.addEventListener('change', () => {
+                const number = parseFloat(input.value);
+                if (Number.isFinite(number)) onChange(number);
+            });
+            label.appendChild(input);
+            row.appendChild(label);
+        };
+
+        // A0, every C, and C8 as range bounds
+        const keyOptions = [21, ...Array.from({ length: 8 }, (_, i) => 24 + 12 * i)].map(n => [n, noteLabel(n)]);
+        const rangeRow = makeRow(this.settingsDiv);
+        const lowSelect = makeSelect(rangeRow, 'Keys from: ', keyOptions, this.lowNote, (value) => {
+            this.lowNote = Math.min(value, this.highNote - 12);
+            lowSelect.value = this.lowNote;
+            this._salienceChanged();
+        });
+        const highSelect = makeSelect(rangeRow, 'to: ', keyOptions, this.highNote, (value) => {
+            this.highNote = Math.max(value, this.lowNote + 12);
+            highSelect.value = this.highNote;
+            this._salienceChanged();
+        });
+        makeSelect(rangeRow, 'Shown: ', [4, 8, 16, 32].map(s => [s, `${s} s`]), this.secondsShown, (value) => {
+            this.secondsShown = value;
+        });
+
+        const detectRow = makeRow(this.settingsDiv);
+        makeNumber(detectRow, 'Threshold dB: ', this.thresholdDb, 1, (db) => {
+            this.thresholdDb = db;
+        });
+        makeSelect(detectRow, 'Harmonics: ', [1, 2, 4, 6, 8, 10].map(n => [n, `${n}`]), this.harmonics, (value) => {
+            this.harmonics = value;
+            this._salienceChanged();
+        });
+        makeSelect(detectRow, 'FFT: ', [4096, 8192, 16384].map(n => [n, `${n}`]), this.fftSize, (value) => {
+            this.fftSize = value;
+            this._analysisChanged();
+        });
+        makeNumber(detectRow, 'A4 Hz: ', this.tuning, 0.1, (hz) => {
+            if (hz < 400 || hz > 480) return;
+            this.tuning = hz;
+            this._salienceChanged();
+        });
+
+        // Score overlay
+        const scoreRow = makeRow(this.settingsDiv);
+        const fileLabel = document.createElement('label');
+        fileLabel.textContent = 'MIDI score: ';
+        fileLabel.style.marginRight = '8px';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.mid,.midi,audio/midi';
+        const status = document.createElement('span');
+        status.style.marginLeft = '8px';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            try {
+                this.score = parseMidiFile(await file.arrayBuffer());
+                this.scoreStartMs = performance.now();
+                status.textContent = `${this.score.notes.length} notes`;
+            } catch (err) {
+                console.error('PianoRollVisualizer: could not read MIDI file:', err);
+                this.score = null;
+                status.textContent = err.message;
+            }
+        });
+        fileLabel.appendChild(fileInput);
+        scoreRow.appendChild(fileLabel);
+        makeNumber(scoreRow, 'Offset s: ', this.scoreOffset, 0.05, (seconds) => {
+            this.scoreOffset = seconds;
+        });
+        const restartButton = document.createElement('button');
+        restartButton.textContent = 'Restart score';
+        restartButton.title = 'Restart the score clock (sources without a media element)';
+        restartButton.addEventListener('click', () => {
+            this.scoreStartMs = performance.now();
+        });
+        scoreRow.appendChild(restartButton);
+        const clearButton = document.createElement('button');
+        clearButton.textContent = 'Clear score';
+        clearButton.addEventListener('click', () => {
+            this.score = null;
+            fileInput.value = '';
+            status.textContent = '';
+        });
+        scoreRow.appendChild(clearButton);
+        scoreRow.appendChild(status);
+    }
+
+    _analysisChanged() {
+        this._salienceChanged();
+        if (this._running) this._acquireAnalyzer();
+    }
+
+    // Rebuilt on the next frame; what's been detected so far stays on screen
+    _salienceChanged() {
+        this.salience = null;
+        this._releaseAll();
+    }
+
+    _acquireAnalyzer() {
+        this._releaseAnalyzer();
+        // Same settings shape as the spectrogram, so matching settings share one analysis
+        this.analyzer = STFTAnalyzer.acquire(this.audioSource, {
+            fftSize: this.fftSize,
+            hopSize: this.fftSize / 8,
+            window: 'hann',
+            windowParam: undefined,
+            zeroPadding: 1,
+            channelMode: 'mono'
+        });
+        this.analyzer.addEventListener('frames', this._onFrames);
+    }
+
+    _releaseAnalyzer() {
+        if (!this.analyzer) return;
+        this.analyzer.removeEventListener('frames', this._onFrames);
+        this.analyzer.release();
+        this.analyzer = null;
+    }
+
+    _start() {
+        if (this._running) return;
+        this._running = true;
+        this._acquireAnalyzer();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _stop() {
+        this._running = false;
+        this._releaseAnalyzer();
+    }
+
+    _onFrames(e) {
+        const { frames, count, binCount, blankColumns } = e.detail;
+        const sampleRate = this.analyzer.sampleRate || 44100;
+        const hopSeconds = this.fftSize / 8 / sampleRate;
+        if (!this.salience || this.salience.binCount !== binCount || this.salience.sampleRate !== sampleRate) {
+            this.salience = {
+                binCount,
+                sampleRate,
+                estimator: new HarmonicSalience(binCount, sampleRate / this.fftSize, this.lowNote, this.highNote,
+                    { harmonics: this.harmonics, tuning: this.tuning }),
+                values: new Float32Array(this.highNote - this.lowNote + 1),
+                detected: new Float32Array(this.highNote - this.lowNote + 1)
+            };
+        }
+        if (blankColumns > 0) {
+            // Missing audio ends whatever was sounding
+            this._releaseAll();
+            this.streamTime += blankColumns * hopSeconds;
+        }
+        const { estimator, values, detected } = this.salience;
+        for (let f = 0; f < count; f++) {
+            estimator.compute(frames.subarray(f * binCount, (f + 1) * binCount), values);
+            estimator.detect(values, this.thresholdDb, detected);
+            this._updateNotes(detected, this.streamTime, hopSeconds);
+            this.streamTime += hopSeconds;
+        }
+        this._pruneNotes();
+    }
+
+    _updateNotes(detected, time, hopSeconds) {
+        for (let n = 0; n < detected.length; n++) {
+            const note = this.lowNote + n;
+            const db = detected[n];
+            const current = this.sounding.get(note);
+            if (db > -Infinity) {
+                if (current) {
+                    current.missed = 0;
+                    current.velocityDb = Math.max(current.velocityDb, db);
+                } else {
+                    const started = { note, start: time, end: null, velocityDb: db, missed: 0 };
+                    this.notes.push(started);
+                    this.sounding.set(note, started);
+                }
+            } else if (current && ++current.missed > RELEASE_FRAMES) {
+                current.end = time - (current.missed - 1) * hopSeconds;
+                this.sounding.delete(note);
+            }
+        }
+    }
+
+    _releaseAll() {
+        for (const note of this.sounding.values()) note.end = this.streamTime;
+        this.sounding.clear();
+    }
+
+    // Drop notes that have scrolled past the longest view, checking once a
+    // second. Held notes (end === null) stay wherever they are in the list.
+    _pruneNotes() {
+        if (this.streamTime < this.nextPrune) return;
+        this.nextPrune = this.streamTime + 1;
+        const oldest = this.streamTime - 32;
+        this.notes = this.notes.filter(n => n.end === null || n.end >= oldest);
+    }
+
+    // Score time at the right edge of the roll
+    _scoreTime() {
+        const element = this.audioSource.audioElement;
+        const base = element ? element.currentTime : (performance.now() - this.scoreStartMs) / 1000;
+        return base + this.scoreOffset;
+    }
+
+    _renderLoop() {
+        if (!this._running) return;
+        this._draw();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _draw() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        const rollWidth = width - KEYBOARD_WIDTH;
+        if (rollWidth <= 0 || height <= 0) return;
+
+        const noteCount = this.highNote - this.lowNote + 1;
+        const rowHeight = height / noteCount;
+        const rowTop = (note) => height - (note - this.lowNote + 1) * rowHeight;
+        const pixelsPerSecond = rollWidth / this.secondsShown;
+
+        // Lanes: black-key rows darker, a line under every C
+        for (let note = this.lowNote; note <= this.highNote; note++) {
+            const y = rowTop(note);
+            if (BLACK_KEYS.has(note % 12)) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.03)';
+            } else {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.07)';
+            }
+            ctx.fillRect(KEYBOARD_WIDTH, y, rollWidth, rowHeight);
+            if (note % 12 === 0) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+                ctx.fillRect(KEYBOARD_WIDTH, Math.round(y + rowHeight) - 1, rollWidth, 1);
+            }
+        }
+
+        // Score overlay, outlined under the detected bars
+        if (this.score) {
+            const now = this._scoreTime();
+            const from = now - this.secondsShown;
+            ctx.strokeStyle = 'rgba(255, 183, 77, 0.9)';
+            ctx.lineWidth = 1;
+            for (const { note, start, end } of this.score.notes) {
+                if (start > now) break;
+                if (end < from || note < this.lowNote || note > this.highNote) continue;
+                const x0 = KEYBOARD_WIDTH + rollWidth - (now - start) * pixelsPerSecond;
+                const x1 = KEYBOARD_WIDTH + rollWidth - (now - Math.min(end, now)) * pixelsPerSecond;
+                ctx.strokeRect(Math.max(KEYBOARD_WIDTH, x0) + 0.5, rowTop(note) + 0.5,
+                    Math.max(1, x1 - Math.max(KEYBOARD_WIDTH, x0)), Math.max(1, rowHeight - 1));
+            }
+        }
+
+        // Detected notes
+        const now = this.streamTime;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(KEYBOARD_WIDTH, 0, rollWidth, height);
+        ctx.clip();
+        for (const { note, start, end, velocityDb } of this.notes) {
+            if (note < this.lowNote || note > this.highNote) continue;
+            const x0 = KEYBOARD_WIDTH + rollWidth - (now - start) * pixelsPerSecond;
+            const x1 = KEYBOARD_WIDTH + rollWidth - (now - (end ?? now)) * pixelsPerSecond;
+            if (x1 < KEYBOARD_WIDTH) continue;
+            ctx.fillStyle = this._velocityColor(velocityDb);
+            ctx.fillRect(x0, rowTop(note) + 1, Math.max(1, x1 - x0), Math.max(1, rowHeight - 2));
+        }
+        ctx.restore();
+
+        this._drawKeyboard(rowHeight, rowTop);
+    }
+
+    _velocityColor(velocityDb) {
+        const level = Math.min(1, Math.max(0, (velocityDb - this.thresholdDb) / VELOCITY_RANGE_DB));
+        return `hsl(195, 90%, ${25 + 50 * level}%)`;
+    }
+
+    _drawKeyboard(rowHeight, rowTop) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = `${Math.min(10, Math.max(7, rowHeight))}px sans-serif`;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let note = this.lowNote; note <= this.highNote; note++) {
+            const y = rowTop(note);
+            const black = BLACK_KEYS.has(note % 12);
+            const lit = this.sounding.has(note);
+            if (lit) ctx.fillStyle = '#4fc3f7';
+            else ctx.fillStyle = black ? '#222' : '#ddd';
+            ctx.fillRect(0, y, black ? KEYBOARD_WIDTH * 0.6 : KEYBOARD_WIDTH, rowHeight);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+            ctx.fillRect(0, Math.round(y + rowHeight) - 1, KEYBOARD_WIDTH, 1);
+            if (note % 12 === 0 && rowHeight >= 6) {
+                ctx.fillStyle = '#333';
+                ctx.fillText(noteLabel(note), KEYBOARD_WIDTH - 3, y + rowHeight / 2);
+            }
+        }
+        ctx.restore();
+    }
+}
@@ -0,0 +1,181 @@
+// midiFile.js - Standard MIDI File reader
+//
+// Reads format 0 and 1 files into a flat, time-sorted list of notes, with
+// tick times converted to seconds through the file's tempo map.
+
+const DEFAULT_TEMPO = 500000; // microseconds per quarter note (120 bpm)
+
+class ByteReader {
+    constructor(buffer) {
+        this.view = new DataView(buffer);
+        this.pos = 0;
+    }
+
+    get done() {
+        return this.pos >= this.view.byteLength;
+    }
+
+    u8() {
+        return this.view.getUint8(this.pos++);
+    }
+
+    u16() {
+        const value = this.view.getUint16(this.pos);
+        this.pos += 2;
+        return value;
+    }
+
+    u32() {
+        const value = this.view.getUint32(this.pos);
+        this.pos += 4;
+        return value;
+    }
+
+    ascii(length) {
+        let text = '';
+        for (let i = 0; i < length; i++) text += String.fromCharCode(this.u8());
+        return text;
+    }
+
+    // Variable-length quantity: 7 bits per byte, high bit set on all but the last
+    varLength() {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = this.u8();
+            value = (value << 7) | (byte & 0x7f);
+            if (!(byte & 0x80)) return value;
+        }
+        throw new Error('MIDI file: variable-length value longer than 4 bytes');
+    }
+}
+
+// Events of one track as { tick, type, ... }; only what the note list needs
+function readTrack(reader, end) {
+    const events = [];
+    let tick = 0;
+    let status = 0;
+    while (reader.pos < end) {
+        tick += reader.varLength();
+        const byte = reader.u8();
+        if (byte === 0xff) {
+            const type = reader.u8();
+            const length = reader.varLength();
+            if (type === 0x51 && length === 3) {
+                const tempo = (reader.u8() << 16) | (reader.u8() << 8) | reader.u8();
+                events.push({ tick, type: 'tempo', tempo });
+            } else {
+                reader.pos += length;
+            }
+            // Meta and sysex events cancel running status
+            status = 0;
+            if (type === 0x2f) break;
+            continue;
+        }
+        if (byte === 0xf0 || byte === 0xf7) {
+            reader.pos += reader.varLength();
+            status = 0;
+            continue;
+        }
+        // Running status: a data byte reuses the previous status
+        let data1;
+        if (byte & 0x80) {
+            status = byte;
+            data1 = null;
+        } else {
+            if (!status) throw new Error('MIDI file: data byte without a running status');
+            data1 = byte;
+        }
+        const kind = status & 0xf0;
+        const channel = status & 0x0f;
+        const twoBytes = kind !== 0xc0 && kind !== 0xd0;
+        if (data1 === null) data1 = reader.u8();
+        const data2 = twoBytes ? reader.u8() : 0;
+        if (kind === 0x90 && data2 > 0) {
+            events.push({ tick, type: 'on', note: data1, velocity: data2, channel });
+        } else if (kind === 0x80 || kind === 0x90) {
+            events.push({ tick, type: 'off', note: data1, channel });
+        }
+    }
+    reader.pos = end;
+    return events;
+}
+
+/**
+ * parseMidiFile(buffer)
+ * Reads a Standard MIDI File from an ArrayBuffer. Returns
+ * { notes: [{ note, velocity, channel, start, end }], duration } with times in
+ * seconds. Throws on malformed or unsupported (format 2) files.
+ */
+export function parseMidiFile(buffer) {
+    const reader = new ByteReader(buffer);
+    if (reader.ascii(4) !== 'MThd') throw new Error('MIDI file: missing MThd header');
+    const headerLength = reader.u32();
+    const format = reader.u16();
+    const trackCount = reader.u16();
+    const division = reader.u16();
+    reader.pos += headerLength - 6;
+    if (format === 2) throw new Error('MIDI file: format 2 (independent sequences) is not supported');
+
+    const tracks = [];
+    while (!reader.done && tracks.length < trackCount) {
+        const id = reader.ascii(4);
+        const length = reader.u32();
+        const end = reader.pos + length;
+        if (id === 'MTrk') tracks.push(readTrack(reader, end));
+        else reader.pos = end;
+    }
+
+    // Ticks to seconds: SMPTE divisions are fixed-rate, metrical ones follow the tempo map
+    let toSeconds;
+    if (division & 0x8000) {
+        const framesPerSecond = 256 - (division >> 8);
+        const ticksPerFrame = division & 0xff;
+        toSeconds = (tick) => tick / (framesPerSecond * ticksPerFrame);
+    } else {
+        const tempos = tracks.flat().filter(e => e.type === 'tempo').sort((a, b) => a.tick - b.tick);
+        // Each tempo change as { tick, seconds at that tick, seconds per tick after it }
+        const map = [{ tick: 0, seconds: 0, perTick: DEFAULT_TEMPO / 1e6 / division }];
+        for (const { tick, tempo } of tempos) {
+            const last = map[map.length - 1];
+            const seconds = last.seconds + (tick - last.tick) * last.perTick;
+            const entry = { tick, seconds, perTick: tempo / 1e6 / division };
+            if (tick === last.tick) map[map.length - 1] = entry;
+            else map.push(entry);
+        }
+        toSeconds = (tick) => {
+            let i = map.length - 1;
+            while (i > 0 && map[i].tick > tick) i--;
+            return map[i].seconds + (tick - map[i].tick) * map[i].perTick;
+        };
+    }
+
+    // Pair note-ons with the next note-off of the same note and channel
+    const notes = [];
+    let duration = 0;
+    for (const events of tracks) {
+        const open = new Map();
+        for (const event of events) {
+            if (event.type === 'tempo') continue;
+            const key = event.channel * 128 + event.note;
+            if (event.type === 'on') {
+                if (!open.has(key)) open.set(key, []);
+                open.get(key).push(event);
+                continue;
+            }
+            const started = open.get(key);
+            if (!started || started.length === 0) continue;
+            const on = started.shift();
+            const note = {
+                note: on.note,
+                velocity: on.velocity,
+                channel: on.channel,
+                start: toSeconds(on.tick),
+                end: toSeconds(event.tick)
+            };
+            notes.push(note);
+            duration = Math.max(duration, note.end);
+        }
+    }
+    notes.sort((a, b) => a.start - b.start || a.note - b.note);
+    return { notes, duration };
+}
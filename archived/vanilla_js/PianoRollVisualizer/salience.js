@@ -0,0 +1,103 @@
+// salience.js - Polyphonic pitch salience by harmonic summation
+//
+// A note's salience is the weighted sum of the spectral peaks at its
+// harmonics, h·f0 for h = 1..harmonics, each searched for within a quarter
+// tone and weighted HARMONIC_DECAY^(h - 1). A steady sine of amplitude A at a
+// note's frequency gives that note a salience of A.
+
+const HARMONIC_DECAY = 0.8;
+// A note whose own fundamental is this far below its strongest harmonic gets
+// its salience scaled down: it is likely a subharmonic of a real note
+const FUNDAMENTAL_SHARE = 0.1;
+// A note sitting on the h-th harmonic of a lower note is dropped unless its
+// salience reaches HARMONIC_RATIO / (h - 1) of that note's: a lone partial
+// only carries a fraction of its fundamental's salience
+const HARMONIC_RATIO = 0.6;
+const MAX_SUPPRESSED_HARMONIC = 8;
+
+/**
+ * noteFrequency(note, tuning = 440)
+ * Equal-tempered frequency of a MIDI note number.
+ */
+export function noteFrequency(note, tuning = 440) {
+    return tuning * 2 ** ((note - 69) / 12);
+}
+
+export class HarmonicSalience {
+    /**
+     * new HarmonicSalience(binCount, binHz, lowNote, highNote, { harmonics, tuning })
+     * Saliences of MIDI notes lowNote..highNote from magnitude spectra of
+     * binCount bins binHz apart.
+     */
+    constructor(binCount, binHz, lowNote, highNote, { harmonics = 8, tuning = 440 } = {}) {
+        // Semitones up to each harmonic h = 2..MAX_SUPPRESSED_HARMONIC
+        this.harmonicIntervals = [];
+        for (let h = 2; h <= MAX_SUPPRESSED_HARMONIC; h++) {
+            this.harmonicIntervals.push([h, Math.round(12 * Math.log2(h))]);
+        }
+        this.lowNote = lowNote;
+        this.highNote = highNote;
+        this.noteCount = highNote - lowNote + 1;
+        // Per note, per harmonic: [firstBin, lastBin, weight], while below Nyquist
+        this.searches = [];
+        const quarterTone = 2 ** (1 / 24);
+        for (let note = lowNote; note <= highNote; note++) {
+            const f0 = noteFrequency(note, tuning);
+            const ranges = [];
+            for (let h = 1; h <= harmonics; h++) {
+                const center = (h * f0) / binHz;
+                if (center >= binCount - 1) break;
+                const first = Math.min(Math.round(center), Math.floor(center / quarterTone));
+                const last = Math.max(Math.round(center), Math.ceil(center * quarterTone));
+                ranges.push([Math.max(0, first), Math.min(binCount - 1, last), HARMONIC_DECAY ** (h - 1)]);
+            }
+            this.searches.push(ranges);
+        }
+    }
+
+    /**
+     * compute(mags, out)
+     * Salience of each note, lowest first, into out (noteCount entries).
+     */
+    compute(mags, out) {
+        for (let n = 0; n < this.noteCount; n++) {
+            const ranges = this.searches[n];
+            let sum = 0;
+            let fundamental = 0;
+            let strongest = 0;
+            for (let r = 0; r < ranges.length; r++) {
+                const [first, last, weight] = ranges[r];
+                let peak = 0;
+                for (let k = first; k <= last; k++) if (mags[k] > peak) peak = mags[k];
+                if (r === 0) fundamental = peak;
+                if (peak > strongest) strongest = peak;
+                sum += weight * peak;
+            }
+            const share = strongest > 0 ? fundamental / (FUNDAMENTAL_SHARE * strongest) : 0;
+            out[n] = sum * Math.min(1, share);
+        }
+        return out;
+    }
+
+    /**
+     * detect(salience, thresholdDb, out)
+     * Which notes sound: salience above thresholdDb (dBFS), at least as
+     * salient as both semitone neighbours, and not just a harmonic of a
+     * stronger note. Writes the note's salience in dB, or -Infinity, to out.
+     */
+    detect(salience, thresholdDb, out) {
+        const threshold = 10 ** (thresholdDb / 20);
+        for (let n = 0; n < this.noteCount; n++) {
+            const s = salience[n];
+            const below = n > 0 ? salience[n - 1] : 0;
+            const above = n < this.noteCount - 1 ? salience[n + 1] : 0;
+            let sounds = s > threshold && s >= below && s >= above;
+            for (const [h, interval] of this.harmonicIntervals) {
+                if (!sounds || interval > n) break;
+                sounds = s >= (HARMONIC_RATIO / (h - 1)) * salience[n - interval];
+            }
+            out[n] = sounds ? 20 * Math.log10(s) : -Infinity;
+        }
+        return out;
+    }
+}
@@ -0,0 +1,75 @@
+// yin.js - YIN monophonic pitch detection
+//
+// de Cheveigné & Kawahara (2002): the squared difference between the frame
+// and itself shifted by a lag dips at every period. Normalizing it by its
+// running mean (the CMNDF) makes the dips comparable, and the first lag
+// whose dip falls below the threshold is the period, refined by parabolic
+// interpolation of the raw difference. 1 - CMNDF at that lag serves as the
+// confidence.
+
+export class YinPitchDetector {
+    /**
+     * new YinPitchDetector(sampleRate, { minFreq, maxFreq, threshold, windowSize })
+     * windowSize is the integration window; a detection reads
+     * windowSize + sampleRate / minFreq samples.
+     */
+    constructor(sampleRate, { minFreq = 50, maxFreq = 2000, threshold = 0.15, windowSize = 1024 } = {}) {
+        this.sampleRate = sampleRate;
+        this.threshold = threshold;
+        this.windowSize = windowSize;
+        this.minLag = Math.max(2, Math.floor(sampleRate / maxFreq));
+        this.maxLag = Math.ceil(sampleRate / minFreq);
+        this.frameSize = windowSize + this.maxLag + 1;
+        this.difference = new Float32Array(this.maxLag + 2);
+        this.cmndf = new Float32Array(this.maxLag + 2);
+    }
+
+    /**
+     * detect(samples, offset = 0)
+     * Pitch of samples[offset, offset + frameSize) as { frequency, confidence },
+     * or null when no lag dips below the threshold.
+     */
+    detect(samples, offset = 0) {
+        const W = this.windowSize;
+        const maxLag = this.maxLag + 1;
+        const diffs = this.difference;
+        const d = this.cmndf;
+
+        // Difference function, normalized as it goes
+        d[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= maxLag; tau++) {
+            let sum = 0;
+            for (let i = 0; i < W; i++) {
+                const diff = samples[offset + i] - samples[offset + i + tau];
+                sum += diff * diff;
+            }
+            diffs[tau] = sum;
+            runningSum += sum;
+            d[tau] = runningSum > 0 ? (sum * tau) / runningSum : 1;
+        }
+
+        // First dip under the threshold, followed down to its minimum
+        let tau = -1;
+        for (let t = this.minLag; t < maxLag; t++) {
+            if (d[t] < this.threshold) {
+                while (t + 1 < maxLag && d[t + 1] < d[t]) t++;
+                tau = t;
+                break;
+            }
+        }
+        if (tau < 0) return null;
+
+        // Parabola through the dip and its neighbours
+        const a = diffs[tau - 1];
+        const b = diffs[tau];
+        const c = diffs[tau + 1];
+        const denom = a - 2 * b + c;
+        const shift = denom > 0 ? (0.5 * (a - c)) / denom : 0;
+        const period = tau + Math.max(-1, Math.min(1, shift));
+        return {
+            frequency: this.sampleRate / period,
+            confidence: Math.max(0, Math.min(1, 1 - d[tau]))
+        };
+    }
+}
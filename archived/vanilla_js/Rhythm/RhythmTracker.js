@@ -0,0 +1,160 @@
+// RhythmTracker.js - Shared onset, tempo and beat events for a source
+//
+// Any visualizer can acquire the tracker for its source and listen for:
+//   'onset' detail: { time, strength }
+//   'beat'  detail: { time, bpm, index }
+//   'tempo' detail: { bpm, confidence }
+//   'flux'  detail: { time, frameRate, flux: Float32Array, threshold: Float32Array }
+//           (the onset envelope and its threshold for each new frame, the
+//           first at `time`)
+// Times are seconds of analyzed audio, the clock currentTime reads; missing
+// audio advances it and restarts the detectors. Beats are settled about one
+// beat period late, so their times lie in the past; nextBeatTime() projects
+// the grid forward. Like STFTAnalyzer, trackers are shared per source and
+// settings, and every acquire() must be paired with a release().
+
+import { STFTAnalyzer } from '../STFTVisualizer/STFTAnalyzer.js';
+import { OnsetDetector } from './onsets.js';
+import { estimateTempo, BeatTracker } from './tempo.js';
+import { SharedInstances } from '../sourceRegistry/SharedInstances.js';
+
+const FFT_SIZE = 2048;
+const HOP_SIZE = 512;
+// Onset envelope the tempo is estimated from, and how often
+const TEMPO_WINDOW_SECONDS = 6;
+const TEMPO_INTERVAL_SECONDS = 0.5;
+// Smallest change worth a 'tempo' event
+const TEMPO_EVENT_BPM = 0.5;
+
+const trackers = new SharedInstances((source, settings) => new RhythmTracker(source, settings));
+
+export class RhythmTracker extends EventTarget {
+    /**
+     * acquire(source, settings)
+     * Returns the shared tracker for this source and settings
+     * ({ sensitivity, minBpm, maxBpm }), creating it if needed.
+     */
+    static acquire(source, settings = {}) {
+        return trackers.acquire(source, { sensitivity: 1, minBpm: 60, maxBpm: 200, ...settings });
+    }
+
+    constructor(source, settings) {
+        super();
+        this.source = source;
+        this.settings = settings;
+
+        this.frameRate = null;
+        this.frameIndex = 0;
+        // Frame index where the detectors last (re)started
+        this.originFrame = 0;
+        this.onsets = null;
+        this.beats = null;
+        this.envelope = [];
+        this.framesSinceTempo = 0;
+        this.bpm = null;
+        this.lastBeatTime = null;
+        this.beatIndex = 0;
+
+        this._onFrames = this._onFrames.bind(this);
+        this.analyzer = STFTAnalyzer.acquire(source, {
+            fftSize: FFT_SIZE,
+            hopSize: HOP_SIZE,
+            window: 'hann',
+            windowParam: undefined,
+            zeroPadding: 1,
+            channelMode: 'mono'
+        });
+        this.analyzer.addEventListener('frames', this._onFrames);
+    }
+
+    release() {
+        if (!trackers.release(this)) return;
+        this.analyzer.removeEventListener('frames', this._onFrames);
+        this.analyzer.release();
+    }
+
+    /**
+     * currentTime
+     * Time of the newest analyzed frame, in seconds.
+     */
+    get currentTime() {
+        return this.frameRate ? this.frameIndex / this.frameRate : 0;
+    }
+
+    /**
+     * nextBeatTime(after)
+     * First beat of the current grid after `after` seconds, or null without one.
+     */
+    nextBeatTime(after = this.currentTime) {
+        if (this.lastBeatTime === null || !this.bpm) return null;
+        const period = 60 / this.bpm;
+        const beats = Math.floor((after - this.lastBeatTime) / period) + 1;
+        return this.lastBeatTime + Math.max(1, beats) * period;
+    }
+
+    _restart(binCount) {
+        this.originFrame = this.frameIndex;
+        this.onsets = new OnsetDetector(binCount, this.frameRate, { sensitivity: this.settings.sensitivity });
+        this.beats = new BeatTracker(this.frameRate);
+        if (this.bpm) this.beats.setTempo(this.bpm);
+        this.envelope = [];
+        this.framesSinceTempo = 0;
+    }
+
+    _onFrames(e) {
+        const { frames, count, binCount, blankColumns } = e.detail;
+        const frameRate = (this.analyzer.sampleRate || 44100) / HOP_SIZE;
+        if (frameRate !== this.frameRate || !this.onsets || this.onsets.binCount !== binCount) {
+            this.frameRate = frameRate;
+            this._restart(binCount);
+        }
+        if (blankColumns > 0) {
+            this.frameIndex += blankColumns;
+            this._restart(binCount);
+        }
+
+        const startTime = this.currentTime;
+        const flux = new Float32Array(count);
+        const threshold = new Float32Array(count);
+        const maxEnvelope = Math.round(TEMPO_WINDOW_SECONDS * frameRate);
+        for (let f = 0; f < count; f++) {
+            const result = this.onsets.push(frames.subarray(f * binCount, (f + 1) * binCount));
+            flux[f] = result.flux;
+            threshold[f] = result.threshold;
+            if (result.onset !== null) {
+                this.dispatchEvent(new CustomEvent('onset', {
+                    detail: { time: (this.frameIndex - 1) / frameRate, strength: result.onset }
+                }));
+            }
+
+            this.envelope.push(result.flux);
+            if (this.envelope.length > maxEnvelope) this.envelope.shift();
+            if (++this.framesSinceTempo >= TEMPO_INTERVAL_SECONDS * frameRate && this.envelope.length >= maxEnvelope / 2) {
+                this.framesSinceTempo = 0;
+                this._updateTempo();
+            }
+
+            const beat = this.beats.push(result.flux);
+            if (beat !== null) {
+                this.lastBeatTime = (this.originFrame + beat) / frameRate;
+                this.dispatchEvent(new CustomEvent('beat', {
+                    detail: { time: this.lastBeatTime, bpm: this.bpm, index: this.beatIndex++ }
+                }));
+            }
+            this.frameIndex++;
+        }
+        this.dispatchEvent(new CustomEvent('flux', {
+            detail: { time: startTime, frameRate, flux, threshold }
+        }));
+    }
+
+    _updateTempo() {
+        const tempo = estimateTempo(this.envelope, this.frameRate, this.settings.minBpm, this.settings.maxBpm);
+        if (!tempo) return;
+        this.beats.setTempo(tempo.bpm);
+        if (this.bpm === null || Math.abs(tempo.bpm - this.bpm) >= TEMPO_EVENT_BPM) {
+            this.bpm = tempo.bpm;
+            this.dispatchEvent(new CustomEvent('tempo', { detail: tempo }));
+        }
+    }
+}
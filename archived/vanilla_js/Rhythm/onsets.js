@@ -0,0 +1,85 @@
+// onsets.js - Onset detection by spectral flux
+//
+// The flux of a frame is the summed increase of log-compressed magnitudes
+// over the previous frame; note attacks make it spike. A frame is an onset
+// when its flux is a local peak above an adaptive threshold: a multiple of
+// the median flux over the last half second, plus a floor tied to the
+// long-term average so that noise in quiet passages doesn't trigger.
+
+// Log compression: log(1 + COMPRESSION * magnitude)
+const COMPRESSION = 1000;
+const MEDIAN_SECONDS = 0.5;
+const AVERAGE_SECONDS = 5;
+const FLOOR_SHARE = 0.2;
+const MIN_INTERVAL_SECONDS = 0.05;
+
+export class OnsetDetector {
+    /**
+     * new OnsetDetector(binCount, frameRate, { sensitivity })
+     * For magnitude frames of binCount bins arriving frameRate times a
+     * second. Higher sensitivity lowers the threshold (1 = threshold at 1.5x
+     * the median).
+     */
+    constructor(binCount, frameRate, { sensitivity = 1 } = {}) {
+        this.binCount = binCount;
+        this.frameRate = frameRate;
+        this.multiplier = 1.5 / sensitivity;
+        this.previous = null;
+        this.window = new Float32Array(Math.max(3, Math.round(MEDIAN_SECONDS * frameRate)));
+        this.windowFill = 0;
+        this.windowIndex = 0;
+        this.sorted = new Float32Array(this.window.length);
+        this.average = 0;
+        this.averageKeep = Math.exp(-1 / (AVERAGE_SECONDS * frameRate));
+        this.minInterval = Math.round(MIN_INTERVAL_SECONDS * frameRate);
+        // The last two frames' flux, for peak picking one frame late
+        this.last = [0, 0];
+        this.lastThreshold = 0;
+        this.sinceOnset = Infinity;
+        this.threshold = 0;
+    }
+
+    /**
+     * push(mags)
+     * Adds one frame. Returns { flux, threshold, onset } where onset is null
+     * or the strength of an onset at the previous frame.
+     */
+    push(mags) {
+        let flux = 0;
+        if (!this.previous) {
+            this.previous = new Float32Array(this.binCount);
+            for (let k = 0; k < this.binCount; k++) this.previous[k] = Math.log1p(COMPRESSION * mags[k]);
+        } else {
+            for (let k = 0; k < this.binCount; k++) {
+                const value = Math.log1p(COMPRESSION * mags[k]);
+                const rise = value - this.previous[k];
+                if (rise > 0) flux += rise;
+                this.previous[k] = value;
+            }
+        }
+
+        this.window[this.windowIndex] = flux;
+        this.windowIndex = (this.windowIndex + 1) % this.window.length;
+        this.windowFill = Math.min(this.window.length, this.windowFill + 1);
+        const sorted = this.sorted.subarray(0, this.windowFill);
+        sorted.set(this.window.subarray(0, this.windowFill));
+        sorted.sort();
+        const median = sorted[Math.floor(this.windowFill / 2)];
+        this.average = this.average * this.averageKeep + flux * (1 - this.averageKeep);
+        const threshold = this.multiplier * median + FLOOR_SHARE * this.average;
+
+        // The previous frame is an onset if it peaks above its threshold
+        const [beforePrevious, previousFlux] = this.last;
+        let onset = null;
+        this.sinceOnset++;
+        if (previousFlux > this.lastThreshold && previousFlux >= beforePrevious && previousFlux > flux &&
+            this.sinceOnset > this.minInterval) {
+            onset = previousFlux - this.lastThreshold;
+            this.sinceOnset = 0;
+        }
+        this.last = [previousFlux, flux];
+        this.lastThreshold = threshold;
+        this.threshold = threshold;
+        return { flux, threshold, onset };
+    }
+}
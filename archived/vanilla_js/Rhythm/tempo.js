@@ -0,0 +1,172 @@
+// tempo.js - Tempo estimation and dynamic-programming beat tracking
+//
+// Tempo: the autocorrelation of the onset envelope, weighted by a log-normal
+// preference around 120 bpm (Ellis 2007), peaks at the beat period; the
+// peak is then checked against half and twice its lag to settle the octave.
+// Beats: each frame's cumulative score is its onset strength plus the best
+// score one beat period earlier, penalized by how far that gap strays from
+// the period on a log scale. Following the back-links from a recent strong
+// frame gives beats that fit both the onsets and the tempo.
+
+const PREFERRED_BPM = 120;
+// Width of the tempo preference, in octaves
+const PREFERENCE_OCTAVES = 1;
+// A pulse train correlates as well at twice its period as at the period, so
+// the preference alone can't tell 75 from 150 bpm. Half the chosen lag wins
+// when it correlates at least this share as well; twice the lag wins when it
+// correlates better by the inverse.
+const OCTAVE_SHARE = 0.875;
+
+/**
+ * estimateTempo(envelope, frameRate, minBpm = 60, maxBpm = 200)
+ * Tempo of an onset envelope (oldest first) as { bpm, confidence }, or null
+ * when it has no periodicity. confidence is the normalized autocorrelation
+ * at the chosen period.
+ */
+export function estimateTempo(envelope, frameRate, minBpm = 60, maxBpm = 200) {
+    const n = envelope.length;
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += envelope[i];
+    mean /= n;
+    // Onsets are one-frame spikes; spread them so a period between two
+    // integer lags still correlates at both
+    const centered = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = 0;
+        for (let k = -2; k <= 2; k++) sum += (3 - Math.abs(k)) * envelope[Math.min(n - 1, Math.max(0, i + k))];
+        centered[i] = sum / 9 - mean;
+    }
+    let energy = 0;
+    for (let i = 0; i < n; i++) energy += centered[i] * centered[i];
+    if (energy <= 0) return null;
+
+    const minLag = Math.max(1, Math.floor((60 * frameRate) / maxBpm));
+    const maxLag = Math.min(n - 2, Math.ceil((60 * frameRate) / minBpm));
+    if (maxLag <= minLag + 1) return null;
+    const acf = new Float32Array(maxLag + 2);
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let i = lag; i < n; i++) sum += centered[i] * centered[i - lag];
+        // Unbiased, so long lags aren't penalized for having fewer products
+        acf[lag] = (sum / (n - lag)) / (energy / n);
+    }
+
+    const preferredLag = (60 * frameRate) / PREFERRED_BPM;
+    let best = -1;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        if (acf[lag] < acf[lag - 1] || acf[lag] < acf[lag + 1]) continue;
+        const octaves = Math.log2(lag / preferredLag) / PREFERENCE_OCTAVES;
+        const score = acf[lag] * Math.exp(-0.5 * octaves * octaves);
+        if (score > bestScore) {
+            bestScore = score;
+            best = lag;
+        }
+    }
+    if (best < 0) return null;
+
+    // Strongest correlation within a frame of a (fractional) lag, with its
+    // height read off a parabola so a period between two lags isn't undercounted
+    const peakNear = (lag) => {
+        const center = Math.round(lag);
+        let at = -1;
+        for (let l = Math.max(minLag, center - 1); l <= Math.min(maxLag, center + 1); l++) {
+            if (at < 0 || acf[l] > acf[at]) at = l;
+        }
+        const a = acf[at - 1];
+        const b = acf[at];
+        const c = acf[at + 1];
+        const denom = a - 2 * b + c;
+        const peak = denom < 0 && b >= a && b >= c ? b - ((a - c) * (a - c)) / (8 * denom) : b;
+        return { peak, at };
+    };
+    while (best / 2 >= minLag) {
+        const half = peakNear(best / 2);
+        // At the shortest lags the search window can land back on best itself
+        if (half.at >= best || half.peak < OCTAVE_SHARE * peakNear(best).peak) break;
+        best = half.at;
+    }
+    if (best * 2 <= maxLag) {
+        const double = peakNear(best * 2);
+        if (OCTAVE_SHARE * double.peak > peakNear(best).peak) best = double.at;
+    }
+
+    const a = acf[best - 1];
+    const b = acf[best];
+    const c = acf[best + 1];
+    const denom = a - 2 * b + c;
+    const period = best + (denom < 0 ? (0.5 * (a - c)) / denom : 0);
+    return { bpm: (60 * frameRate) / period, confidence: Math.max(0, Math.min(1, b)) };
+}
+
+export class BeatTracker {
+    /**
+     * new BeatTracker(frameRate, { tightness, historySeconds })
+     * tightness: how strongly beat gaps are held to the period.
+     */
+    constructor(frameRate, { tightness = 400, historySeconds = 8 } = {}) {
+        this.frameRate = frameRate;
+        this.tightness = tightness;
+        this.size = Math.ceil(historySeconds * frameRate);
+        this.scores = new Float64Array(this.size);
+        this.links = new Int32Array(this.size).fill(-1);
+        this.frame = 0;
+        this.period = null;
+        this.lastBeat = -Infinity;
+    }
+
+    /**
+     * setTempo(bpm)
+     * Period the tracker holds beats to; no beats come out before it is set.
+     */
+    setTempo(bpm) {
+        this.period = (60 * this.frameRate) / bpm;
+    }
+
+    /**
+     * push(strength)
+     * Adds one onset-envelope frame. Returns the frame index of a newly
+     * settled beat, or null. Beats settle about one period after they happen.
+     */
+    push(strength) {
+        const t = this.frame++;
+        const slot = t % this.size;
+        let best = 0;
+        let link = -1;
+        const period = this.period;
+        if (period) {
+            const from = Math.max(0, t - Math.round(2 * period), t - this.size + 1);
+            const to = t - Math.round(period / 2);
+            for (let u = from; u <= to; u++) {
+                const gap = Math.log((t - u) / period);
+                const score = this.scores[u % this.size] - this.tightness * gap * gap;
+                if (link < 0 || score > best) {
+                    best = score;
+                    link = u;
+                }
+            }
+        }
+        this.scores[slot] = strength + (link >= 0 ? best : 0);
+        this.links[slot] = link;
+        if (!period) return null;
+
+        // Strongest frame within the last period, and the beat before it
+        let anchor = t;
+        for (let u = Math.max(0, t - Math.round(period) + 1); u < t; u++) {
+            if (this.scores[u % this.size] > this.scores[anchor % this.size]) anchor = u;
+        }
+        // Chains through competing onsets (off-beats) can trade places as the
+        // window slides; a beat too soon after the last one is the other chain's
+        const beat = this.links[anchor % this.size];
+        if (beat < 0 || beat < this.lastBeat + 0.75 * period || t - beat >= this.size) return null;
+        this.lastBeat = beat;
+        return beat;
+    }
+
+    reset() {
+        this.frame = 0;
+        this.lastBeat = -Infinity;
+        this.scores.fill(0);
+        this.links.fill(-1);
+    }
+}
@@ -0,0 +1,106 @@
+// STFTAnalyzer.js - Shared, worker-backed STFT analysis
+//
+// Every visualizer that needs STFT frames acquires an analyzer for its source
+// and settings. Visualizers asking for the same source and settings share one
+// analyzer, so the analysis runs once no matter how many canvases show it.
+// The analyzer pulls samples on every animation frame, ships them to the
+// shared STFT worker and dispatches a 'frames' event with the finished
+// magnitude columns:
+//   detail: { frames: Float32Array(count * lanes * binCount), count, lanes, binCount, blankColumns }
+// lanes is the number of signals the channel mode produced; frame f of
+// lane l starts at (f * lanes + l) * binCount.
+// blankColumns counts hops of missing audio (dropped blocks, seeks) that come
+// before the frames.
+// settings.kind === 'cqt' asks for constant-Q frames instead (see CQT.js);
+// their bins are cqtFrequencies(settings).
+
+import { SharedInstances } from '../sourceRegistry/SharedInstances.js';
+
+let worker = null;
+let nextId = 1;
+const analyzers = new SharedInstances((source, settings) => new STFTAnalyzer(source, settings));
+// analysis id -> STFTAnalyzer
+const byId = new Map();
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./stftWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => {
+            const msg = e.data;
+            const analyzer = byId.get(msg.id);
+            if (msg.type === 'frames' && analyzer) {
+                analyzer._onFrames(msg);
+            }
+        };
+    }
+    return worker;
+}
+
+export class STFTAnalyzer extends EventTarget {
+    /**
+     * acquire(source, settings)
+     * Returns the shared analyzer for this source and settings, creating it if
+     * needed. Every acquire() must be paired with a release().
+     */
+    static acquire(source, settings) {
+        return analyzers.acquire(source, settings);
+    }
+
+    constructor(source, settings) {
+        super();
+        this.source = source;
+        this.settings = settings;
+        this.id = nextId++;
+
+        byId.set(this.id, this);
+        getWorker().postMessage({ type: 'configure', id: this.id, settings });
+
+        this.subscription = source.subscribe();
+        this._running = true;
+        this._pullLoop = this._pullLoop.bind(this);
+        requestAnimationFrame(this._pullLoop);
+    }
+
+    get sampleRate() {
+        return this.subscription.sampleRate;
+    }
+
+    release() {
+        if (!analyzers.release(this)) return;
+        this._running = false;
+        this.subscription.unsubscribe();
+        getWorker().postMessage({ type: 'dispose', id: this.id });
+        byId.delete(this.id);
+    }
+
+    _pullLoop() {
+        if (!this._running) return;
+        const channels = this.subscription.pullAllSamples();
+        if (channels && channels.length > 0) {
+            // Only the last discontinuity matters: the worker restarts after it
+            const gaps = this.subscription.gaps;
+            let gap = null;
+            if (gaps.length > 0) {
+                const missingFrames = gaps.reduce((sum, g) => sum + g.missingFrames, 0);
+                gap = { offset: gaps[gaps.length - 1].offset, missingFrames };
+            }
+            getWorker().postMessage(
+                { type: 'samples', id: this.id, sampleRate: this.subscription.sampleRate, channels, gap },
+                channels.map(ch => ch.buffer)
+            );
+        }
+        requestAnimationFrame(this._pullLoop);
+    }
+
+    _onFrames(msg) {
+        this.dispatchEvent(new CustomEvent('frames', {
+            detail: {
+                frames: msg.frames,
+                count: msg.count,
+                binCount: msg.binCount,
+                lanes: msg.lanes,
+                blankColumns: msg.blankColumns
+            }
+        }));
+    }
+}
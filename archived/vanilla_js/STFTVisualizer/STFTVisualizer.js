@@ -1,6 +1,14 @@
 // STFTVisualizer.js - Modified for canvas scaling during resize
 
-import { FFT } from '../FFT/FFT.js';
+import { STFTAnalyzer } from './STFTAnalyzer.js';
+import {
+    frequencyScales, minFrequencyFor, buildRowMap, sampleRows, rulerTicks, formatFrequency
+} from './frequencyScales.js';
+import { colormaps, buildColormapLUT } from './colormaps.js';
+import { AutoRange } from './autoRange.js';
+import { windowFunctions } from '../FFT/windows.js';
+import { channelModes, channelLabels } from '../channelModes/channelModes.js';
+import { makeSelect } from '../controlPanel/settingsControls.js';
 
 export class STFTVisualizer {
     constructor(audioSource, canvasElement, settingsDiv) {
@@ -13,10 +21,36 @@ export class STFTVisualizer {
             this._stop();
         };
 
-        // Default FFT settings
+        // Default FFT settings; fftSize is the window length, hop follows overlap
         this.fftSize = 1024;
-        this.hopSize = this.fftSize / 2;
-        this.sampleBuffer = [];
+        this.overlap = 0.5;
+        this.hopSize = this._hopFor(this.fftSize);
+        this.window = 'hann';
+        this.windowParam = undefined;
+        this.zeroPadding = 1;
+
+        // Which signals to analyze; the stacked mode gives every channel a lane
+        this.channelMode = 'mono';
+        this.lanes = 1;
+        this.sourceChannels = 1;
+
+        // Frequency axis: scale name and displayed range in Hz (clamped to Nyquist)
+        this.frequencyScale = 'log';
+        this.minFreq = 20;
+        this.maxFreq = 20000;
+        this.rowMap = null;
+        this.rowMapKey = '';
+
+        // Intensity mapping: dB window, gain and colormap
+        this.floorDb = -100;
+        this.ceilingDb = 0;
+        this.gainDb = 0;
+        this.autoRange = false;
+        this.autoRanger = new AutoRange();
+        this.colormap = 'grayscale';
+        this.customStops = ['#000000', '#ff6b6b', '#ffffff'];
+        this._updateColormap();
+        this.columnImage = null;
 
         // Track canvas dimensions for resize detection
         this.lastWidth = this.canvas.width;
@@ -24,16 +58,21 @@ export class STFTVisualizer {
         this.width = this.canvas.width;
         this.height = this.canvas.height;
 
-        // Create backup canvas for resize scaling
-        this.backupCanvas = document.createElement('canvas');
-        this.backupCtx = this.backupCanvas.getContext('2d');
+        // The spectrogram scrolls on an offscreen surface; every paint copies it
+        // to the visible canvas and draws the frequency ruler on top
+        this.specCanvas = document.createElement('canvas');
+        this.specCtx = this.specCanvas.getContext('2d');
+        this.specCanvas.width = this.width;
+        this.specCanvas.height = this.height;
 
-        // Initialize window function (Hann)
-        this._makeWindow();
-        this.binCount = this.fftSize / 2;
+        this.binCount = (this.fftSize * this.zeroPadding) / 2;
 
         this._createSettingsUI();
         this._running = false;
+        // Shared worker-backed analysis, and the columns it delivered since the last paint
+        this.analyzer = null;
+        this.pendingColumns = [];
+        this._onFrames = this._onFrames.bind(this);
         this._renderLoop = this._renderLoop.bind(this);
     }
 
@@ -54,32 +93,314 @@ export class STFTVisualizer {
             const newSize = parseInt(select.value, 10);
             if (newSize === this.fftSize) return;
             this.fftSize = newSize;
-            this.hopSize = this.fftSize / 2;
-            this.binCount = this.fftSize / 2;
-            this._makeWindow();
-            this.sampleBuffer = [];
-            this.ctx.clearRect(0, 0, this.width, this.height);
+            this._analysisChanged();
         });
 
         this.settingsDiv.appendChild(label);
         this.settingsDiv.appendChild(select);
+
+        this._createAnalysisSettingsUI();
+
+        // Frequency axis
+        const scaleRow = document.createElement('div');
+        const scaleLabel = document.createElement('label');
+        scaleLabel.textContent = 'Scale: ';
+        const scaleSelect = document.createElement('select');
+        for (const name in frequencyScales) {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = frequencyScales[name].label;
+            if (name === this.frequencyScale) opt.selected = true;
+            scaleSelect.appendChild(opt);
+        }
+        scaleSelect.addEventListener('change', () => {
+            this.frequencyScale = scaleSelect.value;
+            this._clearSpectrogram();
+        });
+        scaleLabel.appendChild(scaleSelect);
+        scaleRow.appendChild(scaleLabel);
+        this.settingsDiv.appendChild(scaleRow);
+
+        const rangeRow = document.createElement('div');
+        const makeFreqInput = (text, value, onChange) => {
+            const inputLabel = document.createElement('label');
+            inputLabel.textContent = text;
+            inputLabel.style.marginRight = '8px';
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 0;
+            input.step = 1;
+            input.value = value;
+            input.style.width = '72px';
+            input.addEventListener('change', () => {
+                const hz = parseFloat(input.value);
+                if (Number.isFinite(hz) && hz >= 0) onChange(hz);
+                this._clearSpectrogram();
+            });
+            inputLabel.appendChild(input);
+            rangeRow.appendChild(inputLabel);
+        };
+        makeFreqInput('Min Hz: ', this.minFreq, (hz) => { this.minFreq = hz; });
+        makeFreqInput('Max Hz: ', this.maxFreq, (hz) => { this.maxFreq = hz; });
+        this.settingsDiv.appendChild(rangeRow);
+
+        this._createDisplaySettingsUI();
+    }
+
+    _createAnalysisSettingsUI() {
+        // Window function, with an input for its shape parameter if it has one
+        const windowRow = document.createElement('div');
+        const windowLabel = document.createElement('label');
+        windowLabel.textContent = 'Window: ';
+        windowLabel.style.marginRight = '8px';
+        const windowSelect = document.createElement('select');
+        for (const name in windowFunctions) {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = windowFunctions[name].label;
+            if (name === this.window) opt.selected = true;
+            windowSelect.appendChild(opt);
+        }
+        windowLabel.appendChild(windowSelect);
+        windowRow.appendChild(windowLabel);
+
+        const paramLabel = document.createElement('label');
+        const paramText = document.createTextNode('');
+        const paramInput = document.createElement('input');
+        paramInput.type = 'number';
+        paramInput.style.width = '56px';
+        paramLabel.appendChild(paramText);
+        paramLabel.appendChild(paramInput);
+        windowRow.appendChild(paramLabel);
+
+        const showParam = () => {
+            const param = windowFunctions[this.window].param;
+            paramLabel.style.display = param ? '' : 'none';
+            if (!param) return;
+            paramText.textContent = `${param.label}: `;
+            paramInput.min = param.min;
+            paramInput.max = param.max;
+            paramInput.step = param.step;
+            paramInput.value = this.windowParam ?? param.default;
+        };
+        showParam();
+
+        windowSelect.addEventListener('change', () => {
+            this.window = windowSelect.value;
+            this.windowParam = undefined;
+            showParam();
+            this._analysisChanged();
+        });
+        paramInput.addEventListener('change', () => {
+            const param = windowFunctions[this.window].param;
+            const value = parseFloat(paramInput.value);
+            if (!Number.isFinite(value)) return;
+            this.windowParam = Math.min(Math.max(value, param.min), param.max);
+            paramInput.value = this.windowParam;
+            this._analysisChanged();
+        });
+        this.settingsDiv.appendChild(windowRow);
+
+        // Overlap (sets the hop) and zero-padding factor
+        const hopRow = document.createElement('div');
+        makeSelect(hopRow, 'Overlap: ',
+            [[0, '0%'], [0.5, '50%'], [0.75, '75%'], [0.875, '87.5%'], [0.9375, '93.75%']],
+            this.overlap, (value) => {
+                this.overlap = value;
+                this._analysisChanged();
+            });
+        makeSelect(hopRow, 'Zero-pad: ',
+            [[1, '1×'], [2, '2×'], [4, '4×'], [8, '8×']],
+            this.zeroPadding, (value) => {
+                this.zeroPadding = value;
+                this._analysisChanged();
+            });
+        this.settingsDiv.appendChild(hopRow);
+
+        // Channels; overlaying spectrograms isn't readable, so only stacked lanes
+        const channelRow = document.createElement('div');
+        const channelLabel = document.createElement('label');
+        channelLabel.textContent = 'Channels: ';
+        const channelSelect = document.createElement('select');
+        for (const mode in channelModes) {
+            if (mode === 'overlay') continue;
+            const opt = document.createElement('option');
+            opt.value = mode;
+            opt.textContent = channelModes[mode].label;
+            if (mode === this.channelMode) opt.selected = true;
+            channelSelect.appendChild(opt);
+        }
+        channelSelect.addEventListener('change', () => {
+            this.channelMode = channelSelect.value;
+            this._analysisChanged();
+        });
+        channelLabel.appendChild(channelSelect);
+        channelRow.appendChild(channelLabel);
+        this.settingsDiv.appendChild(channelRow);
+    }
+
+    _hopFor(fftSize) {
+        return Math.max(1, Math.round(fftSize * (1 - this.overlap)));
+    }
+
+    // Any analysis setting changed: restart the analysis and the picture
+    _analysisChanged() {
+        this.hopSize = this._hopFor(this.fftSize);
+        this.binCount = (this.fftSize * this.zeroPadding) / 2;
+        if (this._running) this._acquireAnalyzer();
+        this._clearSpectrogram();
     }
 
-    _makeWindow() {
-        this.window = new Float32Array(this.fftSize);
-        for (let n = 0; n < this.fftSize; n++) {
-            this.window[n] = 1 - Math.cos((2 * Math.PI * n) / (this.fftSize - 1));
+    _createDisplaySettingsUI() {
+        // dB window and gain
+        const dbRow = document.createElement('div');
+        const makeDbInput = (text, value, onChange) => {
+            const inputLabel = document.createElement('label');
+            inputLabel.textContent = text;
+            inputLabel.style.marginRight = '8px';
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 1;
+            input.value = value;
+            input.style.width = '56px';
+            input.addEventListener('change', () => {
+                const db = parseFloat(input.value);
+                if (Number.isFinite(db)) onChange(db);
+            });
+            inputLabel.appendChild(input);
+            dbRow.appendChild(inputLabel);
+            return input;
+        };
+        this.floorInput = makeDbInput('Floor dB: ', this.floorDb, (db) => { this.floorDb = db; });
+        this.ceilingInput = makeDbInput('Ceiling dB: ', this.ceilingDb, (db) => { this.ceilingDb = db; });
+        makeDbInput('Gain dB: ', this.gainDb, (db) => { this.gainDb = db; });
+        this.settingsDiv.appendChild(dbRow);
+
+        // Auto range (percentile AGC); the floor/ceiling inputs follow it while on
+        const autoLabel = document.createElement('label');
+        const autoCheckbox = document.createElement('input');
+        autoCheckbox.type = 'checkbox';
+        autoCheckbox.checked = this.autoRange;
+        autoCheckbox.addEventListener('change', () => {
+            this.autoRange = autoCheckbox.checked;
+            this.autoRanger.reset();
+            this.floorInput.disabled = this.autoRange;
+            this.ceilingInput.disabled = this.autoRange;
+        });
+        autoLabel.appendChild(autoCheckbox);
+        autoLabel.appendChild(document.createTextNode(' Auto range'));
+        const autoRow = document.createElement('div');
+        autoRow.appendChild(autoLabel);
+        this.settingsDiv.appendChild(autoRow);
+
+        // Colormap, with gradient pickers for the custom map
+        const colorRow = document.createElement('div');
+        const colorLabel = document.createElement('label');
+        colorLabel.textContent = 'Colormap: ';
+        const colorSelect = document.createElement('select');
+        for (const name in colormaps) {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = colormaps[name].label;
+            if (name === this.colormap) opt.selected = true;
+            colorSelect.appendChild(opt);
         }
+        colorLabel.appendChild(colorSelect);
+        colorRow.appendChild(colorLabel);
+
+        const customSpan = document.createElement('span');
+        this.customStops.forEach((color, i) => {
+            const picker = document.createElement('input');
+            picker.type = 'color';
+            picker.value = color;
+            picker.addEventListener('input', () => {
+                this.customStops[i] = picker.value;
+                this._updateColormap();
+            });
+            customSpan.appendChild(picker);
+        });
+        customSpan.style.display = this.colormap === 'custom' ? '' : 'none';
+        colorRow.appendChild(customSpan);
+
+        colorSelect.addEventListener('change', () => {
+            this.colormap = colorSelect.value;
+            customSpan.style.display = this.colormap === 'custom' ? '' : 'none';
+            this._updateColormap();
+        });
+        this.settingsDiv.appendChild(colorRow);
+    }
+
+    _updateColormap() {
+        const stops = this.colormap === 'custom' ? this.customStops : colormaps[this.colormap].stops;
+        this.colormapLUT = buildColormapLUT(stops);
+    }
+
+    // Displayed frequency range after clamping to what the scale and sample rate allow
+    _frequencyRange() {
+        const nyquist = (this.analyzer && this.analyzer.sampleRate || 44100) / 2;
+        const maxFreq = Math.min(Math.max(this.maxFreq, 1), nyquist);
+        const minFreq = Math.min(Math.max(this.minFreq, minFrequencyFor(this.frequencyScale)), maxFreq / 2);
+        return { minFreq, maxFreq, sampleRate: nyquist * 2 };
+    }
+
+    // Lanes split the canvas height evenly; leftover rows stay at the bottom
+    _laneHeight() {
+        return Math.floor(this.height / this.lanes);
+    }
+
+    _getRowMap(binCount) {
+        const { minFreq, maxFreq, sampleRate } = this._frequencyRange();
+        const laneHeight = this._laneHeight();
+        const key = [laneHeight, this.lanes, binCount, sampleRate, this.frequencyScale, minFreq, maxFreq].join(':');
+        if (key !== this.rowMapKey) {
+            this.rowMap = buildRowMap(laneHeight, binCount, sampleRate, this.frequencyScale, minFreq, maxFreq);
+            this.rowValues = new Float32Array(laneHeight);
+            this.rowDb = new Float32Array(laneHeight * this.lanes);
+            this.rowMapKey = key;
+        }
+        return this.rowMap;
+    }
+
+    _clearSpectrogram() {
+        this.specCtx.clearRect(0, 0, this.specCanvas.width, this.specCanvas.height);
+        this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+
+    _acquireAnalyzer() {
+        this._releaseAnalyzer();
+        this.analyzer = STFTAnalyzer.acquire(this.audioSource, {
+            fftSize: this.fftSize,
+            hopSize: this.hopSize,
+            window: this.window,
+            windowParam: this.windowParam ?? windowFunctions[this.window].param?.default,
+            zeroPadding: this.zeroPadding,
+            channelMode: this.channelMode
+        });
+        this.analyzer.addEventListener('frames', this._onFrames);
+    }
+
+    _releaseAnalyzer() {
+        if (!this.analyzer) return;
+        this.analyzer.removeEventListener('frames', this._onFrames);
+        this.analyzer.release();
+        this.analyzer = null;
+        this.pendingColumns = [];
+    }
+
+    _onFrames(e) {
+        this.pendingColumns.push(e.detail);
     }
 
     _start() {
         if (this._running) return;
         this._running = true;
+        this._acquireAnalyzer();
         requestAnimationFrame(this._renderLoop);
     }
 
     _stop() {
         this._running = false;
+        this._releaseAnalyzer();
         console.log("visualizer has stopped.");
         
     }
@@ -90,7 +411,8 @@ export class STFTVisualizer {
         // Check for canvas resize and handle scaling
         this._handleCanvasResize();
         
-        this._processNewSamples();
+        this._drawPendingColumns();
+        this._paint();
         requestAnimationFrame(this._renderLoop);
     }
 
@@ -102,29 +424,34 @@ export class STFTVisualizer {
         if (currentWidth !== this.lastWidth || currentHeight !== this.lastHeight) {
             console.log(`Canvas resized from ${this.lastWidth}x${this.lastHeight} to ${currentWidth}x${currentHeight}`);
             
-            // Only try to scale if:
-            // 1. We have valid backup content (width > 0 AND height > 0)
-            // 2. The new canvas has valid dimensions (width > 0 AND height > 0)
-            // 3. We're not going from 0x0 to something (initial setup)
-            const hasValidBackup = this.backupCanvas.width > 0 && this.backupCanvas.height > 0;
+            // Only try to scale if both the old surface and the new canvas
+            // have valid dimensions (width > 0 AND height > 0)
+            const hasValidSurface = this.specCanvas.width > 0 && this.specCanvas.height > 0;
             const hasValidDestination = currentWidth > 0 && currentHeight > 0;
             
-            if (hasValidBackup && hasValidDestination) {
+            if (hasValidSurface && hasValidDestination) {
                 try {
-                    // Clear the main canvas and scale the backup to new size
-                    this.ctx.clearRect(0, 0, currentWidth, currentHeight);
-                    
-                    // Scale and draw the backup canvas to the new size
-                    this.ctx.drawImage(
-                        this.backupCanvas,
-                        0, 0, this.backupCanvas.width, this.backupCanvas.height,  // source
-                        0, 0, currentWidth, currentHeight                         // destination
+                    // Resizing clears the surface, so keep a copy to scale back in
+                    const snapshot = document.createElement('canvas');
+                    snapshot.width = this.specCanvas.width;
+                    snapshot.height = this.specCanvas.height;
+                    snapshot.getContext('2d').drawImage(this.specCanvas, 0, 0);
+
+                    this.specCanvas.width = currentWidth;
+                    this.specCanvas.height = currentHeight;
+                    this.specCtx.drawImage(
+                        snapshot,
+                        0, 0, snapshot.width, snapshot.height,  // source
+                        0, 0, currentWidth, currentHeight       // destination
                     );
                     
                     console.log('Scaled spectrogram to new canvas size');
                 } catch (e) {
                     console.log('Could not scale canvas content:', e);
                 }
+            } else if (hasValidDestination) {
+                this.specCanvas.width = currentWidth;
+                this.specCanvas.height = currentHeight;
             } else {
                 console.log('Skipping scale - invalid dimensions');
             }
@@ -134,113 +461,154 @@ export class STFTVisualizer {
             this.lastHeight = currentHeight;
             this.width = currentWidth;
             this.height = currentHeight;
-            
-            // Update backup canvas size to match (only if destination is valid)
-            if (currentWidth > 0 && currentHeight > 0) {
-                this._updateBackupCanvas();
+        }
+    }
+
+    _drawPendingColumns() {
+        if (this.pendingColumns.length === 0) return;
+
+        for (const { frames, count, lanes, binCount, blankColumns } of this.pendingColumns) {
+            if (lanes !== this.lanes) {
+                // The source's channel count changed under the stacked mode
+                this.lanes = lanes;
+                this._clearSpectrogram();
+            }
+            const frameSize = lanes * binCount;
+            // Leave blank columns for audio that went missing (dropped blocks, seeks)
+            const blanks = Math.min(blankColumns, this.width);
+            const silence = new Float32Array(frameSize);
+            for (let i = 0; i < blanks; i++) {
+                this._drawSpectrogramColumn(silence, binCount);
+            }
+            for (let f = 0; f < count; f++) {
+                this._drawSpectrogramColumn(frames.subarray(f * frameSize, (f + 1) * frameSize), binCount);
             }
         }
+        this.pendingColumns = [];
     }
 
-    _updateBackupCanvas() {
-        // Only update backup if we have valid dimensions
-        if (this.width <= 0 || this.height <= 0) {
-            console.log('Skipping backup update - invalid canvas dimensions');
+    _paint() {
+        if (this.width <= 0 || this.height <= 0) return;
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.ctx.drawImage(this.specCanvas, 0, 0);
+        if (this.lanes === 1) {
+            this._drawRuler(0, this.height);
             return;
         }
-        
-        // Keep backup canvas in sync with main canvas
-        if (this.backupCanvas.width !== this.width || this.backupCanvas.height !== this.height) {
-            this.backupCanvas.width = this.width;
-            this.backupCanvas.height = this.height;
-        }
-        
-        // Copy current main canvas to backup
-        try {
-            this.backupCtx.clearRect(0, 0, this.width, this.height);
-            this.backupCtx.drawImage(this.canvas, 0, 0);
-        } catch (e) {
-            console.log('Could not update backup canvas:', e);
+        const laneHeight = this._laneHeight();
+        const labels = channelLabels(this.channelMode, this.lanes);
+        for (let l = 0; l < this.lanes; l++) {
+            this._drawRuler(l * laneHeight, laneHeight);
+            this._drawLaneLabel(labels[l], l * laneHeight);
         }
     }
 
-    _processNewSamples() {
-        const channels = this.audioSource.pullAllSamples();
-        
-        if (!channels || channels.length === 0) return;
-
-        // Convert to mono
-        const numChannels = channels.length;
-        const numSamples = channels[0].length;
-        for (let i = 0; i < numSamples; i++) {
-            let sum = 0;
-            for (let ch = 0; ch < numChannels; ch++) {
-                sum += channels[ch][i];
-            }
-            this.sampleBuffer.push(sum / numChannels);
+    _drawLaneLabel(text, top) {
+        const ctx = this.ctx;
+        ctx.save();
+        if (top > 0) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(0, top + 0.5);
+            ctx.lineTo(this.width, top + 0.5);
+            ctx.stroke();
         }
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'top';
+        const textWidth = ctx.measureText(text).width;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(2, top + 2, textWidth + 6, 14);
+        ctx.fillStyle = 'white';
+        ctx.fillText(text, 5, top + 4);
+        ctx.restore();
+    }
 
-        // Process FFT frames
-        while (this.sampleBuffer.length >= this.fftSize) {
-            const frame = this.sampleBuffer.slice(0, this.fftSize);
-            this.sampleBuffer = this.sampleBuffer.slice(this.hopSize);
-
-            // Apply window
-            const re = new Float32Array(this.fftSize);
-            const im = new Float32Array(this.fftSize);
-            for (let i = 0; i < this.fftSize; i++) {
-                re[i] = frame[i] * this.window[i];
-                im[i] = 0;
-            }
-
-            // Perform FFT
-            FFT.fft_in_place(re, im);
-
-            // Compute magnitude spectrum
-            const mags = new Float32Array(this.binCount);
-            for (let i = 0; i < this.binCount; i++) {
-                const real = re[i];
-                const imag = im[i];
-                mags[i] = Math.sqrt(real * real + imag * imag) / this.binCount;
-            }
-
-            // Draw spectrogram column
-            this._drawSpectrogramColumn(mags);
+    // Labeled frequency ticks along the right edge (new columns enter on the left)
+    _drawRuler(top, height) {
+        const { minFreq, maxFreq } = this._frequencyRange();
+        const ticks = rulerTicks(height, this.frequencyScale, minFreq, maxFreq).map(
+            ({ freq, y }) => ({ freq, y: top + y })
+        );
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 1;
+        for (const { freq, y } of ticks) {
+            const label = formatFrequency(freq);
+            const textY = Math.min(Math.max(y, top + 7), top + height - 7);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(this.width - 6, Math.round(y) + 0.5);
+            ctx.lineTo(this.width, Math.round(y) + 0.5);
+            ctx.stroke();
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            const textWidth = ctx.measureText(label).width;
+            ctx.fillRect(this.width - 10 - textWidth, textY - 7, textWidth + 4, 14);
+            ctx.fillStyle = 'white';
+            ctx.fillText(label, this.width - 8, textY);
         }
-        
-        // Update backup canvas after drawing
-        this._updateBackupCanvas();
+        ctx.restore();
     }
 
-    _drawSpectrogramColumn(mags) {
-        // Shift existing image left by 1 pixel
+    // laneMags holds one frame per lane, binCount magnitudes each
+    _drawSpectrogramColumn(laneMags, binCount) {
+        if (this.width <= 0 || this.height <= 0) return;
+
+        // Shift existing image right by 1 pixel
         try {
-            this.ctx.drawImage(this.canvas, 1, 0);
+            this.specCtx.drawImage(this.specCanvas, 1, 0);
         } catch (e) {
             // Canvas might be empty - continue without shifting
             console.log('Canvas empty during shift, continuing...');
         }
 
-        // Draw new column on the right
-        const bin_spacing = this.height / this.binCount;  // Use exact fractional spacing
-        for (let i = 0; i < this.binCount; i++) {
-            const y = (this.binCount - 1 - i) * bin_spacing;  // Position from top to bottom
-            
-            let db = 20 * Math.log10(mags[i]);
-            let norm = (db + 100) / 100;
-            // 0 magnitude has -inf db so we clip
-            if (norm < 0){
-                norm = 0;
-            } else if (norm > 1) {
-                console.log("clipped:", norm);
-                norm = 1;
+        // Resample bins onto pixel rows of the chosen frequency axis, lane by lane
+        const rowMap = this._getRowMap(binCount);
+        const laneHeight = this._laneHeight();
+        const rowDb = this.rowDb;
+        for (let l = 0; l < this.lanes; l++) {
+            const rows = sampleRows(laneMags.subarray(l * binCount, (l + 1) * binCount), rowMap, this.rowValues);
+            for (let y = 0; y < laneHeight; y++) {
+                rowDb[l * laneHeight + y] = 20 * Math.log10(rows[y]) + this.gainDb;
             }
-            
-            const intensity = Math.floor(norm * 255);
-            this.ctx.fillStyle = `rgb(${intensity},${intensity},${intensity})`;
-            
-            this.ctx.fillRect(0, y, 1, bin_spacing);
         }
+
+        let floor = this.floorDb;
+        let ceiling = this.ceilingDb;
+        if (this.autoRange) {
+            this.autoRanger.add(rowDb);
+            const range = this.autoRanger.range();
+            if (range) {
+                ({ floor, ceiling } = range);
+                this.floorInput.value = floor.toFixed(0);
+                this.ceilingInput.value = ceiling.toFixed(0);
+            }
+        }
+        const span = ceiling - floor || 1;
+
+        // Draw new column on the left as one ImageData write
+        if (!this.columnImage || this.columnImage.height !== this.height) {
+            this.columnImage = this.specCtx.createImageData(1, this.height);
+        }
+        const pixels = this.columnImage.data;
+        const lut = this.colormapLUT;
+        for (let y = 0; y < this.height; y++) {
+            // 0 magnitude has -inf db, which clips to the floor; so do the
+            // leftover rows below the last lane
+            let norm = y < rowDb.length ? (rowDb[y] - floor) / span : 0;
+            if (!(norm > 0)) norm = 0;
+            else if (norm > 1) norm = 1;
+            const index = Math.floor(norm * 255) * 4;
+            const p = y * 4;
+            pixels[p] = lut[index];
+            pixels[p + 1] = lut[index + 1];
+            pixels[p + 2] = lut[index + 2];
+            pixels[p + 3] = 255;
+        }
+        this.specCtx.putImageData(this.columnImage, 0, 0);
     }
 
     start() {
@@ -0,0 +1,63 @@
+// autoRange.js - Percentile-based automatic display range (AGC)
+//
+// Keeps a decaying histogram of recent dB values and places the display
+// floor/ceiling at low/high percentiles of it, so quiet and loud material
+// both fill the colormap without hand-tuning.
+
+const MIN_DB = -160;
+const MAX_DB = 40;
+const BINS_PER_DB = 2;
+
+export class AutoRange {
+    /**
+     * @param {object} options
+     *   lowPercentile / highPercentile: fractions mapped to floor and ceiling (default 0.05 / 0.995).
+     *   decay: histogram weight kept per update (default 0.99, about 100 updates of memory).
+     *   minSpan: smallest floor-to-ceiling distance in dB (default 20).
+     */
+    constructor(options = {}) {
+        this.lowPercentile = options.lowPercentile ?? 0.05;
+        this.highPercentile = options.highPercentile ?? 0.995;
+        this.decay = options.decay ?? 0.99;
+        this.minSpan = options.minSpan ?? 20;
+        this.histogram = new Float64Array((MAX_DB - MIN_DB) * BINS_PER_DB + 1);
+        this.total = 0;
+    }
+
+    reset() {
+        this.histogram.fill(0);
+        this.total = 0;
+    }
+
+    // Adds one column/frame of dB values
+    add(dbValues) {
+        const hist = this.histogram;
+        for (let i = 0; i < hist.length; i++) hist[i] *= this.decay;
+        this.total *= this.decay;
+        for (let i = 0; i < dbValues.length; i++) {
+            const db = dbValues[i];
+            if (!Number.isFinite(db)) continue;
+            const clamped = Math.min(Math.max(db, MIN_DB), MAX_DB);
+            hist[Math.round((clamped - MIN_DB) * BINS_PER_DB)] += 1;
+            this.total += 1;
+        }
+    }
+
+    // Current { floor, ceiling } in dB, or null before any data
+    range() {
+        if (this.total <= 0) return null;
+        const floor = this._percentile(this.lowPercentile);
+        const ceiling = Math.max(this._percentile(this.highPercentile), floor + this.minSpan);
+        return { floor, ceiling };
+    }
+
+    _percentile(fraction) {
+        const target = this.total * fraction;
+        let cumulative = 0;
+        for (let i = 0; i < this.histogram.length; i++) {
+            cumulative += this.histogram[i];
+            if (cumulative >= target) return MIN_DB + i / BINS_PER_DB;
+        }
+        return MAX_DB;
+    }
+}
@@ -0,0 +1,62 @@
+// colormaps.js - Color lookup tables for intensity displays
+//
+// Each colormap is a list of evenly spaced hex stops; buildColormapLUT()
+// interpolates them into a 256-entry RGBA table indexed by intensity.
+// The perceptual maps are sampled from matplotlib's viridis/magma/inferno.
+
+export const colormaps = {
+    viridis: {
+        label: 'Viridis',
+        stops: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e',
+                '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']
+    },
+    magma: {
+        label: 'Magma',
+        stops: ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f',
+                '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf']
+    },
+    inferno: {
+        label: 'Inferno',
+        stops: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60',
+                '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4']
+    },
+    jet: {
+        label: 'Jet',
+        stops: ['#00007f', '#0000ff', '#007fff', '#00ffff', '#7fff7f',
+                '#ffff00', '#ff7f00', '#ff0000', '#7f0000']
+    },
+    grayscale: {
+        label: 'Grayscale',
+        stops: ['#000000', '#ffffff']
+    },
+    custom: {
+        // Stops come from the user's gradient pickers
+        label: 'Custom',
+        stops: null
+    }
+};
+
+function parseHex(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * buildColormapLUT(stops)
+ * Returns a Uint8ClampedArray of 256 RGBA entries running through `stops`.
+ */
+export function buildColormapLUT(stops) {
+    const rgb = stops.map(parseHex);
+    const lut = new Uint8ClampedArray(256 * 4);
+    const segments = rgb.length - 1;
+    for (let i = 0; i < 256; i++) {
+        const pos = (i / 255) * segments;
+        const s = Math.min(Math.floor(pos), segments - 1);
+        const t = pos - s;
+        for (let c = 0; c < 3; c++) {
+            lut[i * 4 + c] = rgb[s][c] + (rgb[s + 1][c] - rgb[s][c]) * t;
+        }
+        lut[i * 4 + 3] = 255;
+    }
+    return lut;
+}
@@ -0,0 +1,150 @@
+// frequencyScales.js - Frequency axis warps for spectral displays
+//
+// Each scale maps Hz onto a perceptual (or plain) axis and back. A display
+// spaces pixel rows evenly in scale units between its min and max frequency.
+
+export const frequencyScales = {
+    linear: {
+        label: 'Linear',
+        toScale: (f) => f,
+        fromScale: (v) => v
+    },
+    log: {
+        label: 'Log',
+        toScale: (f) => Math.log2(f),
+        fromScale: (v) => 2 ** v
+    },
+    mel: {
+        // O'Shaughnessy's mel formula
+        label: 'Mel',
+        toScale: (f) => 2595 * Math.log10(1 + f / 700),
+        fromScale: (m) => 700 * (10 ** (m / 2595) - 1)
+    },
+    bark: {
+        // Traunmüller (1990) approximation of the Bark scale
+        label: 'Bark',
+        toScale: (f) => (26.81 * f) / (1960 + f) - 0.53,
+        fromScale: (z) => (1960 * (z + 0.53)) / (26.28 - z)
+    },
+    erb: {
+        // Glasberg & Moore (1990) ERB-rate scale
+        label: 'ERB',
+        toScale: (f) => 21.4 * Math.log10(1 + 0.00437 * f),
+        fromScale: (e) => (10 ** (e / 21.4) - 1) / 0.00437
+    }
+};
+
+// Lowest frequency a scale can show; log has no zero
+export function minFrequencyFor(scaleName) {
+    return scaleName === 'log' ? 1 : 0;
+}
+
+/**
+ * buildRowMap(height, binCount, sampleRate, scaleName, minFreq, maxFreq)
+ * Describes, for every pixel row (0 = top), which FFT bins it covers:
+ *   center: fractional bin at the row's center frequency
+ *   lo, hi: first and last whole bin inside the row
+ * Rows narrower than a bin interpolate between neighbouring bins at `center`;
+ * wider rows take the maximum over lo..hi so narrow peaks stay visible.
+ */
+export function buildRowMap(height, binCount, sampleRate, scaleName, minFreq, maxFreq) {
+    const scale = frequencyScales[scaleName];
+    const binHz = sampleRate / (2 * binCount);
+    const lowScaled = scale.toScale(minFreq);
+    const highScaled = scale.toScale(maxFreq);
+    const rowToBin = (edge) => scale.fromScale(lowScaled + (highScaled - lowScaled) * edge) / binHz;
+
+    const center = new Float32Array(height);
+    const lo = new Int32Array(height);
+    const hi = new Int32Array(height);
+    for (let y = 0; y < height; y++) {
+        // Row y spans [bottomEdge, topEdge] in 0..1 axis units, bottom = 0
+        const bottomEdge = (height - 1 - y) / height;
+        const topEdge = (height - y) / height;
+        const bottomBin = rowToBin(bottomEdge);
+        const topBin = rowToBin(topEdge);
+        center[y] = Math.min(rowToBin((bottomEdge + topEdge) / 2), binCount - 1);
+        lo[y] = Math.min(Math.ceil(bottomBin), binCount - 1);
+        hi[y] = Math.min(Math.floor(topBin), binCount - 1);
+    }
+    return { center, lo, hi };
+}
+
+/**
+ * sampleRows(values, rowMap, out)
+ * Resamples per-bin values onto pixel rows using a map from buildRowMap().
+ */
+export function sampleRows(values, rowMap, out) {
+    const { center, lo, hi } = rowMap;
+    for (let y = 0; y < out.length; y++) {
+        if (hi[y] - lo[y] >= 1) {
+            let peak = values[lo[y]];
+            for (let b = lo[y] + 1; b <= hi[y]; b++) {
+                if (values[b] > peak) peak = values[b];
+            }
+            out[y] = peak;
+        } else {
+            const c = center[y];
+            const b0 = Math.floor(c);
+            const b1 = Math.min(b0 + 1, values.length - 1);
+            const t = c - b0;
+            out[y] = values[b0] * (1 - t) + values[b1] * t;
+        }
+    }
+    return out;
+}
+
+/**
+ * frequencyToY(freq, height, scaleName, minFreq, maxFreq)
+ * Pixel row (0 = top) of a frequency on the axis.
+ */
+export function frequencyToY(freq, height, scaleName, minFreq, maxFreq) {
+    const scale = frequencyScales[scaleName];
+    const lowScaled = scale.toScale(minFreq);
+    const highScaled = scale.toScale(maxFreq);
+    return height * (1 - (scale.toScale(freq) - lowScaled) / (highScaled - lowScaled));
+}
+
+/**
+ * rulerTicks(height, scaleName, minFreq, maxFreq, minSpacing)
+ * Round frequencies to label on an axis, at least `minSpacing` pixels apart.
+ */
+export function rulerTicks(height, scaleName, minFreq, maxFreq, minSpacing = 24) {
+    const candidates = [];
+    if (scaleName === 'linear') {
+        // Evenly spaced 1-2-5 steps
+        const target = (maxFreq - minFreq) / Math.max(1, Math.floor(height / minSpacing));
+        const magnitude = 10 ** Math.floor(Math.log10(target));
+        const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= target);
+        for (let f = Math.ceil(minFreq / step) * step; f <= maxFreq; f += step) {
+            candidates.push(f);
+        }
+    } else {
+        // 1-2-5 per decade, which reads naturally on warped axes
+        for (let decade = 10; decade <= 100000; decade *= 10) {
+            for (const m of [1, 2, 5]) {
+                const f = m * decade;
+                if (f >= minFreq && f <= maxFreq) candidates.push(f);
+            }
+        }
+    }
+
+    const ticks = [];
+    let lastY = Infinity;
+    for (const freq of candidates) {
+        const y = frequencyToY(freq, height, scaleName, minFreq, maxFreq);
+        if (lastY - y >= minSpacing) {
+            ticks.push({ freq, y });
+            lastY = y;
+        }
+    }
+    return ticks;
+}
+
+export function formatFrequency(freq) {
+    if (freq >= 1000) {
+        const k = freq / 1000;
+        return `${Number.isInteger(k) ? k : k.toFixed(1)}k`;
+    }
+    return `${Math.round(freq)}`;
+}
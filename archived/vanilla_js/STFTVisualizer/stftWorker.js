@@ -0,0 +1,210 @@
+// stftWorker.js - Spectral analysis off the main thread
+//
+// Hosts any number of independent spectral analyses, addressed by id. An
+// analysis is an STFT by default, or a constant-Q transform with
+// settings.kind === 'cqt' (see CQT.js for its settings). Either way each lane
+// is fed samples with append() and hands out frames with readFrame().
+// Messages in:
+//   { type: 'configure', id, settings: { kind, fftSize, hopSize, window, windowParam, zeroPadding, channelMode } }
+//   { type: 'samples', id, sampleRate, channels: [Float32Array, ...], gap: { offset, missingFrames } | null }
+//   { type: 'dispose', id }
+// Messages out:
+//   { type: 'frames', id, binCount, lanes, count, frames: Float32Array(count * lanes * binCount), blankColumns }
+// Each lane is one signal of the channel mode (see channelModes.js); frame f
+// of lane l starts at (f * lanes + l) * binCount.
+// fftSize is the window length; each frame is zero-padded to
+// fftSize * zeroPadding before the transform, so binCount grows with padding.
+// Magnitudes are corrected for the window's coherent gain: a full-scale sine
+// reads 1.0 (0 dB) whatever the window or padding.
+// Sample and frame buffers are transferred, not copied.
+
+import { FFT } from '../FFT/FFT.js';
+import { makeWindow, coherentGain } from '../FFT/windows.js';
+import { deriveChannels } from '../channelModes/channelModes.js';
+import { CQT } from '../CQT/CQT.js';
+
+const analyses = new Map();
+
+// Sample FIFO: valid samples live in data[start, end)
+class SampleFifo {
+    constructor(capacity) {
+        this.data = new Float32Array(capacity);
+        this.start = 0;
+        this.end = 0;
+    }
+
+    get available() {
+        return this.end - this.start;
+    }
+
+    clear() {
+        this.start = this.end = 0;
+    }
+
+    append(samples) {
+        const numSamples = samples.length;
+        // Make room: compact to the front, growing if still too small
+        if (this.end + numSamples > this.data.length) {
+            const pending = this.data.subarray(this.start, this.end);
+            const needed = pending.length + numSamples;
+            if (needed > this.data.length) {
+                const grown = new Float32Array(needed * 2);
+                grown.set(pending, 0);
+                this.data = grown;
+            } else {
+                this.data.copyWithin(0, this.start, this.end);
+            }
+            this.end -= this.start;
+            this.start = 0;
+        }
+        this.data.set(samples, this.end);
+        this.end += numSamples;
+    }
+}
+
+// Windowed, zero-padded FFT magnitudes of one frame
+class STFTTransform {
+    constructor(settings) {
+        this.frameSize = settings.fftSize;
+        const transformSize = this.frameSize * (settings.zeroPadding || 1);
+        this.binCount = transformSize / 2;
+        this.plan = FFT.realPlan(transformSize);
+        this.window = makeWindow(settings.window || 'hann', this.frameSize, settings.windowParam);
+        // Peak of a windowed sine is amplitude * sum(window) / 2
+        this.magnitudeScale = 2 / (coherentGain(this.window) * this.frameSize);
+        // Samples past frameSize stay zero: that's the padding
+        this.frame = new Float32Array(transformSize);
+        this.spectrumRe = new Float32Array(this.plan.binCount);
+        this.spectrumIm = new Float32Array(this.plan.binCount);
+    }
+
+    analyze(samples, offset, mags) {
+        const frame = this.frame;
+        for (let i = 0; i < this.frameSize; i++) {
+            frame[i] = samples[offset + i] * this.window[i];
+        }
+        this.plan.forward(frame, this.spectrumRe, this.spectrumIm);
+        for (let i = 0; i < this.binCount; i++) {
+            const real = this.spectrumRe[i];
+            const imag = this.spectrumIm[i];
+            mags[i] = Math.sqrt(real * real + imag * imag) * this.magnitudeScale;
+        }
+    }
+}
+
+// One lane's STFT: a frame of fftSize samples every hopSize samples
+class STFTLane {
+    constructor(transform, hopSize) {
+        this.transform = transform;
+        this.hopSize = hopSize;
+        this.binCount = transform.binCount;
+        this.fifo = new SampleFifo(transform.frameSize * 4);
+    }
+
+    append(samples) {
+        this.fifo.append(samples);
+    }
+
+    clear() {
+        this.fifo.clear();
+    }
+
+    get framesAvailable() {
+        const available = this.fifo.available;
+        const { frameSize } = this.transform;
+        return available >= frameSize ? Math.floor((available - frameSize) / this.hopSize) + 1 : 0;
+    }
+
+    readFrame(mags) {
+        if (this.fifo.available < this.transform.frameSize) return false;
+        this.transform.analyze(this.fifo.data, this.fifo.start, mags);
+        this.fifo.start += this.hopSize;
+        return true;
+    }
+}
+
+class Analysis {
+    constructor(settings) {
+        this.settings = settings;
+        this.hopSize = settings.hopSize;
+        // The CQT's kernels depend on the sample rate, so its lanes are built on first samples
+        this.transform = settings.kind === 'cqt' ? null : new STFTTransform(settings);
+        this.sampleRate = null;
+        this.channelMode = settings.channelMode || 'mono';
+        // One lane per signal, rebuilt when the source's channel count or rate changes
+        this.lanes = [];
+        this.binCount = this.transform ? this.transform.binCount : 0;
+    }
+
+    _makeLane() {
+        return this.transform
+            ? new STFTLane(this.transform, this.hopSize)
+            : new CQT(this.sampleRate, this.settings);
+    }
+
+    process(channels, gap, sampleRate) {
+        if (this.settings.kind === 'cqt') {
+            if (!sampleRate) return { frames: new Float32Array(0), count: 0, lanes: 0, blankColumns: 0 };
+            if (sampleRate !== this.sampleRate) {
+                this.sampleRate = sampleRate;
+                this.lanes = [];
+            }
+        }
+        let begin = 0;
+        let blankColumns = 0;
+        if (gap) {
+            // Don't let a frame straddle dropped blocks or a seek
+            begin = gap.offset;
+            this.lanes.forEach(lane => lane.clear());
+            blankColumns = Math.round(gap.missingFrames / this.hopSize);
+        }
+
+        const signals = deriveChannels(channels, this.channelMode, begin);
+        if (signals.length !== this.lanes.length) {
+            this.lanes = signals.map(() => this._makeLane());
+            this.binCount = this.lanes[0].binCount;
+        }
+        signals.forEach((signal, l) => this.lanes[l].append(signal));
+
+        // Every lane has seen the same number of samples
+        const laneCount = this.lanes.length;
+        const binCount = this.binCount;
+        const count = this.lanes[0].framesAvailable;
+        const frames = new Float32Array(count * laneCount * binCount);
+        for (let f = 0; f < count; f++) {
+            for (let l = 0; l < laneCount; l++) {
+                const offset = (f * laneCount + l) * binCount;
+                this.lanes[l].readFrame(frames.subarray(offset, offset + binCount));
+            }
+        }
+        return { frames, count, lanes: laneCount, blankColumns };
+    }
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    switch (msg.type) {
+        case 'configure':
+            analyses.set(msg.id, new Analysis(msg.settings));
+            break;
+        case 'samples': {
+            const analysis = analyses.get(msg.id);
+            if (!analysis) return;
+            const { frames, count, lanes, blankColumns } = analysis.process(msg.channels, msg.gap, msg.sampleRate);
+            if (count === 0 && blankColumns === 0) return;
+            self.postMessage({
+                type: 'frames',
+                id: msg.id,
+                binCount: analysis.binCount,
+                lanes,
+                count,
+                frames,
+                blankColumns
+            }, [frames.buffer]);
+            break;
+        }
+        case 'dispose':
+            analyses.delete(msg.id);
+            break;
+    }
+};
@@ -0,0 +1,405 @@
+// SpectrumVisualizer.js - Live magnitude spectrum
+//
+// Draws the current spectrum as a line or bars, per FFT bin or aggregated
+// into 1/1, 1/3 or 1/6 octave bands. Frames come from the shared STFT
+// analysis, so a spectrogram of the same source and settings costs nothing
+// extra. Averaging works on power; peak hold and the reference trace on dB.
+
+import { STFTAnalyzer } from '../STFTVisualizer/STFTAnalyzer.js';
+import { frequencyScales, rulerTicks, formatFrequency } from '../STFTVisualizer/frequencyScales.js';
+import { windowFunctions, makeWindow, equivalentNoiseBandwidth } from '../FFT/windows.js';
+import { octaveBands, aggregateBands } from './octaveBands.js';
+import { makeSelect, makeRow } from '../controlPanel/settingsControls.js';
+
+const MIN_FREQ = 20;
+const MAX_FREQ = 20000;
+const FLOOR_DB = -100;
+const CEILING_DB = 0;
+const MARGIN_LEFT = 36;
+const MARGIN_BOTTOM = 16;
+
+function powerToDb(power) {
+    return 10 * Math.log10(Math.max(power, 1e-20));
+}
+
+export class SpectrumVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+
+        this.canvas.close = () => {
+            this._stop();
+        };
+
+        this.fftSize = 4096;
+        this.window = 'hann';
+        this.frequencyScale = 'log';
+        // 0 for per-bin display, else n for 1/n-octave bands
+        this.bandFraction = 0;
+        this.style = 'line';
+        // 'none' | 'exponential' (time constant) | 'linear' (mean over the time)
+        this.averaging = 'exponential';
+        this.averageSeconds = 0.3;
+        this.peakHold = false;
+        // dB per second the held peaks fall; 0 holds forever
+        this.peakDecay = 6;
+
+        this.analyzer = null;
+        this._resetAnalysisState();
+        // Captured trace, kept as { freqs, db } so it survives setting changes
+        this.reference = null;
+
+        this._running = false;
+        this._onFrames = this._onFrames.bind(this);
+        this._renderLoop = this._renderLoop.bind(this);
+        this._createSettingsUI();
+    }
+
+    _createSettingsUI() {
+
+        const analysisRow = makeRow(this.settingsDiv);
+        makeSelect(analysisRow, 'FFT Size: ', [1024, 2048, 4096, 8192, 16384].map(n => [n, `${n}`]),
+            this.fftSize, (value) => {
+                this.fftSize = value;
+                this._analysisChanged();
+            });
+        makeSelect(analysisRow, 'Window: ',
+            Object.keys(windowFunctions).map(name => [name, windowFunctions[name].label]),
+            this.window, (value) => {
+                this.window = value;
+                this._analysisChanged();
+            });
+
+        const displayRow = makeRow(this.settingsDiv);
+        makeSelect(displayRow, 'Axis: ', [['log', 'Log'], ['linear', 'Linear']], this.frequencyScale,
+            (value) => { this.frequencyScale = value; });
+        makeSelect(displayRow, 'Bands: ', [[0, 'Off'], [1, '1/1 oct'], [3, '1/3 oct'], [6, '1/6 oct']],
+            this.bandFraction, (value) => {
+                this.bandFraction = value;
+                this.peakDb = null;
+            });
+        makeSelect(displayRow, 'Style: ', [['line', 'Line'], ['bars', 'Bars']], this.style,
+            (value) => { this.style = value; });
+
+        const averageRow = makeRow(this.settingsDiv);
+        makeSelect(averageRow, 'Averaging: ',
+            [['none', 'None'], ['exponential', 'Exponential'], ['linear', 'Linear']],
+            this.averaging, (value) => {
+                this.averaging = value;
+                this._resetAveraging();
+            });
+        makeSelect(averageRow, 'Time: ', [[0.1, '0.1 s'], [0.3, '0.3 s'], [1, '1 s'], [3, '3 s'], [10, '10 s']],
+            this.averageSeconds, (value) => {
+                this.averageSeconds = value;
+                this._resetAveraging();
+            });
+
+        const peakRow = makeRow(this.settingsDiv);
+        const peakLabel = document.createElement('label');
+        peakLabel.style.marginRight = '8px';
+        const peakCheckbox = document.createElement('input');
+        peakCheckbox.type = 'checkbox';
+        peakCheckbox.checked = this.peakHold;
+        peakCheckbox.addEventListener('change', () => {
+            this.peakHold = peakCheckbox.checked;
+            this.peakDb = null;
+        });
+        peakLabel.appendChild(peakCheckbox);
+        peakLabel.appendChild(document.createTextNode(' Peak hold'));
+        peakRow.appendChild(peakLabel);
+        makeSelect(peakRow, 'Decay: ', [[0, 'Infinite'], [3, '3 dB/s'], [6, '6 dB/s'], [20, '20 dB/s']],
+            this.peakDecay, (value) => { this.peakDecay = value; });
+
+        const referenceRow = makeRow(this.settingsDiv);
+        const captureButton = document.createElement('button');
+        captureButton.textContent = 'Capture reference';
+        captureButton.addEventListener('click', () => {
+            const current = this._currentTrace();
+            if (current) {
+                this.reference = { freqs: current.freqs.slice(), db: current.db.slice(), bands: current.bands };
+            }
+        });
+        const clearButton = document.createElement('button');
+        clearButton.textContent = 'Clear reference';
+        clearButton.addEventListener('click', () => {
+            this.reference = null;
+        });
+        referenceRow.appendChild(captureButton);
+        referenceRow.appendChild(clearButton);
+    }
+
+    _resetAnalysisState() {
+        this.binCount = 0;
+        this.sampleRate = 0;
+        this._resetAveraging();
+    }
+
+    _resetAveraging() {
+        this.averagePower = null;
+        this.linearFrames = [];
+        this.linearSum = null;
+        this.peakDb = null;
+    }
+
+    _analysisChanged() {
+        this._resetAnalysisState();
+        if (this._running) this._acquireAnalyzer();
+    }
+
+    _acquireAnalyzer() {
+        this._releaseAnalyzer();
+        // Same settings shape as the spectrogram, so matching settings share one analysis
+        this.analyzer = STFTAnalyzer.acquire(this.audioSource, {
+            fftSize: this.fftSize,
+            hopSize: this.fftSize / 2,
+            window: this.window,
+            windowParam: windowFunctions[this.window].param?.default,
+            zeroPadding: 1,
+            channelMode: 'mono'
+        });
+        this.analyzer.addEventListener('frames', this._onFrames);
+        // Band sums overread by the window's noise bandwidth
+        this.enbw = equivalentNoiseBandwidth(makeWindow(this.window, this.fftSize));
+    }
+
+    _releaseAnalyzer() {
+        if (!this.analyzer) return;
+        this.analyzer.removeEventListener('frames', this._onFrames);
+        this.analyzer.release();
+        this.analyzer = null;
+    }
+
+    _onFrames(e) {
+        const { frames, count, binCount, blankColumns } = e.detail;
+        if (binCount !== this.binCount) {
+            this._resetAveraging();
+            this.binCount = binCount;
+        }
+        this.sampleRate = this.analyzer.sampleRate || 44100;
+        if (blankColumns > 0) this._resetAveraging();
+        for (let f = 0; f < count; f++) {
+            this._accumulate(frames.subarray(f * binCount, (f + 1) * binCount));
+        }
+    }
+
+    // Fold one magnitude frame into the running power spectrum
+    _accumulate(mags) {
+        const binCount = mags.length;
+        const power = new Float32Array(binCount);
+        for (let i = 0; i < binCount; i++) power[i] = mags[i] * mags[i];
+
+        if (this.averaging === 'none' || !this.averagePower) {
+            this.averagePower = power;
+            if (this.averaging === 'linear') {
+                // A copy, since averagePower is overwritten in place from here on
+                this.linearFrames = [power.slice()];
+                this.linearSum = Float64Array.from(power);
+            }
+            return;
+        }
+
+        const hopSeconds = this.fftSize / 2 / this.sampleRate;
+        if (this.averaging === 'exponential') {
+            const keep = Math.exp(-hopSeconds / this.averageSeconds);
+            const avg = this.averagePower;
+            for (let i = 0; i < binCount; i++) avg[i] = avg[i] * keep + power[i] * (1 - keep);
+            return;
+        }
+
+        // Linear: equal weight to every frame in the last averageSeconds
+        const maxFrames = Math.max(1, Math.round(this.averageSeconds / hopSeconds));
+        this.linearFrames.push(power);
+        for (let i = 0; i < binCount; i++) this.linearSum[i] += power[i];
+        while (this.linearFrames.length > maxFrames) {
+            const old = this.linearFrames.shift();
+            for (let i = 0; i < binCount; i++) this.linearSum[i] -= old[i];
+        }
+        const n = this.linearFrames.length;
+        const avg = this.averagePower;
+        for (let i = 0; i < binCount; i++) avg[i] = Math.max(0, this.linearSum[i] / n);
+    }
+
+    // The averaged spectrum as display points: { freqs, db, bands }
+    _currentTrace() {
+        if (!this.averagePower || !this.sampleRate) return null;
+        const binHz = this.sampleRate / (2 * this.binCount);
+        if (this.bandFraction > 0) {
+            const maxFreq = Math.min(MAX_FREQ, this.sampleRate / 2);
+            const bands = octaveBands(this.bandFraction, MIN_FREQ, maxFreq);
+            const powers = aggregateBands(this.averagePower, binHz, bands, new Float32Array(bands.length));
+            const db = powers.map(p => powerToDb(p / this.enbw));
+            return { freqs: Float32Array.from(bands, b => b.center), db, bands };
+        }
+        const freqs = new Float32Array(this.binCount);
+        const db = new Float32Array(this.binCount);
+        for (let i = 0; i < this.binCount; i++) {
+            freqs[i] = i * binHz;
+            db[i] = powerToDb(this.averagePower[i]);
+        }
+        return { freqs, db, bands: null };
+    }
+
+    _updatePeaks(trace, elapsed) {
+        if (!this.peakDb || this.peakDb.length !== trace.db.length) {
+            this.peakDb = trace.db.slice();
+            return;
+        }
+        const fall = this.peakDecay * elapsed;
+        for (let i = 0; i < trace.db.length; i++) {
+            this.peakDb[i] = Math.max(trace.db[i], this.peakDb[i] - fall);
+        }
+    }
+
+    _start() {
+        if (this._running) return;
+        this._running = true;
+        this._acquireAnalyzer();
+        this.lastFrameTime = null;
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _stop() {
+        this._running = false;
+        this._releaseAnalyzer();
+    }
+
+    _renderLoop(now) {
+        if (!this._running) return;
+        const elapsed = this.lastFrameTime === null ? 0 : (now - this.lastFrameTime) / 1000;
+        this.lastFrameTime = now;
+        this._draw(elapsed);
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _frequencyRange() {
+        const nyquist = (this.sampleRate || 44100) / 2;
+        return { minFreq: MIN_FREQ, maxFreq: Math.min(MAX_FREQ, nyquist) };
+    }
+
+    _draw(elapsed) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        if (width <= MARGIN_LEFT || height <= MARGIN_BOTTOM) return;
+
+        const plot = { left: MARGIN_LEFT, top: 4, width: width - MARGIN_LEFT - 4, height: height - MARGIN_BOTTOM - 4 };
+        const { minFreq, maxFreq } = this._frequencyRange();
+        const scale = frequencyScales[this.frequencyScale];
+        const low = scale.toScale(Math.max(minFreq, 1e-6));
+        const high = scale.toScale(maxFreq);
+        plot.freqToX = (f) => plot.left + ((scale.toScale(Math.max(f, 1e-6)) - low) / (high - low)) * plot.width;
+        plot.dbToY = (db) => {
+            const norm = (db - FLOOR_DB) / (CEILING_DB - FLOOR_DB);
+            return plot.top + (1 - Math.min(1, Math.max(0, norm))) * plot.height;
+        };
+
+        this._drawGrid(plot, minFreq, maxFreq);
+
+        const trace = this._currentTrace();
+        if (this.reference) {
+            this._drawTrace(plot, this.reference, 'line', 'rgba(255, 213, 79, 0.8)', minFreq, maxFreq);
+        }
+        if (!trace) return;
+        this._drawTrace(plot, trace, this.style, '#4fc3f7', minFreq, maxFreq);
+        if (this.peakHold) {
+            this._updatePeaks(trace, elapsed);
+            this._drawTrace(plot, { freqs: trace.freqs, db: this.peakDb, bands: trace.bands },
+                'line', 'rgba(255, 138, 101, 0.9)', minFreq, maxFreq);
+        }
+    }
+
+    _drawGrid(plot, minFreq, maxFreq) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.font = '10px sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.beginPath();
+        for (let db = CEILING_DB; db >= FLOOR_DB; db -= 10) {
+            const y = Math.round(plot.dbToY(db)) + 0.5;
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.left + plot.width, y);
+            ctx.fillText(`${db}`, plot.left - 4, y);
+        }
+
+        // rulerTicks lays ticks out top-down; flip them onto the horizontal axis
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (const { freq } of rulerTicks(plot.width, this.frequencyScale, minFreq, maxFreq, 40)) {
+            const x = Math.round(plot.freqToX(freq)) + 0.5;
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.top + plot.height);
+            ctx.fillText(formatFrequency(freq), x, plot.top + plot.height + 3);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    _drawTrace(plot, trace, style, color, minFreq, maxFreq) {
+        const ctx = this.ctx;
+        const { freqs, db, bands } = trace;
+        const bottom = plot.top + plot.height;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.left, plot.top, plot.width, plot.height);
+        ctx.clip();
+
+        if (style === 'bars') {
+            ctx.fillStyle = color;
+            if (bands) {
+                for (let b = 0; b < bands.length; b++) {
+                    const x0 = plot.freqToX(bands[b].low);
+                    const x1 = plot.freqToX(bands[b].high);
+                    const y = plot.dbToY(db[b]);
+                    ctx.fillRect(x0 + 1, y, Math.max(1, x1 - x0 - 2), bottom - y);
+                }
+            } else {
+                // One bar per pixel column, at the loudest bin in it
+                this._forEachColumn(plot, freqs, db, minFreq, maxFreq, (x, value) => {
+                    const y = plot.dbToY(value);
+                    ctx.fillRect(x, y, 1, bottom - y);
+                });
+            }
+        } else {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let first = true;
+            this._forEachColumn(plot, freqs, db, minFreq, maxFreq, (x, value) => {
+                const y = plot.dbToY(value);
+                if (first) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+                first = false;
+            });
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // Calls fn(x, db) once per occupied pixel column, left to right, with the
+    // maximum of the points landing in it
+    _forEachColumn(plot, freqs, db, minFreq, maxFreq, fn) {
+        let column = null;
+        let value = -Infinity;
+        for (let i = 0; i < freqs.length; i++) {
+            const f = freqs[i];
+            if (f < minFreq || f > maxFreq) continue;
+            const x = Math.floor(plot.freqToX(f));
+            if (x !== column) {
+                if (column !== null) fn(column, value);
+                column = x;
+                value = db[i];
+            } else if (db[i] > value) {
+                value = db[i];
+            }
+        }
+        if (column !== null) fn(column, value);
+    }
+}
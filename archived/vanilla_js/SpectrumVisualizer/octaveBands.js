@@ -0,0 +1,48 @@
+// octaveBands.js - Fractional-octave band layout and aggregation
+//
+// Bands follow the base-2 series around 1 kHz (IEC 61260 style): centers at
+// 1000 * 2^(k / n) for 1/n-octave bands, edges half a band either side.
+
+/**
+ * octaveBands(fraction, minFreq, maxFreq)
+ * Bands of 1/fraction octave whose centers lie in [minFreq, maxFreq], as
+ * { center, low, high } in Hz.
+ */
+export function octaveBands(fraction, minFreq, maxFreq) {
+    const bands = [];
+    const kMin = Math.ceil(fraction * Math.log2(minFreq / 1000));
+    const kMax = Math.floor(fraction * Math.log2(maxFreq / 1000));
+    for (let k = kMin; k <= kMax; k++) {
+        const center = 1000 * 2 ** (k / fraction);
+        bands.push({
+            center,
+            low: center * 2 ** (-1 / (2 * fraction)),
+            high: center * 2 ** (1 / (2 * fraction))
+        });
+    }
+    return bands;
+}
+
+/**
+ * aggregateBands(powers, binHz, bands, out)
+ * Power in each band: the sum of bin powers, each bin weighted by how much of
+ * its width [f - binHz/2, f + binHz/2] falls inside the band. Bands narrower
+ * than a bin get their share of it rather than nothing.
+ */
+export function aggregateBands(powers, binHz, bands, out) {
+    const lastBin = powers.length - 1;
+    for (let b = 0; b < bands.length; b++) {
+        const { low, high } = bands[b];
+        const first = Math.max(0, Math.floor(low / binHz - 0.5));
+        const last = Math.min(lastBin, Math.ceil(high / binHz + 0.5));
+        let sum = 0;
+        for (let j = first; j <= last; j++) {
+            const binLow = (j - 0.5) * binHz;
+            const binHigh = (j + 0.5) * binHz;
+            const overlap = Math.min(high, binHigh) - Math.max(low, binLow);
+            if (overlap > 0) sum += powers[j] * (overlap / binHz);
+        }
+        out[b] = sum;
+    }
+    return out;
+}
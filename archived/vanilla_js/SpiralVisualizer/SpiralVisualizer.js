@@ -0,0 +1,280 @@
+// SpiralVisualizer.js - Pitch spiral of constant-Q energy
+//
+// CQT bins are laid out on a spiral that makes one turn per octave, C at the
+// top and going clockwise, low octaves inside. Every pitch class therefore
+// sits on its own ray: octaves of a note line up and a chord is the same
+// shape wherever it is played.
+
+import { STFTAnalyzer } from '../STFTVisualizer/STFTAnalyzer.js';
+import { cqtFrequencies } from '../CQT/CQT.js';
+import { makeSelect, makeRow } from '../controlPanel/settingsControls.js';
+
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+// Levels are shown from this many dB below full scale up to 0 dB
+const RANGE_DB = 70;
+
+export class SpiralVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+
+        this.canvas.close = () => {
+            this._stop();
+        };
+
+        // The spiral starts at C of lowOctave and runs `octaves` turns
+        this.lowOctave = 2;
+        this.octaves = 5;
+        this.binsPerOctave = 36;
+        this.tuning = 440;
+        // Seconds for a released note to fade to 1/e
+        this.decay = 0.3;
+        this.colorByPitchClass = true;
+
+        this.levels = null;
+        this.lastTime = null;
+        this.frequencies = cqtFrequencies(this._cqtSettings());
+
+        this.analyzer = null;
+        this.pendingFrames = [];
+        this._running = false;
+        this._onFrames = this._onFrames.bind(this);
+        this._renderLoop = this._renderLoop.bind(this);
+        this._createSettingsUI();
+    }
+
+    // Frequency of C in the given octave (C4 is middle C)
+    _cFrequency(octave) {
+        return this.tuning * 2 ** ((12 * (octave + 1) - 69) / 12);
+    }
+
+    _cqtSettings() {
+        return {
+            kind: 'cqt',
+            binsPerOctave: this.binsPerOctave,
+            minFreq: this._cFrequency(this.lowOctave),
+            // The last bin before the C that would close the final turn
+            maxFreq: this._cFrequency(this.lowOctave + this.octaves) * 2 ** (-1 / this.binsPerOctave),
+            tuning: this.tuning,
+            hopSize: 2048,
+            channelMode: 'mono'
+        };
+    }
+
+    _createSettingsUI() {
+
+        const spiralRow = makeRow(this.settingsDiv);
+        makeSelect(spiralRow, 'From: ', [0, 1, 2, 3, 4].map(o => [o, `C${o}`]), this.lowOctave, (value) => {
+            this.lowOctave = value;
+            this._analysisChanged();
+        });
+        makeSelect(spiralRow, 'Octaves: ', [2, 3, 4, 5, 6, 7, 8].map(n => [n, `${n}`]), this.octaves, (value) => {
+            this.octaves = value;
+            this._analysisChanged();
+        });
+        makeSelect(spiralRow, 'Bins/octave: ', [12, 24, 36, 48].map(n => [n, `${n}`]), this.binsPerOctave,
+            (value) => {
+                this.binsPerOctave = value;
+                this._analysisChanged();
+            });
+
+        const tuningLabel = document.createElement('label');
+        tuningLabel.textContent = 'A4 Hz: ';
+        const tuningInput = document.createElement('input');
+        tuningInput.type = 'number';
+        tuningInput.min = 400;
+        tuningInput.max = 480;
+        tuningInput.step = 0.1;
+        tuningInput.value = this.tuning;
+        tuningInput.style.width = '64px';
+        tuningInput.addEventListener('change', () => {
+            const hz = parseFloat(tuningInput.value);
+            if (!Number.isFinite(hz) || hz < 400 || hz > 480) return;
+            this.tuning = hz;
+            this._analysisChanged();
+        });
+        tuningLabel.appendChild(tuningInput);
+        spiralRow.appendChild(tuningLabel);
+
+        const displayRow = makeRow(this.settingsDiv);
+        const decayLabel = document.createElement('label');
+        decayLabel.textContent = 'Decay: ';
+        decayLabel.style.marginRight = '8px';
+        const decaySlider = document.createElement('input');
+        decaySlider.type = 'range';
+        decaySlider.min = 0;
+        decaySlider.max = 2;
+        decaySlider.step = 0.05;
+        decaySlider.value = this.decay;
+        const decayText = document.createElement('span');
+        decayText.textContent = ` ${this.decay.toFixed(2)} s`;
+        decaySlider.addEventListener('input', () => {
+            this.decay = parseFloat(decaySlider.value);
+            decayText.textContent = ` ${this.decay.toFixed(2)} s`;
+        });
+        decayLabel.appendChild(decaySlider);
+        decayLabel.appendChild(decayText);
+        displayRow.appendChild(decayLabel);
+
+        const colorLabel = document.createElement('label');
+        const colorCheckbox = document.createElement('input');
+        colorCheckbox.type = 'checkbox';
+        colorCheckbox.checked = this.colorByPitchClass;
+        colorCheckbox.addEventListener('change', () => {
+            this.colorByPitchClass = colorCheckbox.checked;
+        });
+        colorLabel.appendChild(colorCheckbox);
+        colorLabel.appendChild(document.createTextNode(' Color by pitch class'));
+        displayRow.appendChild(colorLabel);
+    }
+
+    _analysisChanged() {
+        this.frequencies = cqtFrequencies(this._cqtSettings());
+        this.levels = null;
+        if (this._running) this._acquireAnalyzer();
+    }
+
+    _acquireAnalyzer() {
+        this._releaseAnalyzer();
+        this.analyzer = STFTAnalyzer.acquire(this.audioSource, this._cqtSettings());
+        this.analyzer.addEventListener('frames', this._onFrames);
+    }
+
+    _releaseAnalyzer() {
+        if (!this.analyzer) return;
+        this.analyzer.removeEventListener('frames', this._onFrames);
+        this.analyzer.release();
+        this.analyzer = null;
+        this.pendingFrames = [];
+    }
+
+    _onFrames(e) {
+        this.pendingFrames.push(e.detail);
+    }
+
+    _start() {
+        if (this._running) return;
+        this._running = true;
+        this.lastTime = null;
+        this._acquireAnalyzer();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _stop() {
+        this._running = false;
+        this._releaseAnalyzer();
+    }
+
+    _renderLoop(time) {
+        if (!this._running) return;
+        const dt = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+        this.lastTime = time;
+        this._updateLevels(dt);
+        this._draw();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    // Levels (0..1 over RANGE_DB) jump up to new frames and fall off with the decay
+    _updateLevels(dt) {
+        const binCount = this.frequencies.length;
+        if (!this.levels || this.levels.length !== binCount) this.levels = new Float32Array(binCount);
+        const levels = this.levels;
+        const keep = this.decay > 0 ? Math.exp(-dt / this.decay) : 0;
+        for (let k = 0; k < binCount; k++) levels[k] *= keep;
+
+        for (const { frames, count, binCount: frameBins } of this.pendingFrames) {
+            if (frameBins !== binCount) continue;
+            for (let f = 0; f < count; f++) {
+                const offset = f * binCount;
+                for (let k = 0; k < binCount; k++) {
+                    const db = 20 * Math.log10(frames[offset + k]);
+                    const level = Math.min(1, Math.max(0, (db + RANGE_DB) / RANGE_DB));
+                    if (level > levels[k]) levels[k] = level;
+                }
+            }
+        }
+        this.pendingFrames = [];
+    }
+
+    // Angle and radius on the spiral for a position in octaves above the start
+    _spiralPoint(turns, centerX, centerY, innerRadius, turnSpacing) {
+        const angle = 2 * Math.PI * turns - Math.PI / 2;
+        const radius = innerRadius + turns * turnSpacing;
+        return [centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle), angle, radius];
+    }
+
+    _draw() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        if (width <= 0 || height <= 0) return;
+
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const outerRadius = Math.min(width, height) / 2 - 18;
+        if (outerRadius <= 10) return;
+        const turnSpacing = outerRadius / (this.octaves + 1);
+        const innerRadius = turnSpacing;
+
+        ctx.save();
+        // Pitch-class rays with their names past the outer turn
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let pc = 0; pc < 12; pc++) {
+            const angle = (2 * Math.PI * pc) / 12 - Math.PI / 2;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.beginPath();
+            ctx.moveTo(centerX + innerRadius * 0.5 * Math.cos(angle), centerY + innerRadius * 0.5 * Math.sin(angle));
+            ctx.lineTo(centerX + outerRadius * Math.cos(angle), centerY + outerRadius * Math.sin(angle));
+            ctx.stroke();
+            ctx.fillStyle = this.colorByPitchClass ? this._pitchClassColor(pc, 1) : 'rgba(255, 255, 255, 0.6)';
+            ctx.fillText(PITCH_CLASSES[pc], centerX + (outerRadius + 10) * Math.cos(angle),
+                centerY + (outerRadius + 10) * Math.sin(angle));
+        }
+
+        // The spiral itself
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.beginPath();
+        const steps = this.octaves * 96;
+        for (let i = 0; i <= steps; i++) {
+            const [x, y] = this._spiralPoint((i / steps) * this.octaves, centerX, centerY, innerRadius, turnSpacing);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        // One arc per bin, as wide as the bin's share of the turn and thicker when louder
+        const levels = this.levels;
+        if (levels) {
+            const low = this._cFrequency(this.lowOctave);
+            const halfBin = Math.PI / this.binsPerOctave;
+            ctx.lineCap = 'butt';
+            for (let k = 0; k < levels.length; k++) {
+                const level = levels[k];
+                if (level <= 0.01) continue;
+                const turns = Math.log2(this.frequencies[k] / low);
+                const [, , angle, radius] = this._spiralPoint(turns, centerX, centerY, innerRadius, turnSpacing);
+                const semitones = Math.round(turns * 12);
+                const pitchClass = ((semitones % 12) + 12) % 12;
+                ctx.strokeStyle = this.colorByPitchClass
+                    ? this._pitchClassColor(pitchClass, level)
+                    : `rgba(255, 255, 255, ${level})`;
+                ctx.lineWidth = Math.max(1, level * turnSpacing * 0.9);
+                ctx.beginPath();
+                ctx.arc(centerX, centerY, radius, angle - halfBin, angle + halfBin);
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+
+    // Pitch classes around the hue circle, so the fifths C-G-D... step through it
+    _pitchClassColor(pitchClass, alpha) {
+        const hue = ((pitchClass * 7) % 12) * 30;
+        return `hsla(${hue}, 85%, 60%, ${alpha})`;
+    }
+}
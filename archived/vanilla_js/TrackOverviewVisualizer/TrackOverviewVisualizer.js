@@ -0,0 +1,523 @@
+// TrackOverviewVisualizer.js - Whole-track waveform and spectrogram with seeking
+//
+// The retrospective view: instead of following the live stream, it analyzes
+// the music player's decoded track offline and shows all of it at once, a
+// peak waveform above a spectrogram, with a playhead at the player's current
+// time. Click or drag to seek; the wheel zooms around the pointer (shift or
+// a sideways scroll pans) and a double-click returns to the whole track.
+//
+// Every view is rendered at one column per pixel. While the view changes,
+// the last render is stretched into place as a preview; once it settles the
+// new span is analyzed a few columns per animation frame, so zooming in
+// brings out detail without stalling the page on long tracks.
+
+import { mixToMono, peakColumns, SpectrogramColumns } from './trackAnalysis.js';
+import {
+    frequencyScales, minFrequencyFor, buildRowMap, sampleRows, rulerTicks, formatFrequency
+} from '../STFTVisualizer/frequencyScales.js';
+import { colormaps, buildColormapLUT } from '../STFTVisualizer/colormaps.js';
+import { makeSelect, makeRow } from '../controlPanel/settingsControls.js';
+
+// Share of the height given to the waveform
+const WAVEFORM_SHARE = 0.3;
+// Quiet time after a view change before it is re-analyzed
+const SETTLE_MS = 120;
+// Analysis time allowed per animation frame
+const FRAME_BUDGET_MS = 8;
+// Narrowest view, in samples
+const MIN_SPAN_SAMPLES = 256;
+// Lowest frequency shown on the log scale
+const LOG_MIN_FREQ = 30;
+// Time ruler steps in seconds
+const TIME_STEPS = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+
+export class TrackOverviewVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+
+        this.canvas.close = () => {
+            this._stop();
+        };
+
+        this.fftSize = 2048;
+        this.frequencyScale = 'log';
+        this.colormap = 'magma';
+        this.floorDb = -90;
+        // Page the zoomed view along with the playhead
+        this.follow = true;
+
+        // The decoded track and its mono mix; view is the span shown, in seconds
+        this.buffer = null;
+        this.samples = null;
+        this.viewStart = 0;
+        this.viewEnd = 0;
+        this.viewChangedAt = 0;
+
+        // Last finished render and the one in progress:
+        // { key, start, end, width, height, surface, min, max, nextColumn }
+        this.rendered = null;
+        this.job = null;
+        this.spectrogram = null;
+        this.colormapLUT = buildColormapLUT(colormaps[this.colormap].stops);
+
+        this.dragging = false;
+        this._running = false;
+        this._renderLoop = this._renderLoop.bind(this);
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this._onWheel = this._onWheel.bind(this);
+        this._onDoubleClick = this._onDoubleClick.bind(this);
+        this._createSettingsUI();
+    }
+
+    _createSettingsUI() {
+
+        const analysisRow = makeRow(this.settingsDiv);
+        makeSelect(analysisRow, 'FFT: ', [1024, 2048, 4096, 8192].map(n => [n, `${n}`]), this.fftSize, (value) => {
+            this.fftSize = value;
+            this._renderSettingsChanged();
+        });
+        makeSelect(analysisRow, 'Scale: ', Object.entries(frequencyScales).map(([name, { label }]) => [name, label]),
+            this.frequencyScale, (value) => {
+                this.frequencyScale = value;
+                this._renderSettingsChanged();
+            });
+
+        const displayRow = makeRow(this.settingsDiv);
+        const mapOptions = Object.entries(colormaps)
+            .filter(([, { stops }]) => stops)
+            .map(([name, { label }]) => [name, label]);
+        makeSelect(displayRow, 'Colormap: ', mapOptions, this.colormap, (value) => {
+            this.colormap = value;
+            this.colormapLUT = buildColormapLUT(colormaps[value].stops);
+            this._renderSettingsChanged();
+        });
+        makeSelect(displayRow, 'Floor: ', [-60, -80, -90, -100, -120].map(db => [db, `${db} dB`]), this.floorDb,
+            (value) => {
+                this.floorDb = value;
+                this._renderSettingsChanged();
+            });
+        const followLabel = document.createElement('label');
+        const followCheckbox = document.createElement('input');
+        followCheckbox.type = 'checkbox';
+        followCheckbox.checked = this.follow;
+        followCheckbox.addEventListener('change', () => {
+            this.follow = followCheckbox.checked;
+        });
+        followLabel.appendChild(followCheckbox);
+        followLabel.appendChild(document.createTextNode(' Follow playhead'));
+        displayRow.appendChild(followLabel);
+
+        const hint = document.createElement('div');
+        hint.textContent = 'Click or drag to seek, wheel to zoom, shift+wheel to pan, double-click for the whole track.';
+        hint.style.opacity = '0.7';
+        this.settingsDiv.appendChild(hint);
+    }
+
+    // Settings that change the picture but not the view
+    _renderSettingsChanged() {
+        this.job = null;
+        this.viewChangedAt = performance.now() - SETTLE_MS;
+    }
+
+    _start() {
+        if (this._running) return;
+        this._running = true;
+        this.canvas.addEventListener('pointerdown', this._onPointerDown);
+        this.canvas.addEventListener('pointermove', this._onPointerMove);
+        this.canvas.addEventListener('pointerup', this._onPointerUp);
+        this.canvas.addEventListener('pointercancel', this._onPointerUp);
+        this.canvas.addEventListener('wheel', this._onWheel, { passive: false });
+        this.canvas.addEventListener('dblclick', this._onDoubleClick);
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    _stop() {
+        this._running = false;
+        this.dragging = false;
+        this.job = null;
+        this.canvas.removeEventListener('pointerdown', this._onPointerDown);
+        this.canvas.removeEventListener('pointermove', this._onPointerMove);
+        this.canvas.removeEventListener('pointerup', this._onPointerUp);
+        this.canvas.removeEventListener('pointercancel', this._onPointerUp);
+        this.canvas.removeEventListener('wheel', this._onWheel);
+        this.canvas.removeEventListener('dblclick', this._onDoubleClick);
+    }
+
+    // Canvas x (in canvas pixels) of a pointer event
+    _eventX(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return ((e.clientX - rect.left) / rect.width) * this.canvas.width;
+    }
+
+    _timeAt(x) {
+        return this.viewStart + (x / this.canvas.width) * (this.viewEnd - this.viewStart);
+    }
+
+    _onPointerDown(e) {
+        if (e.button !== 0 || !this.buffer) return;
+        this.dragging = true;
+        this.canvas.setPointerCapture(e.pointerId);
+        this.audioSource.seek(this._timeAt(this._eventX(e)));
+    }
+
+    _onPointerMove(e) {
+        if (!this.dragging) return;
+        this.audioSource.seek(this._timeAt(this._eventX(e)));
+    }
+
+    _onPointerUp(e) {
+        if (!this.dragging) return;
+        this.dragging = false;
+        this.canvas.releasePointerCapture(e.pointerId);
+    }
+
+    _onWheel(e) {
+        if (!this.buffer) return;
+        e.preventDefault();
+        const span = this.viewEnd - this.viewStart;
+        if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+            const delta = e.shiftKey ? e.deltaY || e.deltaX : e.deltaX;
+            const shift = (delta / this.canvas.width) * span;
+            this._setView(this.viewStart + shift, this.viewEnd + shift);
+            return;
+        }
+        // About 1.26x per wheel notch, around the time under the pointer
+        const factor = 2 ** (e.deltaY / 300);
+        const pivot = this._timeAt(this._eventX(e));
+        this._setView(pivot - (pivot - this.viewStart) * factor, pivot + (this.viewEnd - pivot) * factor);
+    }
+
+    _onDoubleClick() {
+        if (!this.buffer) return;
+        this._setView(0, this.buffer.duration);
+    }
+
+    // Clamps a requested view to the track, keeping its span where possible
+    _setView(start, end) {
+        const duration = this.buffer.duration;
+        const span = Math.min(duration, Math.max(end - start, MIN_SPAN_SAMPLES / this.buffer.sampleRate));
+        const center = (start + end) / 2;
+        start = Math.min(Math.max(center - span / 2, 0), duration - span);
+        if (start === this.viewStart && start + span === this.viewEnd) return;
+        this.viewStart = start;
+        this.viewEnd = start + span;
+        this.viewChangedAt = performance.now();
+        this.job = null;
+    }
+
+    _renderLoop() {
+        if (!this._running) return;
+        this._checkTrack();
+        if (this.buffer) {
+            this._followPlayhead();
+            this._advanceRender();
+        }
+        this._draw();
+        requestAnimationFrame(this._renderLoop);
+    }
+
+    // Picks up a newly loaded (or unloaded) track
+    _checkTrack() {
+        const buffer = this.audioSource.audioBuffer || null;
+        if (buffer === this.buffer) return;
+        this.buffer = buffer;
+        this.samples = buffer ? mixToMono(buffer) : null;
+        this.rendered = null;
+        this.job = null;
+        this.viewStart = 0;
+        this.viewEnd = buffer ? buffer.duration : 0;
+        this.viewChangedAt = performance.now() - SETTLE_MS;
+    }
+
+    _followPlayhead() {
+        const element = this.audioSource.audioElement;
+        if (!this.follow || this.dragging || !element || element.paused) return;
+        const span = this.viewEnd - this.viewStart;
+        const time = element.currentTime;
+        if (span >= this.buffer.duration || (time >= this.viewStart && time <= this.viewEnd)) return;
+        // Turn the page so the playhead starts near the left edge
+        this._setView(time - span * 0.1, time + span * 0.9);
+    }
+
+    _layout() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const waveformHeight = Math.round(height * WAVEFORM_SHARE);
+        return { width, height, waveformHeight, spectrumTop: waveformHeight, spectrumHeight: height - waveformHeight };
+    }
+
+    _renderKey(width, spectrumHeight) {
+        return [this.viewStart, this.viewEnd, width, spectrumHeight,
+            this.fftSize, this.frequencyScale, this.colormap, this.floorDb].join(':');
+    }
+
+    // Starts a render of the settled view and analyzes columns for it within the frame budget
+    _advanceRender() {
+        const { width, spectrumHeight } = this._layout();
+        if (width <= 0 || spectrumHeight <= 0) return;
+        const key = this._renderKey(width, spectrumHeight);
+        if (this.rendered && this.rendered.key === key) return;
+        if (!this.job || this.job.key !== key) {
+            if (performance.now() - this.viewChangedAt < SETTLE_MS) return;
+            this.job = this._createJob(key, width, spectrumHeight);
+        }
+
+        const job = this.job;
+        const deadline = performance.now() + FRAME_BUDGET_MS;
+        const firstColumn = job.nextColumn;
+        while (job.nextColumn < width && performance.now() < deadline) {
+            this._renderColumn(job, job.nextColumn++);
+        }
+        job.ctx.putImageData(job.image, 0, 0, firstColumn, 0, job.nextColumn - firstColumn, spectrumHeight);
+        if (job.nextColumn >= width) {
+            this.rendered = job;
+            this.job = null;
+        }
+    }
+
+    _createJob(key, width, height) {
+        if (!this.spectrogram || this.spectrogram.fftSize !== this.fftSize) {
+            this.spectrogram = new SpectrogramColumns(this.fftSize);
+        }
+        const sampleRate = this.buffer.sampleRate;
+        const maxFreq = sampleRate / 2;
+        const minFreq = this.frequencyScale === 'log' ? LOG_MIN_FREQ : minFrequencyFor(this.frequencyScale);
+        const surface = document.createElement('canvas');
+        surface.width = width;
+        surface.height = height;
+        const ctx = surface.getContext('2d');
+
+        const startSample = this.viewStart * sampleRate;
+        const endSample = this.viewEnd * sampleRate;
+        const { min, max } = peakColumns(this.samples, startSample, endSample, width);
+        return {
+            key,
+            start: this.viewStart,
+            end: this.viewEnd,
+            width,
+            height,
+            surface,
+            ctx,
+            image: ctx.createImageData(width, height),
+            min,
+            max,
+            startSample,
+            samplesPerColumn: (endSample - startSample) / width,
+            rowMap: buildRowMap(height, this.spectrogram.binCount, sampleRate, this.frequencyScale, minFreq, maxFreq),
+            minFreq,
+            maxFreq,
+            magnitudes: new Float32Array(this.spectrogram.binCount),
+            rows: new Float32Array(height),
+            nextColumn: 0
+        };
+    }
+
+    _renderColumn(job, x) {
+        const from = job.startSample + x * job.samplesPerColumn;
+        this.spectrogram.column(this.samples, from, from + job.samplesPerColumn, job.magnitudes);
+        sampleRows(job.magnitudes, job.rowMap, job.rows);
+        const data = job.image.data;
+        const lut = this.colormapLUT;
+        const floor = this.floorDb;
+        for (let y = 0; y < job.height; y++) {
+            const db = 20 * Math.log10(job.rows[y] + 1e-12);
+            const level = Math.min(1, Math.max(0, (db - floor) / -floor));
+            const color = Math.round(level * 255) * 4;
+            const offset = (y * job.width + x) * 4;
+            data[offset] = lut[color];
+            data[offset + 1] = lut[color + 1];
+            data[offset + 2] = lut[color + 2];
+            data[offset + 3] = 255;
+        }
+    }
+
+    // Canvas x of a time in the current view
+    _xFor(time, width) {
+        return ((time - this.viewStart) / (this.viewEnd - this.viewStart)) * width;
+    }
+
+    _draw() {
+        const { width, height, waveformHeight, spectrumTop, spectrumHeight } = this._layout();
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        if (width <= 0 || height <= 0) return;
+
+        if (!this.buffer) {
+            ctx.save();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.font = '13px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            const text = 'audioElement' in this.audioSource
+                ? 'Load a track in the music player to see its overview.'
+                : 'The track overview needs a music player source.';
+            ctx.fillText(text, width / 2, height / 2);
+            ctx.restore();
+            return;
+        }
+
+        ctx.save();
+        ctx.fillStyle = 'black';
+        ctx.fillRect(0, spectrumTop, width, spectrumHeight);
+        // The finished render, stretched to the current view, under whatever
+        // part of the next render is done
+        for (const render of [this.rendered, this.job]) {
+            if (!render) continue;
+            const columns = render === this.job ? render.nextColumn : render.width;
+            if (columns <= 0) continue;
+            const x0 = this._xFor(render.start, width);
+            const x1 = this._xFor(render.end, width);
+            ctx.drawImage(render.surface, 0, 0, columns, render.height,
+                x0, spectrumTop, ((x1 - x0) * columns) / render.width, spectrumHeight);
+        }
+        ctx.restore();
+
+        this._drawWaveform(width, waveformHeight);
+        this._drawFrequencyRuler(spectrumTop, spectrumHeight);
+        this._drawTimeRuler(width, waveformHeight);
+        this._drawMinimap(width);
+        this._drawPlayhead(width, height);
+    }
+
+    _drawWaveform(width, waveformHeight) {
+        const render = this.job || this.rendered;
+        if (!render) return;
+        const ctx = this.ctx;
+        const mid = waveformHeight / 2;
+        const scale = mid * 0.95;
+        const columnSeconds = (render.end - render.start) / render.width;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, width, waveformHeight);
+        ctx.clip();
+        ctx.fillStyle = '#4fc3f7';
+        ctx.strokeStyle = '#4fc3f7';
+        ctx.beginPath();
+        // Top edge left to right along the maxima, back along the minima
+        for (let c = 0; c < render.width; c++) {
+            const x = this._xFor(render.start + (c + 0.5) * columnSeconds, width);
+            const y = mid - render.max[c] * scale;
+            if (c === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        for (let c = render.width - 1; c >= 0; c--) {
+            const x = this._xFor(render.start + (c + 0.5) * columnSeconds, width);
+            ctx.lineTo(x, mid - render.min[c] * scale);
+        }
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.beginPath();
+        ctx.moveTo(0, Math.round(mid) + 0.5);
+        ctx.lineTo(width, Math.round(mid) + 0.5);
+        ctx.moveTo(0, waveformHeight - 0.5);
+        ctx.lineTo(width, waveformHeight - 0.5);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    _drawFrequencyRuler(top, height) {
+        const render = this.rendered || this.job;
+        if (!render || height < 40) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (const { freq, y } of rulerTicks(height, this.frequencyScale, render.minFreq, render.maxFreq)) {
+            const textY = Math.min(Math.max(top + y, top + 7), top + height - 7);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(0, Math.round(top + y) + 0.5);
+            ctx.lineTo(5, Math.round(top + y) + 0.5);
+            ctx.stroke();
+            const label = formatFrequency(freq);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(7, textY - 6, ctx.measureText(label).width + 4, 12);
+            ctx.fillStyle = 'white';
+            ctx.fillText(label, 9, textY);
+        }
+        ctx.restore();
+    }
+
+    _drawTimeRuler(width, waveformHeight) {
+        const span = this.viewEnd - this.viewStart;
+        const step = TIME_STEPS.find(s => (s / span) * width >= 70) || TIME_STEPS[TIME_STEPS.length - 1];
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        for (let time = Math.ceil(this.viewStart / step) * step; time <= this.viewEnd; time += step) {
+            const x = Math.round(this._xFor(time, width)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, waveformHeight - 6);
+            ctx.lineTo(x, waveformHeight);
+            ctx.stroke();
+            ctx.fillText(this._formatTime(time, step), x + 3, waveformHeight - 2);
+        }
+        ctx.restore();
+    }
+
+    // Where the view lies in the whole track, shown while zoomed in
+    _drawMinimap(width) {
+        const duration = this.buffer.duration;
+        if (this.viewEnd - this.viewStart >= duration) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(0, 0, width, 4);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        const x0 = (this.viewStart / duration) * width;
+        ctx.fillRect(x0, 0, Math.max(2, ((this.viewEnd - this.viewStart) / duration) * width), 4);
+        const element = this.audioSource.audioElement;
+        if (element) {
+            ctx.fillStyle = '#ff5252';
+            ctx.fillRect((element.currentTime / duration) * width - 1, 0, 2, 4);
+        }
+        ctx.restore();
+    }
+
+    _drawPlayhead(width, height) {
+        const element = this.audioSource.audioElement;
+        if (!element) return;
+        const time = element.currentTime;
+        const x = Math.round(this._xFor(time, width)) + 0.5;
+        const ctx = this.ctx;
+        ctx.save();
+        if (x >= 0 && x <= width) {
+            ctx.strokeStyle = '#ff5252';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        }
+        ctx.font = 'bold 11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'white';
+        ctx.fillText(`${this._formatTime(time, 0.01)} / ${this._formatTime(this.buffer.duration, 1)}`, width - 6, 8);
+        ctx.restore();
+    }
+
+    // m:ss, with as many decimals as the step needs
+    _formatTime(seconds, step) {
+        const decimals = step >= 1 ? 0 : Math.min(3, Math.ceil(-Math.log10(step) - 1e-9));
+        // Round first so 59.9996 s reads 1:00.000 rather than 0:60.000
+        const rounded = Math.round(seconds * 10 ** decimals) / 10 ** decimals;
+        const minutes = Math.floor(rounded / 60);
+        const rest = (rounded - minutes * 60).toFixed(decimals);
+        const [whole, fraction] = rest.split('.');
+        return `${minutes}:${whole.padStart(2, '0')}${fraction ? `.${fraction}` : ''}`;
+    }
+}
@@ -0,0 +1,106 @@
+// trackAnalysis.js - Offline waveform and spectrogram columns of a decoded track
+//
+// Works on the whole track at once rather than on a stream: any span of it
+// can be summarized into as many pixel columns as the display has, so a
+// zoomed-in view is recomputed at full detail instead of being stretched.
+
+import { FFT } from '../FFT/FFT.js';
+import { makeWindow, coherentGain } from '../FFT/windows.js';
+import { deriveChannels } from '../channelModes/channelModes.js';
+
+/**
+ * mixToMono(audioBuffer)
+ * The decoded track's channels averaged into one Float32Array.
+ */
+export function mixToMono(audioBuffer) {
+    const channels = [];
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) channels.push(audioBuffer.getChannelData(ch));
+    return deriveChannels(channels, 'mono')[0];
+}
+
+/**
+ * peakColumns(samples, startSample, endSample, columns)
+ * Minimum and maximum sample under each of `columns` equal slices of
+ * startSample..endSample, as { min, max } Float32Arrays. Slices narrower
+ * than a sample interpolate, so a deep zoom still draws a smooth line.
+ */
+export function peakColumns(samples, startSample, endSample, columns) {
+    const min = new Float32Array(columns);
+    const max = new Float32Array(columns);
+    const perColumn = (endSample - startSample) / columns;
+    const last = samples.length - 1;
+    for (let c = 0; c < columns; c++) {
+        const from = startSample + c * perColumn;
+        const to = from + perColumn;
+        if (perColumn < 1) {
+            const position = Math.min(Math.max(from + perColumn / 2, 0), last);
+            const i = Math.floor(position);
+            const t = position - i;
+            min[c] = max[c] = samples[i] * (1 - t) + samples[Math.min(i + 1, last)] * t;
+            continue;
+        }
+        const i0 = Math.max(0, Math.floor(from));
+        const i1 = Math.min(samples.length, Math.ceil(to));
+        let low = 0;
+        let high = 0;
+        if (i0 < i1) {
+            low = high = samples[i0];
+            for (let i = i0 + 1; i < i1; i++) {
+                const v = samples[i];
+                if (v < low) low = v;
+                else if (v > high) high = v;
+            }
+        }
+        min[c] = low;
+        max[c] = high;
+    }
+    return { min, max };
+}
+
+/**
+ * SpectrogramColumns
+ * Computes one magnitude spectrum per pixel column of a track span.
+ * A column covering several frames takes the loudest of up to
+ * maxFramesPerColumn of them, so short events aren't skipped in a
+ * zoomed-out view; magnitudes are scaled so a sine reads its amplitude.
+ */
+export class SpectrogramColumns {
+    constructor(fftSize, { maxFramesPerColumn = 4 } = {}) {
+        this.fftSize = fftSize;
+        this.binCount = fftSize / 2;
+        this.maxFramesPerColumn = maxFramesPerColumn;
+        this.plan = FFT.realPlan(fftSize);
+        this.window = makeWindow('hann', fftSize);
+        this.scale = 2 / (coherentGain(this.window) * fftSize);
+        this.frame = new Float32Array(fftSize);
+        this.re = new Float32Array(this.plan.binCount);
+        this.im = new Float32Array(this.plan.binCount);
+    }
+
+    /**
+     * column(samples, fromSample, toSample, out)
+     * Fills `out` (binCount long) with the spectrum of the span fromSample..toSample.
+     */
+    column(samples, fromSample, toSample, out) {
+        const { fftSize, binCount } = this;
+        const span = toSample - fromSample;
+        const frames = Math.max(1, Math.min(this.maxFramesPerColumn, Math.floor(span / fftSize)));
+        out.fill(0);
+        for (let f = 0; f < frames; f++) {
+            // Frames centered on evenly spaced points of the span
+            const center = fromSample + ((f + 0.5) / frames) * span;
+            const start = Math.round(center - fftSize / 2);
+            for (let i = 0; i < fftSize; i++) {
+                const index = start + i;
+                const sample = index >= 0 && index < samples.length ? samples[index] : 0;
+                this.frame[i] = sample * this.window[i];
+            }
+            this.plan.forward(this.frame, this.re, this.im);
+            for (let k = 0; k < binCount; k++) {
+                const magnitude = Math.hypot(this.re[k], this.im[k]) * this.scale;
+                if (magnitude > out[k]) out[k] = magnitude;
+            }
+        }
+        return out;
+    }
+}
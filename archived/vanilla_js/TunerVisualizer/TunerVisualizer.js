@@ -0,0 +1,366 @@
+// TunerVisualizer.js - Monophonic tuner with needle/strobe and pitch trace
+//
+// The top shows the nearest note of the chosen temperament with its octave,
+// the detected frequency and the offset in cents, on a needle meter or a
+// strobe whose bands drift at a speed proportional to the offset. Below it a
+// pitch trace scrolls, in semitones around the current note.
+
+import { YinPitchDetector } from '../PitchDetector/yin.js';
+import { temperaments, temperamentOffsets } from './temperaments.js';
+import { deriveChannels } from '../channelModes/channelModes.js';
+import { makeSelect, makeRow } from '../controlPanel/settingsControls.js';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+// Detections below this confidence or level count as no pitch
+const MIN_CONFIDENCE = 0.8;
+const MIN_LEVEL_DB = -60;
+// Time constant of the displayed cents, in seconds
+const SMOOTHING = 0.08;
+// Cents within which the note reads as in tune
+const IN_TUNE_CENTS = 5;
+const TRACE_SPAN_SEMITONES = 7;
+
+export class TunerVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+        this.isRunning = false;
+        this.subscription = null;
+
+        this.tuning = 440;
+        this.temperament = 'equal';
+        this.temperamentRoot = 0;
+        this.offsets = temperamentOffsets(this.temperament, this.temperamentRoot);
+        this.minFreq = 50;
+        this.display = 'needle';
+        this.traceSeconds = 10;
+
+        this.sampleRate = 44100;
+        this.detector = null;
+        this.history = null;
+        this.hasNewSamples = false;
+
+        // Current reading: nearest note and smoothed cents, or null
+        this.reading = null;
+        this.smoothedCents = 0;
+        this.strobePhase = 0;
+        // Pitch trace as { time, midi } with midi fractional, or null for no pitch
+        this.trace = [];
+        this.lastTime = null;
+        this.setupUI();
+    }
+
+    setupUI() {
+
+        const tuningRow = makeRow(this.settingsDiv);
+        const tuningLabel = document.createElement('label');
+        tuningLabel.textContent = 'A4 Hz: ';
+        tuningLabel.style.marginRight = '8px';
+        const tuningInput = document.createElement('input');
+        tuningInput.type = 'number';
+        tuningInput.min = 400;
+        tuningInput.max = 480;
+        tuningInput.step = 0.1;
+        tuningInput.value = this.tuning;
+        tuningInput.style.width = '64px';
+        tuningInput.addEventListener('change', () => {
+            const hz = parseFloat(tuningInput.value);
+            if (!Number.isFinite(hz) || hz < 400 || hz > 480) return;
+            this.tuning = hz;
+        });
+        tuningLabel.appendChild(tuningInput);
+        tuningRow.appendChild(tuningLabel);
+        makeSelect(tuningRow, 'Temperament: ', Object.keys(temperaments).map(t => [t, temperaments[t].label]),
+            this.temperament, (value) => {
+                this.temperament = value;
+                this.offsets = temperamentOffsets(this.temperament, this.temperamentRoot);
+            });
+        makeSelect(tuningRow, 'Root: ', NOTE_NAMES.map((name, pc) => [pc, name]), this.temperamentRoot, (value) => {
+            this.temperamentRoot = value;
+            this.offsets = temperamentOffsets(this.temperament, this.temperamentRoot);
+        });
+
+        const displayRow = makeRow(this.settingsDiv);
+        makeSelect(displayRow, 'Display: ', [['needle', 'Needle'], ['strobe', 'Strobe']], this.display, (value) => {
+            this.display = value;
+        });
+        makeSelect(displayRow, 'Lowest: ', [[30, '30 Hz'], [50, '50 Hz'], [80, '80 Hz'], [150, '150 Hz']],
+            this.minFreq, (value) => {
+                this.minFreq = value;
+                this.detector = null;
+            });
+        makeSelect(displayRow, 'Trace: ', [5, 10, 20, 40].map(s => [s, `${s} s`]), this.traceSeconds, (value) => {
+            this.traceSeconds = value;
+        });
+    }
+
+    _start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.subscription = this.audioSource.subscribe();
+        this.renderLoop();
+    }
+
+    _stop() {
+        this.isRunning = false;
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+            this.subscription = null;
+        }
+    }
+
+    renderLoop(time = performance.now()) {
+        if (!this.isRunning) return;
+        const dt = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+        this.lastTime = time;
+        this.processSamples();
+        if (this.hasNewSamples) {
+            this._detect(time / 1000);
+            this.hasNewSamples = false;
+        }
+        this._smooth(dt);
+        this.draw(time / 1000);
+        requestAnimationFrame((t) => this.renderLoop(t));
+    }
+
+    processSamples() {
+        const samples = this.subscription.pullAllSamples();
+        if (!samples || samples.length === 0) return;
+        const sampleRate = this.subscription.sampleRate || this.sampleRate;
+        if (!this.detector || sampleRate !== this.sampleRate) {
+            this.sampleRate = sampleRate;
+            this.detector = new YinPitchDetector(sampleRate, { minFreq: this.minFreq });
+            this.history = new Float32Array(this.detector.frameSize);
+        }
+        const [signal] = deriveChannels(samples, 'mono');
+        // A gap would splice unrelated audio into one frame; start the frame over
+        const history = this.history;
+        if (this.subscription.gaps.length > 0) history.fill(0);
+        if (signal.length >= history.length) {
+            history.set(signal.subarray(signal.length - history.length));
+        } else {
+            history.copyWithin(0, signal.length);
+            history.set(signal, history.length - signal.length);
+        }
+        this.hasNewSamples = true;
+    }
+
+    _detect(now) {
+        let sumSquares = 0;
+        for (let i = 0; i < this.history.length; i++) sumSquares += this.history[i] * this.history[i];
+        const levelDb = 10 * Math.log10(sumSquares / this.history.length + 1e-20);
+        const result = levelDb > MIN_LEVEL_DB ? this.detector.detect(this.history) : null;
+
+        if (!result || result.confidence < MIN_CONFIDENCE) {
+            this.reading = null;
+            this.trace.push({ time: now, midi: null });
+        } else {
+            const midi = 69 + 12 * Math.log2(result.frequency / this.tuning);
+            // Nearest note of the temperament: its target sits offsets[pc] cents off equal
+            let note = Math.round(midi);
+            let cents = 100 * (midi - note) - this.offsets[((note % 12) + 12) % 12];
+            for (const neighbour of [note - 1, note + 1]) {
+                const c = 100 * (midi - neighbour) - this.offsets[((neighbour % 12) + 12) % 12];
+                if (Math.abs(c) < Math.abs(cents)) {
+                    note = neighbour;
+                    cents = c;
+                }
+            }
+            if (!this.reading || this.reading.note !== note) this.smoothedCents = cents;
+            this.reading = { note, cents, frequency: result.frequency, confidence: result.confidence };
+            this.trace.push({ time: now, midi });
+        }
+        while (this.trace.length > 0 && this.trace[0].time < now - 40) this.trace.shift();
+    }
+
+    _smooth(dt) {
+        if (!this.reading) return;
+        const keep = Math.exp(-dt / SMOOTHING);
+        this.smoothedCents = this.smoothedCents * keep + this.reading.cents * (1 - keep);
+        // Strobe bands drift a fifth of a period per second per cent
+        this.strobePhase += this.smoothedCents * dt * 0.2;
+    }
+
+    draw(now) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        if (width <= 0 || height <= 0) return;
+
+        const meterHeight = Math.floor(height * 0.55);
+        this._drawReading(width, meterHeight);
+        if (this.display === 'strobe') this._drawStrobe(width, meterHeight);
+        else this._drawNeedle(width, meterHeight);
+        this._drawTrace(0, meterHeight, width, height - meterHeight, now);
+    }
+
+    _noteName(note) {
+        return `${NOTE_NAMES[((note % 12) + 12) % 12]}${Math.floor(note / 12) - 1}`;
+    }
+
+    _drawReading(width, height) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const noteSize = Math.max(14, Math.min(48, height * 0.3));
+        ctx.font = `bold ${noteSize}px sans-serif`;
+        const reading = this.reading;
+        const inTune = reading && Math.abs(this.smoothedCents) <= IN_TUNE_CENTS;
+        ctx.fillStyle = !reading ? 'rgba(255, 255, 255, 0.3)' : inTune ? '#78ffa0' : 'white';
+        ctx.fillText(reading ? this._noteName(reading.note) : '—', width / 2, 6);
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        if (reading) {
+            const cents = this.smoothedCents;
+            ctx.fillText(`${reading.frequency.toFixed(2)} Hz   ${cents >= 0 ? '+' : ''}${cents.toFixed(1)} ¢`,
+                width / 2, 10 + noteSize);
+        }
+        ctx.textAlign = 'left';
+        ctx.fillText(`A4 ${this.tuning} Hz · ${temperaments[this.temperament].label}`, 6, 6);
+        ctx.restore();
+    }
+
+    // ±50 cent arc with the in-tune zone marked
+    _drawNeedle(width, height) {
+        const ctx = this.ctx;
+        const centerX = width / 2;
+        const centerY = height - 6;
+        const radius = Math.max(10, Math.min(width / 2 - 20, height * 0.55));
+        const maxAngle = Math.PI / 3;
+        const angleFor = (cents) => -Math.PI / 2 + (Math.max(-50, Math.min(50, cents)) / 50) * maxAngle;
+
+        ctx.save();
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, angleFor(-50), angleFor(50));
+        ctx.stroke();
+        ctx.strokeStyle = 'rgba(120, 255, 160, 0.6)';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, angleFor(-IN_TUNE_CENTS), angleFor(IN_TUNE_CENTS));
+        ctx.stroke();
+
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        for (let cents = -50; cents <= 50; cents += 10) {
+            const angle = angleFor(cents);
+            const inner = cents % 50 === 0 ? radius - 14 : radius - 8;
+            ctx.beginPath();
+            ctx.moveTo(centerX + inner * Math.cos(angle), centerY + inner * Math.sin(angle));
+            ctx.lineTo(centerX + (radius + 4) * Math.cos(angle), centerY + (radius + 4) * Math.sin(angle));
+            ctx.stroke();
+            if (cents % 25 === 0 || cents === 0) {
+                ctx.fillText(`${cents > 0 ? '+' : ''}${cents}`,
+                    centerX + (radius + 14) * Math.cos(angle), centerY + (radius + 14) * Math.sin(angle) + 5);
+            }
+        }
+
+        if (this.reading) {
+            const angle = angleFor(this.smoothedCents);
+            ctx.strokeStyle = Math.abs(this.smoothedCents) <= IN_TUNE_CENTS ? '#78ffa0' : '#ff8a65';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.lineTo(centerX + (radius - 4) * Math.cos(angle), centerY + (radius - 4) * Math.sin(angle));
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // Bands standing still when in tune, drifting right when sharp, left when flat
+    _drawStrobe(width, height) {
+        const ctx = this.ctx;
+        const top = height * 0.55;
+        const bandHeight = Math.max(8, (height - top - 8) / 3);
+        const stripWidth = width * 0.8;
+        const left = (width - stripWidth) / 2;
+        const period = 40;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, stripWidth, bandHeight * 3);
+        ctx.clip();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+        ctx.fillRect(left, top, stripWidth, bandHeight * 3);
+        if (this.reading) {
+            const inTune = Math.abs(this.smoothedCents) <= IN_TUNE_CENTS;
+            ctx.fillStyle = inTune ? 'rgba(120, 255, 160, 0.8)' : 'rgba(255, 138, 101, 0.8)';
+            // Each row doubles the period and the speed, like the partial rings of a strobe tuner
+            for (let row = 0; row < 3; row++) {
+                const rowPeriod = period * 2 ** row;
+                const shift = (((this.strobePhase * rowPeriod) % rowPeriod) + rowPeriod) % rowPeriod;
+                for (let x = left - rowPeriod + shift; x < left + stripWidth; x += rowPeriod) {
+                    ctx.fillRect(x, top + row * bandHeight + 1, rowPeriod / 2, bandHeight - 2);
+                }
+            }
+        }
+        ctx.restore();
+    }
+
+    // Pitch over time in semitones, centered on the current or last note
+    _drawTrace(x, y, width, height, now) {
+        const ctx = this.ctx;
+        let center = this.reading ? this.reading.note : null;
+        if (center === null) {
+            for (let i = this.trace.length - 1; i >= 0; i--) {
+                if (this.trace[i].midi !== null) {
+                    center = Math.round(this.trace[i].midi);
+                    break;
+                }
+            }
+        }
+        if (center === null) center = 69;
+        const semitoneHeight = height / (2 * TRACE_SPAN_SEMITONES);
+        const yFor = (midi) => y + height / 2 - (midi - center) * semitoneHeight;
+        const xFor = (time) => x + width - ((now - time) / this.traceSeconds) * width;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.clip();
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (let note = center - TRACE_SPAN_SEMITONES; note <= center + TRACE_SPAN_SEMITONES; note++) {
+            // Lines at the temperament's targets, not equal temperament
+            const target = note + this.offsets[((note % 12) + 12) % 12] / 100;
+            const py = Math.round(yFor(target)) + 0.5;
+            ctx.strokeStyle = note === center ? 'rgba(120, 255, 160, 0.35)' : 'rgba(255, 255, 255, 0.1)';
+            ctx.beginPath();
+            ctx.moveTo(x, py);
+            ctx.lineTo(x + width, py);
+            ctx.stroke();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.45)';
+            ctx.fillText(this._noteName(note), x + 3, py);
+        }
+
+        ctx.strokeStyle = '#4fc3f7';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        for (const { time, midi } of this.trace) {
+            if (midi === null || time < now - this.traceSeconds) {
+                drawing = false;
+                continue;
+            }
+            const px = xFor(time);
+            const py = yFor(midi);
+            if (drawing) ctx.lineTo(px, py);
+            else ctx.moveTo(px, py);
+            drawing = true;
+        }
+        ctx.stroke();
+        ctx.restore();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+    }
+}
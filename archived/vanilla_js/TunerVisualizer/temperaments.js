@@ -0,0 +1,47 @@
+// temperaments.js - Tuning systems for the tuner
+//
+// Each temperament gives its twelve pitches in cents above the root, as
+// ratios where the system is defined by them. Targets are laid on the root
+// chosen in the tuner and then shifted as a whole so that A stays at the
+// reference frequency.
+
+const ratiosToCents = (ratios) => ratios.map(r => 1200 * Math.log2(r));
+
+export const temperaments = {
+    equal: {
+        label: 'Equal',
+        cents: Array.from({ length: 12 }, (_, i) => 100 * i)
+    },
+    pythagorean: {
+        label: 'Pythagorean',
+        cents: ratiosToCents([1, 2187 / 2048, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2,
+            6561 / 4096, 27 / 16, 16 / 9, 243 / 128])
+    },
+    just: {
+        label: 'Just (5-limit)',
+        cents: ratiosToCents([1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8])
+    },
+    meantone: {
+        label: 'Quarter-comma meantone',
+        cents: [0, 76.0, 193.2, 310.3, 386.3, 503.4, 579.5, 696.6, 772.6, 889.7, 1006.8, 1082.9]
+    },
+    werckmeister: {
+        label: 'Werckmeister III',
+        cents: [0, 90.2, 192.2, 294.1, 390.2, 498.0, 588.3, 696.1, 792.2, 888.3, 996.1, 1092.2]
+    }
+};
+
+/**
+ * temperamentOffsets(name, root)
+ * Cents each pitch class (0 = C) sits away from equal temperament, with the
+ * temperament built on pitch class `root` and A left at 0.
+ */
+export function temperamentOffsets(name, root) {
+    const { cents } = temperaments[name];
+    const raw = Array.from({ length: 12 }, (_, pc) => {
+        const degree = (pc - root + 12) % 12;
+        return cents[degree] - 100 * degree;
+    });
+    const a = raw[9];
+    return raw.map(offset => offset - a);
+}
@@ -0,0 +1,282 @@
+// VectorscopeVisualizer.js - Stereo vectorscope / goniometer
+//
+// Plots left against right so stereo width and phase show as shape: mono is
+// a line, wide material a cloud, out-of-phase content a line across. Below
+// the plot sit a phase-correlation meter (-1 out of phase .. +1 mono) and a
+// left/right balance readout.
+
+import { makeSelect } from '../controlPanel/settingsControls.js';
+
+const METER_HEIGHT = 44;
+// Time constant of the correlation and balance averages, in seconds
+const METER_TIME_CONSTANT = 0.3;
+
+export class VectorscopeVisualizer {
+    constructor(audioSource, canvasElement, settingsDiv) {
+        this.audioSource = audioSource;
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.settingsDiv = settingsDiv;
+        this.isRunning = false;
+        this.subscription = null;
+
+        // 45° turns L/R into M/S axes: mono is vertical, side horizontal
+        this.rotation = 45;
+        this.gain = 1;
+        // Fraction of the previous image kept each frame
+        this.persistence = 0.85;
+
+        // Running averages of L², R² and L·R
+        this.sumLL = 0;
+        this.sumRR = 0;
+        this.sumLR = 0;
+
+        // Traces accumulate on an offscreen layer that fades every frame
+        this.traceCanvas = document.createElement('canvas');
+        this.traceCtx = this.traceCanvas.getContext('2d');
+        this.setupUI();
+    }
+
+    setupUI() {
+        makeSelect(this.settingsDiv, 'Rotation: ', [[0, '0° (L/R)'], [45, '45° (M/S)']], this.rotation, (value) => {
+            this.rotation = value;
+            this._clearTraces();
+        });
+        makeSelect(this.settingsDiv, 'Gain: ', [[1, '1×'], [2, '2×'], [4, '4×'], [8, '8×']], this.gain, (value) => {
+            this.gain = value;
+        });
+
+        const persistenceLabel = document.createElement('label');
+        persistenceLabel.textContent = 'Persistence: ';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.max = 0.98;
+        slider.step = 0.01;
+        slider.value = this.persistence;
+        slider.addEventListener('input', () => {
+            this.persistence = parseFloat(slider.value);
+        });
+        persistenceLabel.appendChild(slider);
+        const row = document.createElement('div');
+        row.appendChild(persistenceLabel);
+        this.settingsDiv.appendChild(row);
+    }
+
+    _start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.subscription = this.audioSource.subscribe();
+        this.renderLoop();
+    }
+
+    _stop() {
+        this.isRunning = false;
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+            this.subscription = null;
+        }
+    }
+
+    renderLoop() {
+        if (!this.isRunning) return;
+        this._resizeTraces();
+        this._fadeTraces();
+        this.processSamples();
+        this.draw();
+        requestAnimationFrame(() => this.renderLoop());
+    }
+
+    _plotSize() {
+        return {
+            width: this.canvas.width,
+            height: Math.max(0, this.canvas.height - METER_HEIGHT)
+        };
+    }
+
+    _resizeTraces() {
+        const { width, height } = this._plotSize();
+        if (this.traceCanvas.width !== width || this.traceCanvas.height !== height) {
+            this.traceCanvas.width = width;
+            this.traceCanvas.height = height;
+        }
+    }
+
+    _clearTraces() {
+        this.traceCtx.clearRect(0, 0, this.traceCanvas.width, this.traceCanvas.height);
+    }
+
+    _fadeTraces() {
+        const ctx = this.traceCtx;
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.fillStyle = `rgba(0, 0, 0, ${1 - this.persistence})`;
+        ctx.fillRect(0, 0, this.traceCanvas.width, this.traceCanvas.height);
+        ctx.restore();
+    }
+
+    processSamples() {
+        const samples = this.subscription.pullAllSamples();
+        if (!samples || samples.length === 0) return;
+        // A mono source plots as identical left and right
+        const left = samples[0];
+        const right = samples.length > 1 ? samples[1] : samples[0];
+        this._updateMeters(left, right);
+        this._plot(left, right);
+    }
+
+    _updateMeters(left, right) {
+        const sampleRate = this.subscription.sampleRate || 44100;
+        // One-pole average per sample, applied to the whole block at once
+        const keep = Math.exp(-left.length / (METER_TIME_CONSTANT * sampleRate));
+        let ll = 0;
+        let rr = 0;
+        let lr = 0;
+        for (let i = 0; i < left.length; i++) {
+            ll += left[i] * left[i];
+            rr += right[i] * right[i];
+            lr += left[i] * right[i];
+        }
+        const n = left.length;
+        this.sumLL = this.sumLL * keep + (ll / n) * (1 - keep);
+        this.sumRR = this.sumRR * keep + (rr / n) * (1 - keep);
+        this.sumLR = this.sumLR * keep + (lr / n) * (1 - keep);
+    }
+
+    get correlation() {
+        const denom = Math.sqrt(this.sumLL * this.sumRR);
+        return denom > 1e-12 ? this.sumLR / denom : 0;
+    }
+
+    // Right level relative to left in dB; positive leans right
+    get balanceDb() {
+        if (this.sumLL <= 1e-12 || this.sumRR <= 1e-12) {
+            if (this.sumLL <= 1e-12 && this.sumRR <= 1e-12) return 0;
+            return this.sumLL <= 1e-12 ? Infinity : -Infinity;
+        }
+        return 10 * Math.log10(this.sumRR / this.sumLL);
+    }
+
+    _plot(left, right) {
+        const { width, height } = this.traceCanvas;
+        if (width <= 0 || height <= 0) return;
+        const size = Math.min(width, height);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const scale = (size / 2) * 0.9 * this.gain;
+
+        const ctx = this.traceCtx;
+        ctx.strokeStyle = 'rgba(120, 255, 160, 0.55)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i < left.length; i++) {
+            let x;
+            let y;
+            if (this.rotation === 45) {
+                // Left-only leans up-left, right-only up-right
+                x = (right[i] - left[i]) * Math.SQRT1_2;
+                y = (left[i] + right[i]) * Math.SQRT1_2;
+            } else {
+                x = left[i];
+                y = right[i];
+            }
+            const px = centerX + x * scale;
+            const py = centerY - y * scale;
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        }
+        ctx.stroke();
+    }
+
+    draw() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        this._drawAxes();
+        ctx.drawImage(this.traceCanvas, 0, 0);
+        this._drawMeters(height - METER_HEIGHT, width);
+    }
+
+    _drawAxes() {
+        const { width, height } = this._plotSize();
+        const size = Math.min(width, height);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = (size / 2) * 0.9;
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+        ctx.moveTo(centerX - radius, centerY);
+        ctx.lineTo(centerX + radius, centerY);
+        ctx.moveTo(centerX, centerY - radius);
+        ctx.lineTo(centerX, centerY + radius);
+        const d = radius * Math.SQRT1_2;
+        ctx.moveTo(centerX - d, centerY - d);
+        ctx.lineTo(centerX + d, centerY + d);
+        ctx.moveTo(centerX + d, centerY - d);
+        ctx.lineTo(centerX - d, centerY + d);
+        ctx.stroke();
+
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const labels = this.rotation === 45
+            ? [['M', 0, -1], ['S', 1, 0], ['L', -Math.SQRT1_2, -Math.SQRT1_2], ['R', Math.SQRT1_2, -Math.SQRT1_2]]
+            : [['R', 0, -1], ['L', 1, 0]];
+        for (const [text, dx, dy] of labels) {
+            ctx.fillText(text, centerX + dx * (radius + 10), centerY + dy * (radius + 10));
+        }
+        ctx.restore();
+    }
+
+    // Horizontal bar meter from -1 to +1 with a center tick
+    _drawBar(x, y, width, value, color) {
+        const ctx = this.ctx;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.fillRect(x, y, width, 10);
+        const center = x + width / 2;
+        const end = center + (Math.max(-1, Math.min(1, value)) * width) / 2;
+        ctx.fillStyle = color;
+        ctx.fillRect(Math.min(center, end), y, Math.abs(end - center), 10);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillRect(Math.round(center), y - 2, 1, 14);
+    }
+
+    _drawMeters(top, width) {
+        const ctx = this.ctx;
+        const labelWidth = 70;
+        const barWidth = Math.max(0, width - labelWidth - 60);
+        ctx.save();
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'middle';
+
+        const correlation = this.correlation;
+        const corrColor = correlation < 0 ? '#ff6b6b' : correlation < 0.3 ? '#ffd54f' : '#78ffa0';
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'left';
+        ctx.fillText('Correlation', 6, top + 12);
+        this._drawBar(labelWidth, top + 7, barWidth, correlation, corrColor);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = 'white';
+        ctx.fillText(correlation.toFixed(2), width - 6, top + 12);
+
+        // Balance bar spans ±12 dB
+        const balance = this.balanceDb;
+        ctx.textAlign = 'left';
+        ctx.fillText('Balance', 6, top + 32);
+        this._drawBar(labelWidth, top + 27, barWidth, balance / 12, '#4fc3f7');
+        let text = 'C';
+        if (!Number.isFinite(balance)) text = balance > 0 ? 'R only' : 'L only';
+        else if (Math.abs(balance) >= 0.05) text = `${balance > 0 ? 'R' : 'L'} ${Math.abs(balance).toFixed(1)} dB`;
+        ctx.textAlign = 'right';
+        ctx.fillStyle = 'white';
+        ctx.fillText(text, width - 6, top + 32);
+        ctx.restore();
+    }
+}
@@ -1,3 +1,12 @@
+import {
+    triggerModes, findCrossings, bestAlignment, estimatePeriod, sinePhase
+} from './triggers.js';
+import {
+    timePerDivSteps, voltsPerDivSteps, DIVISIONS_X, DIVISIONS_Y, drawGraticule
+} from './graticule.js';
+import { channelModes, channelColors, channelLabels, deriveChannels } from '../channelModes/channelModes.js';
+import { makeSelect } from '../controlPanel/settingsControls.js';
+
 export class WaveformVisualizer {
     constructor(audioSource, canvasElement, settingsDiv) {
         this.audioSource = audioSource;
@@ -5,86 +14,401 @@ export class WaveformVisualizer {
         this.ctx = this.canvas.getContext('2d');
         this.settingsDiv = settingsDiv;
         this.isRunning = false;
-        this.bufferSize = 1024; // Number of samples to display in the waveform
-        this.sampleBuffer = new Float32Array(this.bufferSize);
+        this.subscription = null;
+        // Time base: the window spans DIVISIONS_X divisions; bufferSize is
+        // that span in samples at the source's rate
+        this.timePerDivMs = 2;
+        this.sampleRate = 44100;
+        this.bufferSize = this._samplesForTimeBase();
+        // Vertical scale in signal units per division, optionally following the signal
+        this.voltsPerDiv = 0.2;
+        this.autoScale = false;
+        this.autoPeak = 0;
+        // One trace per signal of the channel mode; the first one drives the trigger
+        this.channelMode = 'mono';
+        this.traceCount = 1;
+        // Extra history kept so the display can lag behind to the audible frame
+        this.latencySlack = 16384;
         this.bufferIndex = 0;
+        // Samples pushed so far; trigger positions are kept in this count
+        this.totalSamples = 0;
+        // Frame index just past the newest buffered sample, when known
+        this.endFrame = null;
+
+        // Trigger: the window starts at a trigger point found in the window's
+        // worth of history before the newest window
+        this.triggerMode = 'none';
+        this.triggerLevel = 0;
+        this.triggerHysteresis = 0.02;
+        this.holdoffMs = 0;
+        this.lastTrigger = null;
+        this._allocateBuffers();
         this.setupUI();
     }
 
     setupUI() {
-        // Basic settings: buffer size selector
-        const label = document.createElement('label');
-        label.textContent = 'Buffer Size: ';
-        const select = document.createElement('select');
-        [512, 1024, 2048, 4096].forEach(size => {
+        makeSelect(this.settingsDiv, 'Time/div: ',
+            timePerDivSteps.map(ms => [ms, ms < 1000 ? `${ms} ms` : `${ms / 1000} s`]), this.timePerDivMs,
+            (value) => {
+                this.timePerDivMs = value;
+                this._updateBufferSize();
+            });
+
+        this.voltsSelect = makeSelect(this.settingsDiv, 'Volts/div: ', voltsPerDivSteps.map(v => [v, `${v}`]),
+            this.voltsPerDiv, (value) => {
+                this.voltsPerDiv = value;
+            });
+
+        const autoLabel = document.createElement('label');
+        const autoCheckbox = document.createElement('input');
+        autoCheckbox.type = 'checkbox';
+        autoCheckbox.checked = this.autoScale;
+        autoCheckbox.addEventListener('change', () => {
+            this.autoScale = autoCheckbox.checked;
+            this.autoPeak = 0;
+            this.voltsSelect.disabled = this.autoScale;
+        });
+        autoLabel.appendChild(autoCheckbox);
+        autoLabel.appendChild(document.createTextNode(' Auto'));
+        this.settingsDiv.appendChild(autoLabel);
+
+        const channelRow = document.createElement('div');
+        const channelLabel = document.createElement('label');
+        channelLabel.textContent = 'Channels: ';
+        const channelSelect = document.createElement('select');
+        for (const mode in channelModes) {
             const option = document.createElement('option');
-            option.value = size;
-            option.textContent = size;
-            if (size === this.bufferSize) option.selected = true;
-            select.appendChild(option);
+            option.value = mode;
+            option.textContent = channelModes[mode].label;
+            if (mode === this.channelMode) option.selected = true;
+            channelSelect.appendChild(option);
+        }
+        channelSelect.addEventListener('change', () => {
+            this.channelMode = channelSelect.value;
+            // History of the old signals doesn't apply to the new ones
+            this._allocateBuffers();
         });
-        select.addEventListener('change', (e) => {
-            this.bufferSize = parseInt(e.target.value);
-            this.sampleBuffer = new Float32Array(this.bufferSize);
-            this.bufferIndex = 0;
+        channelLabel.appendChild(channelSelect);
+        channelRow.appendChild(channelLabel);
+        this.settingsDiv.appendChild(channelRow);
+
+        this._setupTriggerUI();
+    }
+
+    _setupTriggerUI() {
+        const triggerRow = document.createElement('div');
+        const triggerLabel = document.createElement('label');
+        triggerLabel.textContent = 'Trigger: ';
+        triggerLabel.style.marginRight = '8px';
+        const triggerSelect = document.createElement('select');
+        for (const mode in triggerModes) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = triggerModes[mode].label;
+            if (mode === this.triggerMode) option.selected = true;
+            triggerSelect.appendChild(option);
+        }
+        triggerLabel.appendChild(triggerSelect);
+        triggerRow.appendChild(triggerLabel);
+
+        const makeNumberInput = (row, text, value, attrs, onChange) => {
+            const inputLabel = document.createElement('label');
+            inputLabel.textContent = text;
+            inputLabel.style.marginRight = '8px';
+            const input = document.createElement('input');
+            input.type = 'number';
+            Object.assign(input, attrs);
+            input.value = value;
+            input.style.width = '56px';
+            input.addEventListener('change', () => {
+                const v = parseFloat(input.value);
+                if (Number.isFinite(v)) onChange(Math.min(Math.max(v, attrs.min), attrs.max));
+            });
+            inputLabel.appendChild(input);
+            row.appendChild(inputLabel);
+            return inputLabel;
+        };
+
+        // Level and hysteresis only apply to the zero-crossing modes
+        const crossingRow = document.createElement('div');
+        makeNumberInput(crossingRow, 'Level: ', this.triggerLevel,
+            { min: -1, max: 1, step: 0.01 }, (v) => { this.triggerLevel = v; });
+        makeNumberInput(crossingRow, 'Hysteresis: ', this.triggerHysteresis,
+            { min: 0, max: 1, step: 0.01 }, (v) => { this.triggerHysteresis = v; });
+        crossingRow.style.display = triggerModes[this.triggerMode].crossing ? '' : 'none';
+
+        makeNumberInput(triggerRow, 'Holdoff ms: ', this.holdoffMs,
+            { min: 0, max: 1000, step: 1 }, (v) => { this.holdoffMs = v; });
+
+        triggerSelect.addEventListener('change', () => {
+            this.triggerMode = triggerSelect.value;
+            this.lastTrigger = null;
+            this.previousWindow.fill(0);
+            crossingRow.style.display = triggerModes[this.triggerMode].crossing ? '' : 'none';
         });
-        label.appendChild(select);
-        this.settingsDiv.appendChild(label);
+
+        this.settingsDiv.appendChild(triggerRow);
+        this.settingsDiv.appendChild(crossingRow);
+    }
+
+    _samplesForTimeBase() {
+        const samples = Math.round((this.timePerDivMs * DIVISIONS_X / 1000) * this.sampleRate);
+        return Math.max(16, samples);
+    }
+
+    // Keep bufferSize in step with the time base and the source's sample rate
+    _updateBufferSize() {
+        if (this.subscription && this.subscription.sampleRate) {
+            this.sampleRate = this.subscription.sampleRate;
+        }
+        const size = this._samplesForTimeBase();
+        if (size === this.bufferSize) return;
+        this.bufferSize = size;
+        this._allocateBuffers();
+    }
+
+    _allocateBuffers() {
+        // One window of trigger search, one window displayed, plus latency slack
+        const capacity = this.bufferSize * 2 + this.latencySlack;
+        this.sampleBuffers = Array.from({ length: this.traceCount }, () => new Float32Array(capacity));
+        this.bufferIndex = 0;
+        this.totalSamples = 0;
+        this.region = new Float32Array(this.bufferSize * 2);
+        // Displayed windows; the first trace's doubles as the autocorrelation reference
+        this.windows = this.sampleBuffers.map(() => new Float32Array(this.bufferSize));
+        this.previousWindow = this.windows[0];
+        this.lastTrigger = null;
     }
 
     _start() {
         if (this.isRunning) return;
         this.isRunning = true;
+        this.subscription = this.audioSource.subscribe();
         this.renderLoop();
     }
 
     _stop() {
         this.isRunning = false;
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+            this.subscription = null;
+        }
     }
 
     renderLoop() {
         if (!this.isRunning) return;
+        this._updateBufferSize();
         this.processSamples();
         this.draw();
         requestAnimationFrame(() => this.renderLoop());
     }
 
     processSamples() {
-        const samples = this.audioSource.pullAllSamples();
+        const samples = this.subscription.pullAllSamples();
         if (!samples || samples.length === 0) return;
 
-        // Convert to mono by averaging channels
-        const monoSamples = new Float32Array(samples[0].length);
-        for (let i = 0; i < samples[0].length; i++) {
-            let sum = 0;
-            for (let ch = 0; ch < samples.length; ch++) {
-                sum += samples[ch][i];
+        const signals = deriveChannels(samples, this.channelMode);
+        if (signals.length !== this.traceCount) {
+            this.traceCount = signals.length;
+            this._allocateBuffers();
+        }
+
+        // Add new samples to the circular buffers, with silence where blocks were
+        // dropped so the traces keep their timing
+        const gaps = this.subscription.gaps;
+        const length = signals[0].length;
+        let pushed = 0;
+        for (const gap of gaps) {
+            this._pushSamples(signals, pushed, gap.offset);
+            this._pushSilence(Math.min(gap.missingFrames, this.sampleBuffers[0].length));
+            pushed = gap.offset;
+        }
+        this._pushSamples(signals, pushed, length);
+        const startFrame = this.subscription.startFrame;
+        this.endFrame = startFrame === null ? null : startFrame + length;
+    }
+
+    _pushSamples(signals, from, to) {
+        const capacity = this.sampleBuffers[0].length;
+        for (let t = 0; t < signals.length; t++) {
+            const buffer = this.sampleBuffers[t];
+            const signal = signals[t];
+            let index = this.bufferIndex;
+            for (let i = from; i < to; i++) {
+                buffer[index] = signal[i];
+                if (++index === capacity) index = 0;
+            }
+        }
+        this._advance(to - from);
+    }
+
+    _pushSilence(count) {
+        const capacity = this.sampleBuffers[0].length;
+        for (const buffer of this.sampleBuffers) {
+            let index = this.bufferIndex;
+            for (let i = 0; i < count; i++) {
+                buffer[index] = 0;
+                if (++index === capacity) index = 0;
+            }
+        }
+        this._advance(count);
+    }
+
+    _advance(count) {
+        this.bufferIndex = (this.bufferIndex + count) % this.sampleBuffers[0].length;
+        this.totalSamples += count;
+    }
+
+    // Samples between the newest buffered one and the one being heard right now
+    _latencyOffset() {
+        const audible = this.subscription ? this.subscription.audibleFrame() : null;
+        if (this.endFrame === null || audible === null) return 0;
+        return Math.max(0, Math.min(this.endFrame - audible, this.latencySlack));
+    }
+
+    // Copies trace samples [start, start + out.length) (in totalSamples count) out of its ring
+    _readHistory(start, out, trace = 0) {
+        const buffer = this.sampleBuffers[trace];
+        const capacity = buffer.length;
+        const offset = this.bufferIndex - (this.totalSamples - start);
+        for (let i = 0; i < out.length; i++) {
+            out[i] = buffer[((offset + i) % capacity + capacity) % capacity];
+        }
+        return out;
+    }
+
+    /**
+     * _findTrigger(regionStart)
+     * Start of the displayed window, somewhere in
+     * [regionStart, regionStart + bufferSize]. The search region holds the
+     * window before the newest one plus the newest one.
+     */
+    _findTrigger(regionStart) {
+        const latestStart = regionStart + this.bufferSize;
+        const mode = this.triggerMode;
+        if (mode === 'none') return latestStart;
+
+        const region = this._readHistory(regionStart, this.region);
+        const sampleRate = this.subscription.sampleRate || 44100;
+        const holdoff = Math.round((this.holdoffMs / 1000) * sampleRate);
+
+        // A trigger must come at least `holdoff` samples after the previous one;
+        // until the next one arrives the display holds the previous trigger
+        const last = this.lastTrigger !== null && this.lastTrigger >= regionStart ? this.lastTrigger : null;
+        const accept = (candidate) => {
+            if (candidate === null) return last;
+            if (last !== null && candidate < last + holdoff) return last;
+            return candidate;
+        };
+
+        let trigger = null;
+        if (triggerModes[mode].crossing) {
+            const events = findCrossings(region, this.bufferSize + 1, this.triggerLevel,
+                this.triggerHysteresis, mode === 'rising');
+            let chain = last;
+            for (const offset of events) {
+                const event = regionStart + offset;
+                if (chain === null || event >= chain + holdoff) chain = event;
+            }
+            trigger = chain;
+        } else if (mode === 'autocorrelation') {
+            // Line up with whatever was drawn last frame
+            const offset = bestAlignment(region, this.previousWindow, this.bufferSize);
+            trigger = accept(offset === null ? null : regionStart + offset);
+        } else if (mode === 'referenceSine') {
+            // Start each window where a sine at the detected pitch starts rising;
+            // the pitch comes from the start of the newest window
+            const latest = region.subarray(this.bufferSize, this.bufferSize + Math.min(this.bufferSize, 4096));
+            const minLag = Math.max(2, Math.floor(sampleRate / 4000));
+            const period = estimatePeriod(latest, minLag, Math.floor(latest.length / 2));
+            if (period !== null) {
+                const phase = sinePhase(latest, period);
+                const shift = ((((phase / (2 * Math.PI)) * period) % period) + period) % period;
+                trigger = accept(latestStart - Math.round(shift));
+            } else {
+                trigger = last;
             }
-            monoSamples[i] = sum / samples.length;
         }
 
-        // Add new samples to circular buffer
-        for (let i = 0; i < monoSamples.length; i++) {
-            this.sampleBuffer[this.bufferIndex] = monoSamples[i];
-            this.bufferIndex = (this.bufferIndex + 1) % this.bufferSize;
+        // Free-run when nothing triggered
+        if (trigger === null) trigger = latestStart;
+        this.lastTrigger = trigger;
+        return trigger;
+    }
+
+    // Pick the smallest volts/div that keeps the recent peak on screen
+    _autoScale(traces) {
+        let peak = 0;
+        for (const samples of traces) {
+            for (let i = 0; i < samples.length; i++) {
+                const v = Math.abs(samples[i]);
+                if (v > peak) peak = v;
+            }
+        }
+        // Jump up at once, fall back slowly
+        this.autoPeak = Math.max(peak, this.autoPeak * 0.97);
+        const needed = this.autoPeak / (DIVISIONS_Y / 2);
+        const step = voltsPerDivSteps.find(v => v >= needed) ?? voltsPerDivSteps[voltsPerDivSteps.length - 1];
+        if (step !== this.voltsPerDiv) {
+            this.voltsPerDiv = step;
+            this.voltsSelect.value = step;
         }
     }
 
     draw() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.strokeStyle = 'white';
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        this.ctx.clearRect(0, 0, width, height);
+
+        // The newest window ends at the audible sample so the trace matches what
+        // is heard; the trigger may start it up to one window earlier
+        const audibleEnd = this.totalSamples - this._latencyOffset();
+        const start = this.subscription
+            ? this._findTrigger(audibleEnd - 2 * this.bufferSize)
+            : audibleEnd - this.bufferSize;
+        const traces = this.windows.map((window, t) => this._readHistory(start, window, t));
+        if (this.autoScale) this._autoScale(traces);
 
-        const centerY = this.canvas.height / 2;
-        const scaleY = this.canvas.height / 2 * 0.8; // 80% of half-height for margin
-        const stepX = this.canvas.width / (this.bufferSize - 1);
+        // Overlaid traces share the screen; stacked ones get a lane each
+        const stacked = this.channelMode === 'stacked' && traces.length > 1;
+        const laneCount = stacked ? traces.length : 1;
+        const laneHeight = height / laneCount;
+        for (let l = 0; l < laneCount; l++) {
+            this.ctx.save();
+            this.ctx.translate(0, l * laneHeight);
+            drawGraticule(this.ctx, width, laneHeight, this.timePerDivMs, this.voltsPerDiv);
+            this.ctx.restore();
+        }
+
+        const labels = channelLabels(this.channelMode, traces.length);
+        const scaleY = laneHeight / (DIVISIONS_Y * this.voltsPerDiv);
+        traces.forEach((samples, t) => {
+            const centerY = (stacked ? t : 0) * laneHeight + laneHeight / 2;
+            const color = traces.length > 1 ? channelColors[t % channelColors.length] : 'white';
+            if (samples.length > width) {
+                this._drawEnvelope(samples, width, centerY, scaleY, color);
+            } else {
+                this._drawTrace(samples, width, centerY, scaleY, color);
+            }
+            if (traces.length > 1) {
+                // Legend: one label per trace, at the top of its lane when stacked
+                this.ctx.font = '11px sans-serif';
+                this.ctx.textBaseline = 'top';
+                this.ctx.fillStyle = color;
+                const labelY = stacked ? t * laneHeight + 14 : 14 + t * 14;
+                this.ctx.fillText(labels[t], 30, labelY);
+            }
+        });
+    }
 
-        for (let i = 0; i < this.bufferSize; i++) {
-            const sampleIndex = (this.bufferIndex - this.bufferSize + i + this.bufferSize) % this.bufferSize;
-            const sample = this.sampleBuffer[sampleIndex];
+    _drawTrace(samples, width, centerY, scaleY, color) {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        const stepX = width / (samples.length - 1);
+        for (let i = 0; i < samples.length; i++) {
             const x = i * stepX;
-            const y = centerY - sample * scaleY;
+            const y = centerY - samples[i] * scaleY;
             if (i === 0) {
                 this.ctx.moveTo(x, y);
             } else {
@@ -93,4 +417,44 @@ export class WaveformVisualizer {
         }
         this.ctx.stroke();
     }
-}
\ No newline at end of file
+
+    // More samples than pixels: fill between each column's min and max
+    _drawEnvelope(samples, width, centerY, scaleY, color) {
+        const columns = Math.max(1, Math.floor(width));
+        const mins = new Float32Array(columns);
+        const maxs = new Float32Array(columns);
+        const perColumn = samples.length / columns;
+        for (let c = 0; c < columns; c++) {
+            // Overlap the next column by a sample so adjacent columns connect
+            const begin = Math.floor(c * perColumn);
+            const end = Math.min(samples.length, Math.floor((c + 1) * perColumn) + 1);
+            let lo = samples[begin];
+            let hi = lo;
+            for (let i = begin + 1; i < end; i++) {
+                const v = samples[i];
+                if (v < lo) lo = v;
+                else if (v > hi) hi = v;
+            }
+            mins[c] = lo;
+            maxs[c] = hi;
+        }
+
+        // Outline: maxima left to right, minima right to left
+        const ctx = this.ctx;
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let c = 0; c < columns; c++) {
+            const y = centerY - maxs[c] * scaleY;
+            if (c === 0) ctx.moveTo(0.5, y);
+            else ctx.lineTo(c + 0.5, y);
+        }
+        for (let c = columns - 1; c >= 0; c--) {
+            ctx.lineTo(c + 0.5, centerY - mins[c] * scaleY);
+        }
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,88 @@
+// graticule.js - Oscilloscope grid and scale steps
+
+// 1-2-5 steps for the time base (ms/div) and vertical scale (units/div)
+export const timePerDivSteps = [
+    0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000
+];
+export const voltsPerDivSteps = [
+    0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2
+];
+
+export const DIVISIONS_X = 10;
+export const DIVISIONS_Y = 8;
+
+export function formatTime(ms) {
+    if (ms < 1) return `${+(ms * 1000).toFixed(1)} µs`;
+    if (ms < 1000) return `${+ms.toFixed(2)} ms`;
+    return `${+(ms / 1000).toFixed(2)} s`;
+}
+
+export function formatVolts(v) {
+    if (Math.abs(v) < 1 && v !== 0) return `${+(v * 1000).toFixed(1)}m`;
+    return `${+v.toFixed(2)}`;
+}
+
+/**
+ * drawGraticule(ctx, width, height, timePerDivMs, voltsPerDiv)
+ * Division lines with the center axes emphasized, minor ticks on the axes,
+ * and labels: volts along the left edge, time along the bottom.
+ */
+export function drawGraticule(ctx, width, height, timePerDivMs, voltsPerDiv) {
+    const divW = width / DIVISIONS_X;
+    const divH = height / DIVISIONS_Y;
+    const centerX = Math.round(width / 2) + 0.5;
+    const centerY = Math.round(height / 2) + 0.5;
+
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.beginPath();
+    for (let i = 1; i < DIVISIONS_X; i++) {
+        const x = Math.round(i * divW) + 0.5;
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+    }
+    for (let j = 1; j < DIVISIONS_Y; j++) {
+        const y = Math.round(j * divH) + 0.5;
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+
+    // Center axes with five minor ticks per division
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.beginPath();
+    ctx.moveTo(0, centerY);
+    ctx.lineTo(width, centerY);
+    ctx.moveTo(centerX, 0);
+    ctx.lineTo(centerX, height);
+    for (let i = 0; i < DIVISIONS_X * 5; i++) {
+        const x = Math.round((i * divW) / 5) + 0.5;
+        ctx.moveTo(x, centerY - 3);
+        ctx.lineTo(x, centerY + 3);
+    }
+    for (let j = 0; j < DIVISIONS_Y * 5; j++) {
+        const y = Math.round((j * divH) / 5) + 0.5;
+        ctx.moveTo(centerX - 3, y);
+        ctx.lineTo(centerX + 3, y);
+    }
+    ctx.stroke();
+
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    for (let j = 1; j < DIVISIONS_Y; j++) {
+        const value = (DIVISIONS_Y / 2 - j) * voltsPerDiv;
+        ctx.fillText(formatVolts(value), 3, j * divH);
+    }
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    for (let i = 1; i < DIVISIONS_X; i++) {
+        ctx.fillText(formatTime(i * timePerDivMs), i * divW, height - 2);
+    }
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${formatTime(timePerDivMs)}/div  ${formatVolts(voltsPerDiv)}/div`, width - 4, 3);
+    ctx.restore();
+}
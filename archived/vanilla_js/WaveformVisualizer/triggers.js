@@ -0,0 +1,169 @@
+// triggers.js - Oscilloscope trigger search
+//
+// A trigger picks where in the recent history the displayed window starts, so
+// a periodic signal lands at the same phase every frame. Each search works on
+// a linear `region` of samples and returns offsets into it.
+
+import { FFT } from '../FFT/FFT.js';
+
+export const triggerModes = {
+    none: { label: 'None' },
+    rising: { label: 'Zero crossing (rising)', crossing: true },
+    falling: { label: 'Zero crossing (falling)', crossing: true },
+    autocorrelation: { label: 'Autocorrelation' },
+    referenceSine: { label: 'Reference sine' }
+};
+
+/**
+ * findCrossings(region, end, level, hysteresis, rising)
+ * Offsets in region[0, end) where the signal crosses `level` in the given
+ * direction. The trigger re-arms only after the signal moves `hysteresis`
+ * back past the level, so noise riding on a slow edge fires once.
+ */
+export function findCrossings(region, end, level, hysteresis, rising) {
+    const sign = rising ? 1 : -1;
+    const armLevel = sign * (level - sign * hysteresis);
+    const fireLevel = sign * level;
+    const events = [];
+    let armed = false;
+    for (let i = 0; i < end; i++) {
+        const v = sign * region[i];
+        if (!armed) {
+            if (v < armLevel) armed = true;
+        } else if (v >= fireLevel) {
+            events.push(i);
+            armed = false;
+        }
+    }
+    return events;
+}
+
+function nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) size <<= 1;
+    return size;
+}
+
+// Linear cross-correlation corr[k] = sum_n a[k + n] * b[n] for k in [0, maxLag]
+function crossCorrelate(a, b, maxLag) {
+    const size = nextPowerOfTwo(a.length + b.length);
+    const plan = FFT.realPlan(size);
+    const padA = new Float32Array(size);
+    const padB = new Float32Array(size);
+    padA.set(a);
+    padB.set(b);
+    const aRe = new Float32Array(plan.binCount);
+    const aIm = new Float32Array(plan.binCount);
+    const bRe = new Float32Array(plan.binCount);
+    const bIm = new Float32Array(plan.binCount);
+    plan.forward(padA, aRe, aIm);
+    plan.forward(padB, bRe, bIm);
+    // A * conj(B)
+    for (let i = 0; i < plan.binCount; i++) {
+        const re = aRe[i] * bRe[i] + aIm[i] * bIm[i];
+        const im = aIm[i] * bRe[i] - aRe[i] * bIm[i];
+        aRe[i] = re;
+        aIm[i] = im;
+    }
+    const out = new Float32Array(size);
+    plan.inverse(aRe, aIm, out);
+    return out.subarray(0, maxLag + 1);
+}
+
+// Block averages of `src`, a cheap low-pass and downsample in one
+function decimate(src, factor) {
+    const out = new Float32Array(Math.floor(src.length / factor));
+    for (let i = 0; i < out.length; i++) {
+        let sum = 0;
+        for (let j = 0; j < factor; j++) sum += src[i * factor + j];
+        out[i] = sum / factor;
+    }
+    return out;
+}
+
+/**
+ * bestAlignment(region, reference, maxOffset, maxLength = 4096)
+ * Offset in [0, maxOffset] where region best matches `reference`, by
+ * correlation normalized for the energy of each candidate window.
+ * References longer than maxLength are matched at a decimated rate, so long
+ * time bases stay cheap. Returns null if either side is silent.
+ */
+export function bestAlignment(region, reference, maxOffset, maxLength = 4096) {
+    if (reference.length > maxLength) {
+        const factor = Math.ceil(reference.length / maxLength);
+        const offset = bestAlignment(decimate(region, factor), decimate(reference, factor),
+            Math.floor(maxOffset / factor), maxLength);
+        return offset === null ? null : offset * factor;
+    }
+    const length = reference.length;
+    const corr = crossCorrelate(region, reference, maxOffset);
+
+    // Running energy of region[k, k + length)
+    let energy = 0;
+    for (let i = 0; i < length; i++) energy += region[i] * region[i];
+
+    let best = null;
+    let bestScore = 0;
+    for (let k = 0; k <= maxOffset; k++) {
+        if (energy > 1e-12) {
+            const score = corr[k] / Math.sqrt(energy);
+            if (score > bestScore) {
+                bestScore = score;
+                best = k;
+            }
+        }
+        if (k < maxOffset) {
+            energy += region[k + length] * region[k + length] - region[k] * region[k];
+        }
+    }
+    return best;
+}
+
+/**
+ * estimatePeriod(frame, minLag, maxLag)
+ * Fundamental period in samples (fractional) from the autocorrelation of
+ * `frame`, or null when nothing periodic stands out.
+ */
+export function estimatePeriod(frame, minLag, maxLag) {
+    const acf = crossCorrelate(frame, frame, maxLag);
+    if (acf[0] <= 1e-12) return null;
+
+    // Skip the zero-lag lobe; multiples of the period score about as high
+    // as the period itself, so take the first peak near the strongest one
+    let lag = Math.max(1, minLag);
+    while (lag < maxLag && acf[lag] > 0) lag++;
+    // Undo the triangular bias of the finite frame
+    const unbiased = (k) => (acf[k] * frame.length) / (frame.length - k);
+    let strongest = 0;
+    for (let k = lag; k < maxLag; k++) strongest = Math.max(strongest, unbiased(k));
+    if (strongest / acf[0] < 0.5) return null;
+    let best = lag;
+    while (best < maxLag - 1 &&
+           !(unbiased(best) >= 0.9 * strongest && acf[best] >= acf[best + 1])) {
+        best++;
+    }
+
+    // Parabolic interpolation around the peak
+    const y0 = acf[best - 1];
+    const y1 = acf[best];
+    const y2 = acf[best + 1];
+    const denom = y0 - 2 * y1 + y2;
+    return denom < 0 ? best + (0.5 * (y0 - y2)) / denom : best;
+}
+
+/**
+ * sinePhase(frame, period)
+ * Phase (radians) at frame[0] of the best-fitting sine with the given
+ * period, from correlating against sine and cosine references over whole periods.
+ */
+export function sinePhase(frame, period) {
+    const length = Math.max(period, Math.floor(frame.length / period) * period);
+    let sinSum = 0;
+    let cosSum = 0;
+    for (let n = 0; n < length && n < frame.length; n++) {
+        const angle = (2 * Math.PI * n) / period;
+        sinSum += frame[n] * Math.sin(angle);
+        cosSum += frame[n] * Math.cos(angle);
+    }
+    return Math.atan2(cosSum, sinSum);
+}
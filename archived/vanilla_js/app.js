@@ -1,8 +1,22 @@
 import { ControlPanel } from './controlPanel/controlPanel.js';
 import { DynamicCanvas } from './dynamic_canvas/dynamicCanvas.js';
 import { AudioSamplePuller, MusicPlayer } from './audioPlayer/audioPlayer.js';
+import { LiveInput } from './liveInput/LiveInput.js';
+import { SourceRegistry } from './sourceRegistry/SourceRegistry.js';
 import { STFTVisualizer } from './STFTVisualizer/STFTVisualizer.js';
 import { WaveformVisualizer } from './WaveformVisualizer/WaveformVisualizer.js';
+import { VectorscopeVisualizer } from './VectorscopeVisualizer/VectorscopeVisualizer.js';
+import { LoudnessVisualizer } from './LoudnessVisualizer/LoudnessVisualizer.js';
+import { SpectrumVisualizer } from './SpectrumVisualizer/SpectrumVisualizer.js';
+import { CQTVisualizer } from './CQTVisualizer/CQTVisualizer.js';
+import { AnalyticVisualizer } from './AnalyticVisualizer/AnalyticVisualizer.js';
+import { SpiralVisualizer } from './SpiralVisualizer/SpiralVisualizer.js';
+import { PianoRollVisualizer } from './PianoRollVisualizer/PianoRollVisualizer.js';
+import { TunerVisualizer } from './TunerVisualizer/TunerVisualizer.js';
+import { ChromaVisualizer } from './ChromaVisualizer/ChromaVisualizer.js';
+import { BeatGridVisualizer } from './BeatGridVisualizer/BeatGridVisualizer.js';
+import { FeaturePlotVisualizer } from './FeaturePlotVisualizer/FeaturePlotVisualizer.js';
+import { TrackOverviewVisualizer } from './TrackOverviewVisualizer/TrackOverviewVisualizer.js';
 
 // TODO:
 // make favicon with https://favicon.io/favicon-converter/
@@ -10,9 +24,8 @@ import { WaveformVisualizer } from './WaveformVisualizer/WaveformVisualizer.js';
 // handle canvas registration
 // dont think we need canvas-content class, it only holds a canvas
 
-// make array for input registration
-const chunk_audio_inputs = [];
-const stream_audio_input = []; // has a pullAllSamples() function
+// registry of audio inputs; every source has a subscribe() function
+const sourceRegistry = new SourceRegistry();
 
 // make array of available plugins
 const plugins = [];
@@ -20,10 +33,22 @@ const plugins = [];
 // Visualizer registry
 const visualizerClasses = {
     'STFT': STFTVisualizer,
-    'Oscilloscope': WaveformVisualizer
+    'Oscilloscope': WaveformVisualizer,
+    'Vectorscope': VectorscopeVisualizer,
+    'Loudness': LoudnessVisualizer,
+    'Spectrum': SpectrumVisualizer,
+    'CQT': CQTVisualizer,
+    'Analytic Signal': AnalyticVisualizer,
+    'Spiral': SpiralVisualizer,
+    'Piano Roll': PianoRollVisualizer,
+    'Tuner': TunerVisualizer,
+    'Chroma': ChromaVisualizer,
+    'Beat Grid': BeatGridVisualizer,
+    'Feature Plot': FeaturePlotVisualizer,
+    'Track Overview': TrackOverviewVisualizer
 };
 
-// Canvas panels map: canvasId -> { details, content, select, settingsDiv, visualizer }
+// Canvas panels map: canvasId -> { canvasNode, details, content, select, sourceSelect, settingsDiv, visualizer, sourceId }
 const canvasPanels = new Map();
 
 // Function to get all canvas nodes from the layout tree
@@ -40,6 +65,36 @@ function getAllCanvasNodes(tree) {
     return canvases;
 }
 
+// (Re)create the visualizer of a canvas panel from its visualizer and source selects
+function bindVisualizer(panel) {
+    if (panel.visualizer) {
+        panel.visualizer._stop();
+        panel.visualizer = null;
+    }
+    panel.settingsDiv.innerHTML = '';
+    panel.sourceId = panel.sourceSelect.value || null;
+
+    const selected = panel.select.value;
+    const source = sourceRegistry.get(panel.sourceId);
+    if (selected !== 'None' && source) {
+        const VisClass = visualizerClasses[selected];
+        panel.visualizer = new VisClass(source, panel.canvasNode.canvasEl, panel.settingsDiv);
+        panel.visualizer._start();
+    }
+}
+
+// Fill a source select with the registered sources, keeping the current choice if possible
+function populateSourceSelect(sourceSelect, selectedId) {
+    sourceSelect.innerHTML = '';
+    for (const { id, label } of sourceRegistry.list()) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        sourceSelect.appendChild(option);
+    }
+    sourceSelect.value = sourceRegistry.has(selectedId) ? selectedId : (sourceRegistry.defaultId ?? '');
+}
+
 // Function to update canvas panels based on current canvases
 function updateCanvasPanels() {
     const currentCanvases = getAllCanvasNodes(dynamic_canvas.layoutTree);
@@ -72,26 +127,35 @@ function updateCanvasPanels() {
             }
             select.value = 'None';
 
+            const sourceLabel = document.createElement('label');
+            sourceLabel.textContent = ' Source: ';
+            const sourceSelect = document.createElement('select');
+            populateSourceSelect(sourceSelect, null);
+            sourceLabel.appendChild(sourceSelect);
+
             const settingsDiv = document.createElement('div');
             content.appendChild(select);
+            content.appendChild(sourceLabel);
             content.appendChild(settingsDiv);
 
-            canvasPanels.set(canvasNode.id, { details, content, select, settingsDiv, visualizer: null });
-
-            select.addEventListener('change', () => {
-                const selected = select.value;
-                const panel = canvasPanels.get(canvasNode.id);
-                if (panel.visualizer) {
-                    panel.visualizer._stop();
-                    panel.visualizer = null;
-                }
-                if (selected !== 'None') {
-                    const VisClass = visualizerClasses[selected];
-                    panel.visualizer = new VisClass(audioPlayer, canvasNode.canvasEl, panel.settingsDiv);
-                    panel.visualizer._start();
-                }
-                // Settings div is cleared and repopulated by the visualizer constructor
-            });
+            const panel = {
+                canvasNode, details, content, select, sourceSelect, settingsDiv,
+                visualizer: null, sourceId: sourceSelect.value || null
+            };
+            canvasPanels.set(canvasNode.id, panel);
+
+            select.addEventListener('change', () => bindVisualizer(panel));
+            sourceSelect.addEventListener('change', () => bindVisualizer(panel));
+        }
+    }
+}
+
+// Keep every source select in sync, and re-bind visualizers whose source went away
+function updateSourceSelects() {
+    for (const panel of canvasPanels.values()) {
+        populateSourceSelect(panel.sourceSelect, panel.sourceId);
+        if (panel.sourceSelect.value !== (panel.sourceId ?? '')) {
+            bindVisualizer(panel);
         }
     }
 }
@@ -113,7 +177,20 @@ const audioPlayer = new MusicPlayer(
   './audioplayer/SampleProcessor.js'
 );
 // register audioplayer as streamable input
-stream_audio_input.push(audioPlayer);
+sourceRegistry.register('file', 'Audio File', audioPlayer);
+
+// make live input (microphone / line-in)
+const [liveInputDetails, liveInputContent] = control_panel.createDetails("Live Input");
+control_panel.tabContent.appendChild(liveInputDetails);
+const liveInput = new LiveInput(
+  liveInputContent,
+  './audioPlayer/SampleProcessor.js'
+);
+// register live input as streamable input
+sourceRegistry.register('live', 'Live Input', liveInput);
+
+// Re-bind canvases when sources come and go
+sourceRegistry.addEventListener('sourcesChanged', updateSourceSelects);
 
 // Listen to canvas changes and update panels
 dynamic_canvas.addEventListener('canvasChanged', updateCanvasPanels);
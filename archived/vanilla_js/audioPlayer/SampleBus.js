@@ -0,0 +1,254 @@
+// SampleBus.js - Bounded multi-consumer sample bus
+//
+// The producer (an AudioSamplePuller) writes blocks of per-channel samples into
+// a fixed-size ring buffer. Every subscriber gets its own read cursor, so each
+// visualizer sees every sample exactly once no matter when it polls. A
+// subscriber that falls more than `capacity` frames behind skips ahead to the
+// oldest retained frame and has the skipped frames counted as an overflow.
+//
+// Blocks may be tagged with the audio-context frame index of their first
+// sample. The bus keeps a short list of segments (runs of contiguous frames),
+// so readers can tell the absolute frame/time of the first sample they get and
+// where the returned samples jump over dropped blocks or seeks.
+
+export class SampleBus {
+  /**
+   * @param {number} capacity
+   *   Frames retained per channel (default 65536, ~1.4 s at 48 kHz).
+   */
+  constructor(capacity = 65536) {
+    this.capacity = capacity;
+    this.numChannels = 0;
+    this.rings = [];
+    // Total frames ever written; cursors are absolute positions in this count
+    this.writePosition = 0;
+    this.sampleRate = null;
+    this.audioContext = null;
+    this.readers = new Set();
+    // [{ position, frame, gap, missingFrames }], oldest first
+    this.segments = [];
+    // Frame index the next block should start at if nothing was dropped
+    this.nextFrame = null;
+    this.pendingDiscontinuity = null;
+    // Optional callback that pulls pending samples from the producer on demand
+    this._drain = null;
+  }
+
+  /**
+   * write(channels, startFrame)
+   * Appends one block, given as [Float32Array_channel0, Float32Array_channel1, …].
+   * startFrame is the audio-context frame index of its first sample; untagged
+   * blocks are assumed to follow the previous one. The data is copied, so the
+   * caller may reuse its arrays.
+   */
+  write(channels, startFrame = null) {
+    if (!channels || channels.length === 0) return;
+    if (channels.length !== this.numChannels) {
+      this._allocate(channels.length);
+    }
+
+    const length = channels[0].length;
+    this._trackFrames(startFrame ?? this.nextFrame, length);
+
+    // Anything older than the last `capacity` frames would be overwritten anyway
+    const skip = Math.max(0, length - this.capacity);
+    let pos = (this.writePosition + skip) % this.capacity;
+    const count = length - skip;
+    const firstPart = Math.min(count, this.capacity - pos);
+
+    for (let ch = 0; ch < this.numChannels; ch++) {
+      const ring = this.rings[ch];
+      const src = channels[ch];
+      ring.set(src.subarray(skip, skip + firstPart), pos);
+      if (firstPart < count) {
+        ring.set(src.subarray(skip + firstPart, length), 0);
+      }
+    }
+    this.writePosition += length;
+  }
+
+  /**
+   * markDiscontinuity(frame)
+   * Flags the block containing `frame` (or the next block written, if omitted)
+   * as a gap, e.g. when the producer seeks.
+   */
+  markDiscontinuity(frame = null) {
+    this.pendingDiscontinuity = frame ?? -Infinity;
+  }
+
+  /**
+   * frameAt(position)
+   * Audio-context frame index of the sample at an absolute bus position, or
+   * null if blocks are not tagged.
+   */
+  frameAt(position) {
+    for (let i = this.segments.length - 1; i >= 0; i--) {
+      const seg = this.segments[i];
+      if (seg.position <= position) return seg.frame + (position - seg.position);
+    }
+    return null;
+  }
+
+  _trackFrames(frame, length) {
+    if (frame !== null) {
+      const discontinuous = this.pendingDiscontinuity !== null &&
+                            frame + length > this.pendingDiscontinuity;
+      if (frame !== this.nextFrame || discontinuous) {
+        this.segments.push({
+          position: this.writePosition,
+          frame,
+          // The very first block is not a gap, there is nothing before it
+          gap: this.nextFrame !== null || discontinuous,
+          missingFrames: this.nextFrame === null ? 0 : Math.max(0, frame - this.nextFrame)
+        });
+        if (discontinuous) this.pendingDiscontinuity = null;
+      }
+      this.nextFrame = frame + length;
+    }
+    // Forget segments that no longer cover retained frames
+    const oldest = this.writePosition + length - this.capacity;
+    while (this.segments.length > 1 && this.segments[1].position <= oldest) {
+      this.segments.shift();
+    }
+  }
+
+  /**
+   * setDrain(fn)
+   * Registers a producer callback that is run before every read, so producers
+   * that are polled (rather than pushing) can flush into the bus first.
+   */
+  setDrain(fn) {
+    this._drain = fn;
+  }
+
+  drain() {
+    if (this._drain) this._drain();
+  }
+
+  subscribe() {
+    const reader = new SampleBusReader(this);
+    this.readers.add(reader);
+    return reader;
+  }
+
+  unsubscribe(reader) {
+    this.readers.delete(reader);
+  }
+
+  /**
+   * reset()
+   * Drops everything buffered, e.g. when the producer switches to a new track.
+   */
+  reset() {
+    for (const ring of this.rings) ring.fill(0);
+    for (const reader of this.readers) reader.cursor = this.writePosition;
+    // The next block starts afresh rather than as a gap spanning the pause
+    this.segments = [];
+    this.nextFrame = null;
+    this.pendingDiscontinuity = null;
+  }
+
+  _allocate(numChannels) {
+    this.numChannels = numChannels;
+    this.rings = [];
+    for (let ch = 0; ch < numChannels; ch++) {
+      this.rings.push(new Float32Array(this.capacity));
+    }
+    // Old data has a different channel layout; readers start from here
+    for (const reader of this.readers) reader.cursor = this.writePosition;
+  }
+}
+
+export class SampleBusReader {
+  constructor(bus) {
+    this.bus = bus;
+    this.cursor = bus.writePosition;
+    // Number of pulls that had to skip ahead, and how many frames were lost
+    this.overflows = 0;
+    this.droppedFrames = 0;
+    // Number of pulls that found no new samples
+    this.underruns = 0;
+    // Timing of the last pull: frame index of its first sample, and the
+    // discontinuities inside it as [{ offset, missingFrames }]
+    this.startFrame = null;
+    this.gaps = [];
+  }
+
+  get sampleRate() {
+    return this.bus.sampleRate;
+  }
+
+  /**
+   * startTime
+   * Audio-context time (seconds) of the first sample returned by the last pull.
+   */
+  get startTime() {
+    if (this.startFrame === null || !this.bus.sampleRate) return null;
+    return this.startFrame / this.bus.sampleRate;
+  }
+
+  /**
+   * audibleFrame()
+   * Frame index of the sample coming out of the speakers right now, i.e. the
+   * context time minus its output latency. Visuals aligned to this frame match
+   * what is heard. Returns null before the source has an AudioContext.
+   */
+  audibleFrame() {
+    const ctx = this.bus.audioContext;
+    if (!ctx) return null;
+    const latency = (ctx.outputLatency || 0) + (ctx.baseLatency || 0);
+    return Math.round((ctx.currentTime - latency) * ctx.sampleRate);
+  }
+
+  /**
+   * pullAllSamples()
+   * Returns all PCM frames (all channels) written since this reader's last call,
+   * as [Float32Array_channel0, Float32Array_channel1, …].
+   * If none, returns null.
+   */
+  pullAllSamples() {
+    const bus = this.bus;
+    bus.drain();
+    let available = bus.writePosition - this.cursor;
+    this.gaps = [];
+    if (available <= 0 || bus.numChannels === 0) {
+      this.underruns++;
+      this.startFrame = null;
+      return null;
+    }
+    if (available > bus.capacity) {
+      const skipped = available - bus.capacity;
+      this.overflows++;
+      this.droppedFrames += skipped;
+      this.gaps.push({ offset: 0, missingFrames: skipped });
+      this.cursor = bus.writePosition - bus.capacity;
+      available = bus.capacity;
+    }
+
+    this.startFrame = bus.frameAt(this.cursor);
+    for (const seg of bus.segments) {
+      if (seg.gap && seg.position >= this.cursor && seg.position < bus.writePosition) {
+        this.gaps.push({ offset: seg.position - this.cursor, missingFrames: seg.missingFrames });
+      }
+    }
+
+    const start = this.cursor % bus.capacity;
+    const firstPart = Math.min(available, bus.capacity - start);
+    const out = [];
+    for (let ch = 0; ch < bus.numChannels; ch++) {
+      const ring = bus.rings[ch];
+      const data = new Float32Array(available);
+      data.set(ring.subarray(start, start + firstPart), 0);
+      if (firstPart < available) {
+        data.set(ring.subarray(0, available - firstPart), firstPart);
+      }
+      out.push(data);
+    }
+    this.cursor = bus.writePosition;
+    return out;
+  }
+
+  unsubscribe() {
+    this.bus.unsubscribe(this);
+  }
+}
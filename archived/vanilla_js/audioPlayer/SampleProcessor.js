@@ -1,20 +1,130 @@
 // This file must be served alongside your main script.
 // It defines a simple AudioWorkletProcessor that forwards every input block (per channel) to the main thread.
+//
+// Every block is tagged with the audio-context frame index (currentFrame) of its first sample.
+//
+// Two transports are supported, picked by processorOptions:
+//   - ring: { header, data, blocks, capacity, blockSlots, maxChannels } — a lock-free
+//     SharedArrayBuffer ring buffer. header is an Int32Array over
+//     [writeIndex, readIndex, channelCount, droppedFrames, blockWriteIndex, blockReadIndex];
+//     data holds `maxChannels` planar regions of `capacity` floats, and blocks is a
+//     Float64Array ring of `blockSlots` [startFrame, length] records, one per written block.
+//     The worklet is the only writer of writeIndex/channelCount/droppedFrames/blockWriteIndex,
+//     the main thread the only writer of readIndex/blockReadIndex.
+//   - otherwise, batched postMessage: `batchQuanta` contiguous render quanta are collected and
+//     posted as one { type: 'SAMPLES', channels, frame } message with the buffers transferred.
+
+const WRITE_INDEX = 0;
+const READ_INDEX = 1;
+const CHANNEL_COUNT = 2;
+const DROPPED_FRAMES = 3;
+const BLOCK_WRITE_INDEX = 4;
+const BLOCK_READ_INDEX = 5;
 
 class SampleProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
+    const opts = (options && options.processorOptions) || {};
+    if (opts.ring) {
+      this.header = new Int32Array(opts.ring.header);
+      this.blocks = new Float64Array(opts.ring.blocks);
+      this.blockSlots = opts.ring.blockSlots;
+      this.capacity = opts.ring.capacity;
+      this.maxChannels = opts.ring.maxChannels;
+      this.data = [];
+      for (let ch = 0; ch < this.maxChannels; ch++) {
+        this.data.push(new Float32Array(opts.ring.data, ch * this.capacity * 4, this.capacity));
+      }
+    } else {
+      this.batchQuanta = opts.batchQuanta || 4;
+      this.batch = null;
+      this.batchFrames = 0;
+      this.batchFrame = 0;
+    }
   }
 
   process(inputs, outputs, parameters) {
     // inputs[0] is an array of Float32Array—one per channel.
     const input = inputs[0];
     if (input.length > 0) {
-      // Send the array of Float32Arrays to the main thread
-      this.port.postMessage(input);
+      if (this.header) {
+        this._writeRing(input);
+      } else {
+        this._writeBatch(input);
+      }
     }
     return true;
   }
+
+  _writeRing(input) {
+    const frames = input[0].length;
+    const cap = this.capacity;
+    const write = Atomics.load(this.header, WRITE_INDEX);
+    const read = Atomics.load(this.header, READ_INDEX);
+    const blockWrite = Atomics.load(this.header, BLOCK_WRITE_INDEX);
+    const blockRead = Atomics.load(this.header, BLOCK_READ_INDEX);
+    // One slot stays empty so that write === read always means "empty"
+    const free = cap - 1 - ((write - read + cap) % cap);
+    const freeBlocks = this.blockSlots - 1 - ((blockWrite - blockRead + this.blockSlots) % this.blockSlots);
+    if (free < frames || freeBlocks < 1) {
+      Atomics.add(this.header, DROPPED_FRAMES, frames);
+      return;
+    }
+
+    const numCh = Math.min(input.length, this.maxChannels);
+    const firstPart = Math.min(frames, cap - write);
+    for (let ch = 0; ch < numCh; ch++) {
+      const src = input[ch];
+      this.data[ch].set(firstPart < frames ? src.subarray(0, firstPart) : src, write);
+      if (firstPart < frames) {
+        this.data[ch].set(src.subarray(firstPart), 0);
+      }
+    }
+    this.blocks[blockWrite * 2] = currentFrame;
+    this.blocks[blockWrite * 2 + 1] = frames;
+    Atomics.store(this.header, CHANNEL_COUNT, numCh);
+    // Publish the samples only after they are fully written, and the block
+    // record last, so a reader that sees the record also sees its samples
+    Atomics.store(this.header, WRITE_INDEX, (write + frames) % cap);
+    Atomics.store(this.header, BLOCK_WRITE_INDEX, (blockWrite + 1) % this.blockSlots);
+  }
+
+  _writeBatch(input) {
+    const frames = input[0].length;
+    if (this.batch && (this.batch.length !== input.length ||
+                       this.batchFrame + this.batchFrames !== currentFrame)) {
+      // Channel layout changed or quanta were skipped; send what we have before starting over
+      this._flushBatch();
+    }
+    if (!this.batch) {
+      this.batch = [];
+      for (let ch = 0; ch < input.length; ch++) {
+        this.batch.push(new Float32Array(frames * this.batchQuanta));
+      }
+      this.batchFrames = 0;
+      this.batchFrame = currentFrame;
+    }
+    if (this.batchFrames + frames > this.batch[0].length) {
+      this._flushBatch();
+      this._writeBatch(input);
+      return;
+    }
+    for (let ch = 0; ch < input.length; ch++) {
+      this.batch[ch].set(input[ch], this.batchFrames);
+    }
+    this.batchFrames += frames;
+    if (this.batchFrames === this.batch[0].length) {
+      this._flushBatch();
+    }
+  }
+
+  _flushBatch() {
+    if (!this.batch) return;
+    const channels = this.batch.map(ch => ch.subarray(0, this.batchFrames));
+    this.port.postMessage({ type: 'SAMPLES', channels, frame: this.batchFrame }, this.batch.map(ch => ch.buffer));
+    this.batch = null;
+    this.batchFrames = 0;
+  }
 }
 
-registerProcessor('sample-processor', SampleProcessor);
\ No newline at end of file
+registerProcessor('sample-processor', SampleProcessor);
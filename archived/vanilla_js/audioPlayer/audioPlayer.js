@@ -1,44 +1,127 @@
+import { SampleBus } from './SampleBus.js';
+
+// Header slots of the shared ring buffer; must match SampleProcessor.js
+const WRITE_INDEX = 0;
+const READ_INDEX = 1;
+const CHANNEL_COUNT = 2;
+const DROPPED_FRAMES = 3;
+const BLOCK_WRITE_INDEX = 4;
+const BLOCK_READ_INDEX = 5;
+
 export class AudioSamplePuller {
-  constructor(audioContext, workletURL) {
+  /**
+   * @param {AudioContext} audioContext
+   * @param {string} workletURL
+   *   Path/URL to 'sample-processor.js'.
+   * @param {SampleBus} sampleBus
+   *   Bus that every captured block is written to.
+   * @param {object} options
+   *   ringCapacity: frames per channel in the shared ring buffer (default 16384).
+   *   maxChannels: channels the shared ring buffer can carry (default 8).
+   *   batchQuanta: render quanta per message when falling back to postMessage (default 4).
+   */
+  constructor(audioContext, workletURL, sampleBus, options = {}) {
     this.audioContext = audioContext;
     this.workletURL = workletURL;
-    this.channelDataBuffer = [];
+    this.sampleBus = sampleBus;
+    this.sampleBus.audioContext = audioContext;
+    this.sampleBus.sampleRate = audioContext.sampleRate;
+    this.ringCapacity = options.ringCapacity || 16384;
+    this.maxChannels = options.maxChannels || 8;
+    this.batchQuanta = options.batchQuanta || 4;
+    // SharedArrayBuffer is only available when the page is cross-origin isolated
+    this.shared = typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+    this.drainTimer = null;
     this._ready = this._initWorklet();
   }
 
   async _initWorklet() {
     await this.audioContext.audioWorklet.addModule(this.workletURL);
+    const processorOptions = {};
+    if (this.shared) {
+      this.header = new Int32Array(new SharedArrayBuffer(6 * Int32Array.BYTES_PER_ELEMENT));
+      // Room for one [startFrame, length] record per 128-frame render quantum
+      this.blockSlots = Math.ceil(this.ringCapacity / 128) + 1;
+      this.blocks = new Float64Array(new SharedArrayBuffer(this.blockSlots * 2 * Float64Array.BYTES_PER_ELEMENT));
+      const dataBuffer = new SharedArrayBuffer(this.ringCapacity * this.maxChannels * Float32Array.BYTES_PER_ELEMENT);
+      this.ringData = [];
+      for (let ch = 0; ch < this.maxChannels; ch++) {
+        this.ringData.push(new Float32Array(dataBuffer, ch * this.ringCapacity * 4, this.ringCapacity));
+      }
+      processorOptions.ring = {
+        header: this.header.buffer,
+        data: dataBuffer,
+        blocks: this.blocks.buffer,
+        capacity: this.ringCapacity,
+        blockSlots: this.blockSlots,
+        maxChannels: this.maxChannels
+      };
+    } else {
+      processorOptions.batchQuanta = this.batchQuanta;
+    }
+
     this.node = new AudioWorkletNode(this.audioContext, 'sample-processor', {
       numberOfInputs: 1,
       numberOfOutputs: 0, // still zero, since we’re only “tapping” the stream
+      processorOptions
     });
-    this.node.port.onmessage = (e) => {
-      const channels = e.data.map(ch => ch.slice());
-      this.channelDataBuffer.push(channels);
-    };
+
+    if (this.shared) {
+      // Readers drain on every pull; the timer keeps the ring from filling up
+      // while nobody is pulling
+      this.sampleBus.setDrain(() => this.drain());
+      this.drainTimer = setInterval(() => this.drain(), 50);
+    } else {
+      this.node.port.onmessage = (e) => {
+        if (e.data.type !== 'SAMPLES') return;
+        // The bus copies into its ring buffer, so no slice() needed here
+        this.sampleBus.write(e.data.channels, e.data.frame);
+      };
+    }
   }
 
   async ready() {
     await this._ready;
   }
 
-  pullSamples() {
-    if (!this.channelDataBuffer.length) return null;
-    const numCh = this.channelDataBuffer[0].length;
-    const out = [];
-    for (let ch = 0; ch < numCh; ch++) {
-      let total = 0;
-      for (const block of this.channelDataBuffer) total += block[ch].length;
-      const merged = new Float32Array(total);
-      let off = 0;
-      for (const block of this.channelDataBuffer) {
-        merged.set(block[ch], off);
-        off += block[ch].length;
+  /**
+   * drain()
+   * Moves every block the worklet has written to the shared ring buffer onto the bus,
+   * keeping the frame index of each block.
+   */
+  drain() {
+    if (!this.header) return;
+    // The block index is published last, so everything it covers is readable
+    const blockWrite = Atomics.load(this.header, BLOCK_WRITE_INDEX);
+    let blockRead = Atomics.load(this.header, BLOCK_READ_INDEX);
+    if (blockWrite === blockRead) return;
+
+    const cap = this.ringCapacity;
+    const numCh = Atomics.load(this.header, CHANNEL_COUNT);
+    const channels = this.ringData.slice(0, numCh);
+    let read = Atomics.load(this.header, READ_INDEX);
+    while (blockRead !== blockWrite) {
+      const frame = this.blocks[blockRead * 2];
+      const length = this.blocks[blockRead * 2 + 1];
+      const firstPart = Math.min(length, cap - read);
+      this.sampleBus.write(channels.map(ch => ch.subarray(read, read + firstPart)), frame);
+      if (firstPart < length) {
+        this.sampleBus.write(channels.map(ch => ch.subarray(0, length - firstPart)), frame + firstPart);
       }
-      out.push(merged);
+      read = (read + length) % cap;
+      blockRead = (blockRead + 1) % this.blockSlots;
     }
-    this.channelDataBuffer = [];
-    return out;
+    // Hand the space back to the worklet only after the bus has copied it
+    Atomics.store(this.header, READ_INDEX, read);
+    Atomics.store(this.header, BLOCK_READ_INDEX, blockRead);
+  }
+
+  /**
+   * droppedFrames
+   * Frames the worklet discarded because the shared ring buffer was full.
+   */
+  get droppedFrames() {
+    return this.header ? Atomics.load(this.header, DROPPED_FRAMES) : 0;
   }
 
   connect(sourceNode) {
@@ -47,6 +130,20 @@ export class AudioSamplePuller {
     // AND route source → destination (so you still hear it)
     sourceNode.connect(this.audioContext.destination);
   }
+
+  disconnect() {
+    if (this.drainTimer) {
+      clearInterval(this.drainTimer);
+      this.drainTimer = null;
+    }
+    if (this.shared) {
+      this.sampleBus.setDrain(null);
+    }
+    if (this.node) {
+      this.node.port.onmessage = null;
+      this.node.disconnect();
+    }
+  }
 }
 
 export class MusicPlayer {
@@ -69,7 +166,9 @@ export class MusicPlayer {
     this.mediaSourceNode = null;
     this.gainNode = null;
     this.audioBufferInfo = null;
-    this.cachedSamples = null;
+    // The whole decoded track, for offline (retrospective) analysis
+    this.audioBuffer = null;
+    this.sampleBus = new SampleBus();
     this._buildUI();
 
     // load css
@@ -173,8 +272,9 @@ export class MusicPlayer {
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
     }
 
-    // 3) Decode for metadata
+    // 3) Decode for metadata, keeping the samples for offline analysis
     const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer.slice(0));
+    this.audioBuffer = audioBuffer;
     this.audioBufferInfo = {
       fileName: file.name,
       duration: audioBuffer.duration,
@@ -221,7 +321,7 @@ export class MusicPlayer {
     this.mediaSourceNode = this.audioContext.createMediaElementSource(this.audioElement);
 
     // 8) Instantiate AudioSamplePuller and tap raw signal
-    this.samplePuller = new AudioSamplePuller(this.audioContext, this.workletURL);
+    this.samplePuller = new AudioSamplePuller(this.audioContext, this.workletURL, this.sampleBus);
     await this.samplePuller.ready();
     this.mediaSourceNode.connect(this.samplePuller.node);
 
@@ -243,12 +343,28 @@ export class MusicPlayer {
   }
 
   _onScrub() {
-    if (this.audioElement) {
-      this.audioElement.currentTime = parseFloat(this.slider.value);
-      const currMMSS = this._formatTime(this.audioElement.currentTime);
-      const totalMMSS = this._formatTime(this.audioElement.duration);
-      this.timeDisplay.textContent = `${currMMSS} / ${totalMMSS}`;
-    }
+    this.seek(parseFloat(this.slider.value));
+  }
+
+  /**
+   * seek(time)
+   * Moves playback to `time` seconds, clamped to the track, and updates the controls.
+   */
+  seek(time) {
+    if (!this.audioElement) return;
+    const duration = this.audioElement.duration || (this.audioBuffer ? this.audioBuffer.duration : 0);
+    // Samples before and after the seek are not continuous audio
+    this._markSeek();
+    this.audioElement.currentTime = Math.min(Math.max(time, 0), duration);
+    this.slider.value = this.audioElement.currentTime;
+    const currMMSS = this._formatTime(this.audioElement.currentTime);
+    const totalMMSS = this._formatTime(duration);
+    this.timeDisplay.textContent = `${currMMSS} / ${totalMMSS}`;
+  }
+
+  _markSeek() {
+    const ctx = this.audioContext;
+    this.sampleBus.markDiscontinuity(Math.round(ctx.currentTime * ctx.sampleRate));
   }
 
   _togglePlayPause() {
@@ -265,6 +381,7 @@ export class MusicPlayer {
   stop() {
     if (!this.audioElement) return;
     this.audioElement.pause();
+    this._markSeek();
     this.audioElement.currentTime = 0;
     this.slider.value = 0;
     const totalMMSS = this._formatTime(this.audioElement.duration);
@@ -273,24 +390,12 @@ export class MusicPlayer {
   }
 
   /**
-   * pullAllSamples()
-   * Returns all PCM frames (all channels) since the last call,
-   * as [Float32Array_channel0, Float32Array_channel1, …].
-   * If none, returns null.
+   * subscribe()
+   * Returns a SampleBusReader whose pullAllSamples() yields every PCM frame
+   * captured from this player exactly once. Call unsubscribe() on it when done.
    */
-  pullAllSamples() {
-    if (!this.samplePuller) {
-      console.warn('MusicPlayer: samplePuller not initialized yet.');
-      return null;
-    }
-    if (this.cachedSamples) {
-      return this.cachedSamples.map(ch => ch.slice());
-    }
-    const fresh = this.samplePuller.pullSamples();
-    this.cachedSamples = fresh;
-    // Clear cache after current tick so next frame gets fresh samples
-    setTimeout(() => { this.cachedSamples = null; }, 0);
-    return fresh ? fresh.map(ch => ch.slice()) : null;
+  subscribe() {
+    return this.sampleBus.subscribe();
   }
 
   _cleanupAudio() {
@@ -304,14 +409,16 @@ export class MusicPlayer {
       this.mediaSourceNode = null;
     }
     if (this.samplePuller && this.audioContext) {
-      this.samplePuller.node.disconnect();
+      this.samplePuller.disconnect();
       this.samplePuller = null;
     }
+    this.sampleBus.reset();
     if (this.gainNode) {
       this.gainNode.disconnect();
       this.gainNode = null;
     }
     this.audioBufferInfo = null;
+    this.audioBuffer = null;
     this.playPauseBtn.disabled = true;
     this.playPauseBtn.textContent = 'Play';
     this.stopBtn.disabled = true;
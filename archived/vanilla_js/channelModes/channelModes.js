@@ -0,0 +1,71 @@
+// channelModes.js - Which channels of a source a visualizer looks at
+//
+// A channel mode turns the source's channels into the signals a visualizer
+// analyzes: a single derived signal (mono sum, left, right, mid, side) or
+// every channel, drawn overlaid or stacked in lanes.
+
+export const channelModes = {
+    mono: { label: 'Mono sum' },
+    left: { label: 'Left' },
+    right: { label: 'Right' },
+    mid: { label: 'Mid (L+R)/√2' },
+    side: { label: 'Side (L-R)/√2' },
+    overlay: { label: 'All (overlaid)', allChannels: true },
+    stacked: { label: 'All (stacked)', allChannels: true }
+};
+
+// Trace/lane colors by channel index
+export const channelColors = ['#4fc3f7', '#ff8a65', '#aed581', '#ffd54f', '#ba68c8', '#4db6ac', '#f06292', '#90a4ae'];
+
+/**
+ * channelLabels(mode, numChannels)
+ * Names of the signals deriveChannels() returns for this mode.
+ */
+export function channelLabels(mode, numChannels) {
+    if (!channelModes[mode].allChannels) return [channelModes[mode].label];
+    if (numChannels === 2) return ['L', 'R'];
+    return Array.from({ length: numChannels }, (_, ch) => `Ch ${ch + 1}`);
+}
+
+/**
+ * deriveChannels(channels, mode, begin = 0)
+ * Signals for `mode` from planar `channels`, starting at sample `begin`.
+ * Single-signal modes return one Float32Array; the all-channel modes return
+ * one per channel. Mono sources read as both left and right.
+ */
+export function deriveChannels(channels, mode, begin = 0) {
+    const numChannels = channels.length;
+    const length = Math.max(0, channels[0].length - begin);
+    const left = channels[0].subarray(begin);
+    const right = numChannels > 1 ? channels[1].subarray(begin) : left;
+
+    switch (mode) {
+        case 'left':
+            return [left];
+        case 'right':
+            return [right];
+        case 'mid':
+        case 'side': {
+            // Orthonormal M/S pair: unlike the mono sum, mid keeps the
+            // power of the channels, and mid² + side² = L² + R²
+            const sign = mode === 'mid' ? 1 : -1;
+            const out = new Float32Array(length);
+            for (let i = 0; i < length; i++) {
+                out[i] = (left[i] + sign * right[i]) * Math.SQRT1_2;
+            }
+            return [out];
+        }
+        case 'overlay':
+        case 'stacked':
+            return channels.map(ch => ch.subarray(begin));
+        default: {
+            const out = new Float32Array(length);
+            for (let ch = 0; ch < numChannels; ch++) {
+                const data = channels[ch];
+                for (let i = 0; i < length; i++) out[i] += data[begin + i];
+            }
+            for (let i = 0; i < length; i++) out[i] /= numChannels;
+            return [out];
+        }
+    }
+}
@@ -0,0 +1,38 @@
+// settingsControls.js - Builders for visualizer settings panels
+//
+// Visualizer settings are rows of labelled controls; these build the common
+// ones so every panel looks and behaves the same.
+
+/**
+ * makeRow(parent)
+ * Appends a new settings row to `parent` and returns it.
+ */
+export function makeRow(parent) {
+    const row = document.createElement('div');
+    parent.appendChild(row);
+    return row;
+}
+
+/**
+ * makeSelect(parent, text, options, current, onChange)
+ * Appends a labelled <select> to `parent` and returns it. `options` are
+ * [value, name] pairs; onChange gets the chosen pair's value as given, so
+ * numeric options arrive as numbers.
+ */
+export function makeSelect(parent, text, options, current, onChange) {
+    const label = document.createElement('label');
+    label.textContent = text;
+    label.style.marginRight = '8px';
+    const select = document.createElement('select');
+    for (const [value, name] of options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        if (value === current) option.selected = true;
+        select.appendChild(option);
+    }
+    select.addEventListener('change', () => onChange(options[select.selectedIndex][0]));
+    label.appendChild(select);
+    parent.appendChild(label);
+    return select;
+}
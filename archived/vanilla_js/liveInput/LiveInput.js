@@ -0,0 +1,305 @@
+import { AudioSamplePuller } from '../audioPlayer/audioPlayer.js';
+import { SampleBus } from '../audioPlayer/SampleBus.js';
+
+export class LiveInput {
+  /**
+   * @param {HTMLDivElement} containerDiv
+   *   The DIV where the live input UI should be created.
+   * @param {string} workletURL
+   *   Path/URL to 'sample-processor.js' (e.g. './sample-processor.js').
+   */
+  constructor(containerDiv, workletURL = 'sample-processor.js') {
+    if (!(containerDiv instanceof HTMLDivElement)) {
+      throw new Error('LiveInput: constructor argument must be a <div>.');
+    }
+    this.container = containerDiv;
+    this.container.classList.add('live-input-container');
+    this.workletURL = workletURL;
+    this.audioContext = null;
+    this.samplePuller = null;
+    this.stream = null;
+    this.streamSourceNode = null;
+    this.inputGainNode = null;
+    this.monitorGainNode = null;
+    this.streamInfo = null;
+    // The start() in progress, if any
+    this.starting = null;
+    this.sampleBus = new SampleBus();
+    this._buildUI();
+
+    // load css
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = './liveInput/styles.css';
+    document.head.appendChild(link);
+
+    if (navigator.mediaDevices) {
+      navigator.mediaDevices.addEventListener('devicechange', () => this._refreshDevices());
+      this._refreshDevices();
+    } else {
+      this.startBtn.disabled = true;
+      this.detailsPre.textContent = 'Live input is not supported in this browser.';
+    }
+  }
+
+  _buildUI() {
+    // — Device picker —
+    this.deviceContainer = document.createElement('div');
+    this.deviceContainer.classList.add('live-input-row');
+
+    const deviceLabel = document.createElement('label');
+    deviceLabel.textContent = 'Device';
+    deviceLabel.classList.add('live-input-label');
+    this.deviceContainer.appendChild(deviceLabel);
+
+    this.deviceSelect = document.createElement('select');
+    this.deviceSelect.classList.add('live-input-device-select');
+    this.deviceSelect.addEventListener('change', () => {
+      // Reopen the stream on the newly picked device
+      if (this.stream || this.starting) {
+        this.start().catch(e => this._onStartFailed(e));
+      }
+    });
+    this.deviceContainer.appendChild(this.deviceSelect);
+
+    this.container.appendChild(this.deviceContainer);
+
+    // — Start/Stop toggle & Monitor toggle —
+    this.controlsDiv = document.createElement('div');
+    this.controlsDiv.classList.add('live-input-controls');
+
+    this.startBtn = document.createElement('button');
+    this.startBtn.textContent = 'Start';
+    this.startBtn.classList.add('live-input-btn');
+    this.startBtn.addEventListener('click', () => {
+      if (this.stream) {
+        this.stop();
+      } else {
+        this.start().catch(e => this._onStartFailed(e));
+      }
+    });
+    this.controlsDiv.appendChild(this.startBtn);
+
+    this.monitorBtn = document.createElement('button');
+    this.monitorBtn.textContent = 'Monitor: Off';
+    this.monitorBtn.classList.add('live-input-btn');
+    this.monitorBtn.title = 'Play the input through the speakers (may cause feedback)';
+    this.monitoring = false;
+    this.monitorBtn.addEventListener('click', () => this.setMonitoring(!this.monitoring));
+    this.controlsDiv.appendChild(this.monitorBtn);
+
+    this.container.appendChild(this.controlsDiv);
+
+    // — Input gain slider —
+    this.gainContainer = document.createElement('div');
+    this.gainContainer.classList.add('live-input-row');
+
+    const gainLabel = document.createElement('label');
+    gainLabel.textContent = 'Gain';
+    gainLabel.classList.add('live-input-label');
+    this.gainContainer.appendChild(gainLabel);
+
+    this.gainSlider = document.createElement('input');
+    this.gainSlider.type = 'range';
+    this.gainSlider.min = 0;
+    this.gainSlider.max = 4;
+    this.gainSlider.step = 0.01;
+    this.gainSlider.value = 1;
+    this.gainSlider.classList.add('live-input-gain-slider');
+    this.gainSlider.addEventListener('input', () => {
+      if (this.inputGainNode) {
+        this.inputGainNode.gain.value = parseFloat(this.gainSlider.value);
+      }
+      this._updateGainDisplay();
+    });
+    this.gainContainer.appendChild(this.gainSlider);
+
+    this.gainDisplay = document.createElement('span');
+    this.gainDisplay.classList.add('live-input-gain-display');
+    this.gainContainer.appendChild(this.gainDisplay);
+    this._updateGainDisplay();
+
+    this.container.appendChild(this.gainContainer);
+
+    // — Details panel —
+    this.detailsPre = document.createElement('pre');
+    this.detailsPre.textContent = 'Input stopped.';
+    this.detailsPre.classList.add('live-input-details');
+    this.container.appendChild(this.detailsPre);
+  }
+
+  async _refreshDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const inputs = devices.filter(d => d.kind === 'audioinput');
+    const previous = this.deviceSelect.value;
+
+    this.deviceSelect.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Default';
+    this.deviceSelect.appendChild(defaultOption);
+
+    // Labels stay empty until the user has granted microphone permission
+    inputs.forEach((device, i) => {
+      if (!device.deviceId || device.deviceId === 'default') return;
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label || `Input ${i + 1}`;
+      this.deviceSelect.appendChild(option);
+    });
+
+    if ([...this.deviceSelect.options].some(o => o.value === previous)) {
+      this.deviceSelect.value = previous;
+    }
+  }
+
+  /**
+   * start()
+   * Opens the selected input device and starts capturing it. Calls made while
+   * a start is still in progress run after it, so only one stream ever feeds
+   * the bus. The returned promise rejects if the audio graph can't be set up.
+   */
+  start() {
+    const previous = this.starting || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this._start());
+    this.starting = run;
+    this.startBtn.disabled = true;
+    const done = () => {
+      if (this.starting !== run) return;
+      this.starting = null;
+      this.startBtn.disabled = false;
+    };
+    run.then(done, done);
+    return run;
+  }
+
+  _onStartFailed(e) {
+    console.warn('LiveInput: could not start input.', e);
+    // Don't leave a half-built graph, or the device, open
+    this._cleanupAudio();
+    this.detailsPre.textContent = `Could not start input: ${e.message}`;
+  }
+
+  async _start() {
+    this._cleanupAudio();
+
+    // 1) (Re)create AudioContext if needed
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    await this.audioContext.resume();
+
+    // 2) Open the input stream; disable voice processing so we analyze the raw signal
+    const deviceId = this.deviceSelect.value;
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          deviceId: deviceId ? { exact: deviceId } : undefined,
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false
+        }
+      });
+    } catch (e) {
+      console.warn('LiveInput: could not open input device.', e);
+      this.detailsPre.textContent = `Could not open input: ${e.message}`;
+      return;
+    }
+
+    // 3) Device labels become available once permission is granted
+    await this._refreshDevices();
+    const track = this.stream.getAudioTracks()[0];
+    const trackSettings = track.getSettings();
+    if (trackSettings.deviceId) this.deviceSelect.value = trackSettings.deviceId;
+    this.streamInfo = {
+      deviceLabel: track.label,
+      sampleRate: this.audioContext.sampleRate,
+      numberOfChannels: trackSettings.channelCount || 1
+    };
+    track.addEventListener('ended', () => this.stop());
+
+    // 4) Create MediaStreamSourceNode and input gain
+    this.streamSourceNode = this.audioContext.createMediaStreamSource(this.stream);
+    this.inputGainNode = this.audioContext.createGain();
+    this.inputGainNode.gain.value = parseFloat(this.gainSlider.value);
+    this.streamSourceNode.connect(this.inputGainNode);
+
+    // 5) Instantiate AudioSamplePuller and tap the gained signal
+    this.samplePuller = new AudioSamplePuller(this.audioContext, this.workletURL, this.sampleBus);
+    await this.samplePuller.ready();
+    this.inputGainNode.connect(this.samplePuller.node);
+
+    // 6) Monitor path to destination, muted unless monitoring is on
+    this.monitorGainNode = this.audioContext.createGain();
+    this.monitorGainNode.gain.value = this.monitoring ? 1 : 0;
+    this.inputGainNode.connect(this.monitorGainNode);
+    this.monitorGainNode.connect(this.audioContext.destination);
+
+    this.startBtn.textContent = 'Stop';
+    this._updateDetails();
+  }
+
+  stop() {
+    this._cleanupAudio();
+  }
+
+  setMonitoring(enabled) {
+    this.monitoring = enabled;
+    this.monitorBtn.textContent = enabled ? 'Monitor: On' : 'Monitor: Off';
+    this.monitorBtn.classList.toggle('active', enabled);
+    if (this.monitorGainNode) {
+      this.monitorGainNode.gain.value = enabled ? 1 : 0;
+    }
+  }
+
+  _updateGainDisplay() {
+    const gain = parseFloat(this.gainSlider.value);
+    const db = 20 * Math.log10(gain);
+    this.gainDisplay.textContent = Number.isFinite(db) ? `${db.toFixed(1)} dB` : '-∞ dB';
+  }
+
+  _updateDetails() {
+    if (!this.streamInfo) return;
+    const { deviceLabel, sampleRate, numberOfChannels } = this.streamInfo;
+    this.detailsPre.textContent =
+      `Device: ${deviceLabel || 'Unknown'}\n` +
+      `Sample Rate: ${sampleRate} Hz\n` +
+      `Channels: ${numberOfChannels}`;
+  }
+
+  /**
+   * subscribe()
+   * Returns a SampleBusReader whose pullAllSamples() yields every PCM frame
+   * captured from this input exactly once. Call unsubscribe() on it when done.
+   */
+  subscribe() {
+    return this.sampleBus.subscribe();
+  }
+
+  _cleanupAudio() {
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this.streamSourceNode) {
+      this.streamSourceNode.disconnect();
+      this.streamSourceNode = null;
+    }
+    if (this.inputGainNode) {
+      this.inputGainNode.disconnect();
+      this.inputGainNode = null;
+    }
+    if (this.samplePuller && this.audioContext) {
+      this.samplePuller.disconnect();
+      this.samplePuller = null;
+    }
+    this.sampleBus.reset();
+    if (this.monitorGainNode) {
+      this.monitorGainNode.disconnect();
+      this.monitorGainNode = null;
+    }
+    this.streamInfo = null;
+    this.startBtn.textContent = 'Start';
+    this.detailsPre.textContent = 'Input stopped.';
+  }
+}
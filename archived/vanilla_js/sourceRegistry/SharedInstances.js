@@ -0,0 +1,61 @@
+// SharedInstances.js - Reference-counted objects shared per source and settings
+//
+// Analyses that visualizers acquire (STFTAnalyzer, RhythmTracker,
+// FeatureExtractor, ...) are shared by everyone asking for the same source
+// and settings, so each runs once however many canvases use it. A
+// SharedInstances keeps one such family: it creates an instance on the first
+// acquire() and tells the owner when the last holder has released it.
+
+export class SharedInstances {
+    /**
+     * @param {(source, settings) => object} create
+     *   Builds a new instance for a source and its (resolved) settings.
+     */
+    constructor(create) {
+        this.create = create;
+        // source -> Map(settingsKey -> instance)
+        this.bySource = new Map();
+        // instance -> { source, key, refCount }
+        this.entries = new Map();
+    }
+
+    /**
+     * acquire(source, settings)
+     * Returns the instance for this source and settings, creating it if
+     * needed. Settings are compared by their JSON, so give them in a fixed
+     * key order. Every acquire() must be paired with a release().
+     */
+    acquire(source, settings) {
+        const key = JSON.stringify(settings);
+        let bySettings = this.bySource.get(source);
+        if (!bySettings) {
+            bySettings = new Map();
+            this.bySource.set(source, bySettings);
+        }
+        let instance = bySettings.get(key);
+        if (!instance) {
+            instance = this.create(source, settings);
+            bySettings.set(key, instance);
+            this.entries.set(instance, { source, key, refCount: 0 });
+        }
+        this.entries.get(instance).refCount++;
+        return instance;
+    }
+
+    /**
+     * release(instance)
+     * Drops one reference. Returns true when that was the last one: the
+     * instance is forgotten, and the caller should dispose of it. Releasing
+     * an instance that is already gone does nothing, so a stray extra call
+     * can't unregister a successor created for the same settings.
+     */
+    release(instance) {
+        const entry = this.entries.get(instance);
+        if (!entry || --entry.refCount > 0) return false;
+        this.entries.delete(instance);
+        const bySettings = this.bySource.get(entry.source);
+        bySettings.delete(entry.key);
+        if (bySettings.size === 0) this.bySource.delete(entry.source);
+        return true;
+    }
+}
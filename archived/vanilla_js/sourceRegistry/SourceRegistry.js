@@ -0,0 +1,49 @@
+// SourceRegistry.js - Named audio inputs that visualizers can be bound to
+//
+// Every input (file player, live input, generator, ...) registers itself here
+// under a unique id. A registered source must expose subscribe(), returning a
+// reader with pullAllSamples() and unsubscribe().
+// Listeners get a 'sourcesChanged' event whenever the set of sources changes.
+
+export class SourceRegistry extends EventTarget {
+    constructor() {
+        super();
+        // id -> { id, label, source }
+        this.sources = new Map();
+    }
+
+    register(id, label, source) {
+        if (this.sources.has(id)) {
+            throw new Error(`SourceRegistry: source "${id}" is already registered.`);
+        }
+        if (typeof source.subscribe !== 'function') {
+            throw new Error(`SourceRegistry: source "${id}" has no subscribe() function.`);
+        }
+        this.sources.set(id, { id, label, source });
+        this.dispatchEvent(new CustomEvent('sourcesChanged', { detail: { action: 'register', id } }));
+    }
+
+    unregister(id) {
+        if (!this.sources.delete(id)) return;
+        this.dispatchEvent(new CustomEvent('sourcesChanged', { detail: { action: 'unregister', id } }));
+    }
+
+    has(id) {
+        return this.sources.has(id);
+    }
+
+    get(id) {
+        const entry = this.sources.get(id);
+        return entry ? entry.source : null;
+    }
+
+    // First registered source, used when a canvas has nothing else to bind to
+    get defaultId() {
+        const first = this.sources.keys().next();
+        return first.done ? null : first.value;
+    }
+
+    list() {
+        return [...this.sources.values()];
+    }
+}
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CQT, cqtFrequencies, noteName } from '../CQT/CQT.js';
+import { sine, assertClose } from './helpers.js';
+
+const SAMPLE_RATE = 48000;
+
+// Feeds `samples` in blocks and returns the last frame's magnitudes
+function lastFrame(cqt, samples, blockSize = 4096) {
+    const mags = new Float32Array(cqt.binCount);
+    let frames = 0;
+    for (let offset = 0; offset < samples.length; offset += blockSize) {
+        cqt.append(samples.subarray(offset, offset + blockSize));
+        while (cqt.readFrame(mags)) frames++;
+    }
+    assert.ok(frames > 0, 'no frames read');
+    return mags;
+}
+
+test('bins sit on the semitones of the tuning', () => {
+    const freqs = cqtFrequencies({ binsPerOctave: 12, minFreq: 220, maxFreq: 880, tuning: 440 });
+    assert.equal(freqs.length, 25);
+    assertClose(freqs[12], 440, 1e-3, 'A4');
+    assert.equal(noteName(261.63).name, 'C4');
+});
+
+test('an on-bin sine reads its amplitude in every octave', () => {
+    for (const binsPerOctave of [12, 36]) {
+        const cqt = new CQT(SAMPLE_RATE, { binsPerOctave, minFreq: 32.7, maxFreq: 4186, hopSize: 1024 });
+        // One tone near the top, one in the lowest octave
+        const high = cqt.binCount - 5;
+        const low = 2;
+        const signal = sine(cqt.frequencies[high], SAMPLE_RATE, 3 * SAMPLE_RATE, 0.5);
+        const bass = sine(cqt.frequencies[low], SAMPLE_RATE, 3 * SAMPLE_RATE, 0.25);
+        for (let i = 0; i < signal.length; i++) signal[i] += bass[i];
+
+        const mags = lastFrame(cqt, signal);
+        assertClose(mags[high], 0.5, 0.005, `high bin (${binsPerOctave}/oct)`);
+        assertClose(mags[low], 0.25, 0.005, `low bin (${binsPerOctave}/oct)`);
+        // Far from both tones, only the kernels' sidelobes remain
+        assert.ok(mags[Math.floor(cqt.binCount / 2)] < 1e-3);
+    }
+});
+
+test('fine resolution down to C0 stays cheap to build and run', () => {
+    const start = performance.now();
+    const cqt = new CQT(SAMPLE_RATE, { binsPerOctave: 48, minFreq: 16.35, maxFreq: 4186, hopSize: 256 });
+    const mags = lastFrame(cqt, sine(cqt.frequencies[0], SAMPLE_RATE, 5 * SAMPLE_RATE));
+    assertClose(mags[0], 1, 0.01, 'C0');
+    // Each kernel spans at most a few thousand samples of its octave's rate
+    assert.ok(cqt.frameSize <= 2048);
+    assert.ok(performance.now() - start < 5000);
+});
+
+test('frames do not depend on how the input is split into blocks', () => {
+    const settings = { binsPerOctave: 12, minFreq: 65.4, maxFreq: 2093, hopSize: 512 };
+    const signal = sine(1000, SAMPLE_RATE, SAMPLE_RATE);
+    const whole = new CQT(SAMPLE_RATE, settings);
+    const small = new CQT(SAMPLE_RATE, settings);
+    const a = lastFrame(whole, signal, signal.length);
+    const b = lastFrame(small, signal, 100);
+    assert.equal(whole.nextFrame, small.nextFrame);
+    assert.deepEqual(a, b);
+});
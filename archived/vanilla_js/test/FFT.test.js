@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FFT, BluesteinPlan } from '../FFT/FFT.js';
+import { noise, assertAllClose } from './helpers.js';
+
+// Direct O(n²) DFT, X[k] = Σ x[t] e^{-2πikt/n}
+function dft(re, im) {
+    const n = re.length;
+    const outRe = new Float64Array(n);
+    const outIm = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+        for (let t = 0; t < n; t++) {
+            const angle = (-2 * Math.PI * ((k * t) % n)) / n;
+            outRe[k] += re[t] * Math.cos(angle) - im[t] * Math.sin(angle);
+            outIm[k] += re[t] * Math.sin(angle) + im[t] * Math.cos(angle);
+        }
+    }
+    return [outRe, outIm];
+}
+
+test('radix-2 forward matches the direct DFT', () => {
+    const re = noise(64, 1);
+    const im = noise(64, 2);
+    const [expectRe, expectIm] = dft(re, im);
+    FFT.fft_in_place(re, im);
+    assertAllClose(re, expectRe, 1e-9, 're');
+    assertAllClose(im, expectIm, 1e-9, 'im');
+});
+
+test('Bluestein forward matches the direct DFT', () => {
+    for (const n of [3, 12, 100, 257]) {
+        const plan = FFT.plan(n);
+        assert.ok(plan instanceof BluesteinPlan);
+        const re = noise(n, n);
+        const im = noise(n, n + 1);
+        const [expectRe, expectIm] = dft(re, im);
+        plan.forward(re, im);
+        assertAllClose(re, expectRe, 1e-8, `re (n=${n})`);
+        assertAllClose(im, expectIm, 1e-8, `im (n=${n})`);
+    }
+});
+
+test('complex inverse undoes forward', () => {
+    for (const n of [1, 2, 256, 100]) {
+        const re = noise(n, 3);
+        const im = noise(n, 4);
+        const copyRe = re.slice();
+        const copyIm = im.slice();
+        FFT.fft_in_place(re, im);
+        FFT.ifft_in_place(re, im);
+        assertAllClose(re, copyRe, 1e-10, `re (n=${n})`);
+        assertAllClose(im, copyIm, 1e-10, `im (n=${n})`);
+    }
+});
+
+test('real plan matches the complex transform and round-trips', () => {
+    for (const n of [256, 90, 75]) {
+        const input = noise(n, 5);
+        const plan = FFT.realPlan(n);
+        const outRe = new Float64Array(plan.binCount);
+        const outIm = new Float64Array(plan.binCount);
+        plan.forward(input, outRe, outIm);
+
+        const [expectRe, expectIm] = dft(input, new Float64Array(n));
+        assertAllClose(outRe, expectRe.slice(0, plan.binCount), 1e-9, `re (n=${n})`);
+        assertAllClose(outIm, expectIm.slice(0, plan.binCount), 1e-9, `im (n=${n})`);
+
+        const output = new Float64Array(n);
+        plan.inverse(outRe, outIm, output);
+        assertAllClose(output, input, 1e-10, `round trip (n=${n})`);
+    }
+});
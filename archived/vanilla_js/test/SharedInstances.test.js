@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SharedInstances } from '../sourceRegistry/SharedInstances.js';
+
+function family() {
+    let created = 0;
+    return new SharedInstances((source, settings) => ({ source, settings, serial: created++ }));
+}
+
+test('same source and settings share one instance', () => {
+    const instances = family();
+    const source = {};
+    const a = instances.acquire(source, { size: 1 });
+    assert.equal(instances.acquire(source, { size: 1 }), a);
+    assert.notEqual(instances.acquire(source, { size: 2 }), a);
+    assert.notEqual(instances.acquire({}, { size: 1 }), a);
+});
+
+test('only the last release disposes', () => {
+    const instances = family();
+    const source = {};
+    const a = instances.acquire(source, {});
+    instances.acquire(source, {});
+    assert.equal(instances.release(a), false);
+    assert.equal(instances.release(a), true);
+    assert.equal(instances.bySource.size, 0);
+});
+
+test('a stray extra release leaves a successor alone', () => {
+    const instances = family();
+    const source = {};
+    const a = instances.acquire(source, {});
+    assert.equal(instances.release(a), true);
+    const b = instances.acquire(source, {});
+    assert.notEqual(b, a);
+    assert.equal(instances.release(a), false);
+    assert.equal(instances.acquire(source, {}), b);
+});
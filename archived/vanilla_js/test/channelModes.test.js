@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveChannels } from '../channelModes/channelModes.js';
+import { noise, assertAllClose } from './helpers.js';
+
+test('mono averages, mid and side are an orthonormal pair', () => {
+    const left = Float32Array.from(noise(32, 1));
+    const right = Float32Array.from(noise(32, 2));
+    const [mono] = deriveChannels([left, right], 'mono');
+    const [mid] = deriveChannels([left, right], 'mid');
+    const [side] = deriveChannels([left, right], 'side');
+    for (let i = 0; i < left.length; i++) {
+        assert.ok(Math.abs(mono[i] - (left[i] + right[i]) / 2) < 1e-6);
+        assert.ok(Math.abs(mid[i] - (left[i] + right[i]) / Math.SQRT2) < 1e-6);
+        const power = left[i] ** 2 + right[i] ** 2;
+        assert.ok(Math.abs(mid[i] ** 2 + side[i] ** 2 - power) < 1e-5);
+    }
+});
+
+test('a mono source reads as both left and right', () => {
+    const only = Float32Array.from(noise(8, 3));
+    assertAllClose(deriveChannels([only], 'right', 2)[0], only.subarray(2), 0, 'right');
+    assertAllClose(deriveChannels([only], 'side')[0], new Float32Array(8), 0, 'side');
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChromaExtractor } from '../Chroma/chroma.js';
+import { estimateKey } from '../Chroma/key.js';
+import { ChordTracker, chordLabels, chordSimilarities, NO_CHORD } from '../Chroma/chords.js';
+import { FFT } from '../FFT/FFT.js';
+import { makeWindow, coherentGain } from '../FFT/windows.js';
+import { sine, assertClose } from './helpers.js';
+
+const SAMPLE_RATE = 48000;
+const FFT_SIZE = 8192;
+
+// Chroma vector with weight 1 on each pitch class
+function pitchClasses(...classes) {
+    const chroma = new Float32Array(12);
+    for (const pc of classes) chroma[pc] = 1;
+    return chroma;
+}
+
+// Magnitude spectrum of MIDI notes with four harmonics each, on a grid
+// tuned `cents` away from A4 = 440 Hz
+function chordSpectrum(notes, cents) {
+    const plan = FFT.realPlan(FFT_SIZE);
+    const window = makeWindow('hann', FFT_SIZE);
+    const signal = new Float32Array(FFT_SIZE);
+    notes.forEach((note, n) => {
+        const frequency = 440 * 2 ** ((note - 69) / 12 + cents / 1200);
+        for (let h = 1; h <= 4; h++) {
+            const partial = sine(frequency * h, SAMPLE_RATE, FFT_SIZE, 0.2 / h, n + h);
+            for (let i = 0; i < FFT_SIZE; i++) signal[i] += partial[i];
+        }
+    });
+    for (let i = 0; i < FFT_SIZE; i++) signal[i] *= window[i];
+    const re = new Float32Array(plan.binCount);
+    const im = new Float32Array(plan.binCount);
+    plan.forward(signal, re, im);
+    const scale = 2 / (coherentGain(window) * FFT_SIZE);
+    return re.map((r, k) => Math.hypot(r, im[k]) * scale);
+}
+
+test('a triad matches its own template best', () => {
+    const similarities = new Float32Array(chordLabels.length);
+    for (const [label, classes] of [['C', [0, 4, 7]], ['Am', [9, 0, 4]], ['F#', [6, 10, 1]], ['Ebm', [3, 6, 10]]]) {
+        chordSimilarities(pitchClasses(...classes), similarities);
+        const best = similarities.indexOf(Math.max(...similarities));
+        assert.equal(chordLabels[best], label);
+        assertClose(similarities[best], 1, 1e-6, `${label} similarity`);
+    }
+    // A lone note is no triad
+    chordSimilarities(pitchClasses(2), similarities);
+    assert.equal(similarities.indexOf(Math.max(...similarities)), NO_CHORD);
+});
+
+test('key profiles pick the scale\'s tonic and mode', () => {
+    // Diatonic scales with tonic triads weighted up
+    const cMajor = pitchClasses(0, 2, 4, 5, 7, 9, 11);
+    for (const pc of [0, 4, 7]) cMajor[pc] += 1;
+    assert.equal(estimateKey(cMajor).name, 'C major');
+
+    const aMinor = pitchClasses(9, 11, 0, 2, 4, 5, 7);
+    for (const pc of [9, 0, 4]) aMinor[pc] += 1;
+    assert.equal(estimateKey(aMinor).name, 'A minor');
+
+    const rotated = new Float32Array(12);
+    for (let i = 0; i < 12; i++) rotated[(i + 7) % 12] = cMajor[i];
+    const key = estimateKey(rotated);
+    assert.equal(key.name, 'G major');
+    assert.ok(key.correlation > 0.8);
+
+    assert.equal(estimateKey(new Float32Array(12).fill(1)), null);
+});
+
+test('chroma follows detuned material', () => {
+    const cents = 20;
+    const mags = chordSpectrum([60, 64, 67], cents);
+    const extractor = new ChromaExtractor(mags.length, SAMPLE_RATE / FFT_SIZE);
+    for (let i = 0; i < 50; i++) extractor.updateTuning(mags, 0.1);
+    assertClose(extractor.tuningCents, cents, 3, 'tuning (cents)');
+
+    const chroma = new Float32Array(12);
+    extractor.compute(mags, chroma);
+    const similarities = chordSimilarities(chroma, new Float32Array(chordLabels.length));
+    assert.equal(chordLabels[similarities.indexOf(Math.max(...similarities))], 'C');
+});
+
+test('the tracker settles on each chord and rides out a stray frame', () => {
+    const lag = 8;
+    const tracker = new ChordTracker({ lag });
+    const progression = [['C', [0, 4, 7]], ['Am', [9, 0, 4]], ['F', [5, 9, 0]], ['G', [7, 11, 2]]];
+    const settled = [];
+    progression.forEach(([, classes], c) => {
+        const stray = pitchClasses(...progression[(c + 1) % progression.length][1]);
+        for (let f = 0; f < 12; f++) {
+            const path = tracker.push(f === 5 ? stray : pitchClasses(...classes));
+            settled.push(chordLabels[path[0]]);
+        }
+    });
+    for (let f = 0; f < 12; f++) settled.push(chordLabels[tracker.push(null, true)[0]]);
+
+    // path[0] trails the newest frame by lag - 1 frames
+    const labels = settled.slice(lag - 1);
+    const expected = progression.flatMap(([label]) => new Array(12).fill(label));
+    assert.deepEqual(labels.slice(0, expected.length), expected);
+    assert.equal(labels[labels.length - 1], 'N');
+
+    tracker.reset();
+    assert.deepEqual(tracker.push(pitchClasses(7, 11, 2)).map(s => chordLabels[s]), ['G']);
+});
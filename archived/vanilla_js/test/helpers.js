@@ -0,0 +1,39 @@
+// helpers.js - Signal generators and comparisons shared by the tests
+
+import assert from 'node:assert/strict';
+
+// Deterministic uniform noise in [-1, 1) (mulberry32)
+export function noise(length, seed = 1) {
+    const out = new Float64Array(length);
+    let state = seed >>> 0;
+    for (let i = 0; i < length; i++) {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        out[i] = ((t ^ (t >>> 14)) >>> 0) / 2147483648 - 1;
+    }
+    return out;
+}
+
+export function sine(frequency, sampleRate, length, amplitude = 1, phase = 0) {
+    const out = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        out[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate + phase);
+    }
+    return out;
+}
+
+export function assertClose(actual, expected, tolerance, message) {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        `${message ?? 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+}
+
+export function assertAllClose(actual, expected, tolerance, message) {
+    assert.equal(actual.length, expected.length, `${message ?? 'array'}: length`);
+    for (let i = 0; i < expected.length; i++) {
+        assertClose(actual[i], expected[i], tolerance, `${message ?? 'array'}[${i}]`);
+    }
+}
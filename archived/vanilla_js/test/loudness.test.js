@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoudnessMeter } from '../LoudnessVisualizer/loudness.js';
+import { sine, assertClose } from './helpers.js';
+
+const SAMPLE_RATE = 48000;
+
+function dbToGain(db) {
+    return 10 ** (db / 20);
+}
+
+test('a 0 dBFS 997 Hz sine on both channels reads 0 LUFS', () => {
+    const tone = sine(997, SAMPLE_RATE, 5 * SAMPLE_RATE);
+    const meter = new LoudnessMeter(SAMPLE_RATE, 2);
+    meter.process([tone, tone]);
+    assertClose(meter.momentary, 0, 0.05, 'momentary');
+    assertClose(meter.shortTerm, 0, 0.05, 'short-term');
+    assertClose(meter.integrated, 0, 0.1, 'integrated');
+});
+
+test('the absolute gate drops silence from integrated loudness', () => {
+    const meter = new LoudnessMeter(SAMPLE_RATE, 1);
+    meter.process([sine(997, SAMPLE_RATE, 10 * SAMPLE_RATE, dbToGain(-20))]);
+    meter.process([new Float32Array(10 * SAMPLE_RATE)]);
+    // One channel reads 3 dB below the stereo pair
+    assertClose(meter.integrated, -23, 0.15, 'integrated');
+});
+
+test('loudness range spans two plateaus 10 LU apart', () => {
+    const meter = new LoudnessMeter(SAMPLE_RATE, 1);
+    meter.process([sine(997, SAMPLE_RATE, 20 * SAMPLE_RATE, dbToGain(-30))]);
+    meter.process([sine(997, SAMPLE_RATE, 20 * SAMPLE_RATE, dbToGain(-20))]);
+    assertClose(meter.loudnessRange, 10, 0.2, 'LRA');
+});
+
+test('restart keeps integrated loudness but refills the windows', () => {
+    const meter = new LoudnessMeter(SAMPLE_RATE, 1);
+    meter.process([sine(997, SAMPLE_RATE, 5 * SAMPLE_RATE, dbToGain(-20))]);
+    const integrated = meter.integrated;
+    meter.restart();
+    assert.equal(meter.momentary, -Infinity);
+    assert.equal(meter.integrated, integrated);
+});
+
+test('true peak finds the crest between samples of a 45° fs/4 sine', () => {
+    const meter = new LoudnessMeter(SAMPLE_RATE, 1);
+    const amplitude = 0.5;
+    const tone = sine(SAMPLE_RATE / 4, SAMPLE_RATE, SAMPLE_RATE / 10, amplitude, Math.PI / 4);
+    // Skip the interpolator's ringing at the abrupt start
+    meter.process([tone.subarray(0, 100)]);
+    meter.takeChannelLevels();
+    meter.process([tone.subarray(100)]);
+    const [levels] = meter.takeChannelLevels();
+    assertClose(levels.peak, amplitude * Math.SQRT1_2, 1e-6, 'sample peak');
+    assertClose(20 * Math.log10(levels.truePeak / amplitude), 0, 0.05, 'true peak (dB)');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMidiFile } from '../PianoRollVisualizer/midiFile.js';
+import { assertClose } from './helpers.js';
+
+function u32(n) {
+    return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+}
+
+function chunk(id, bytes) {
+    return [...id].map(c => c.charCodeAt(0)).concat(u32(bytes.length), bytes);
+}
+
+function smf(format, division, tracks) {
+    const header = chunk('MThd', [0, format, 0, tracks.length, division >> 8, division & 0xff]);
+    return Uint8Array.from(header.concat(...tracks.map(t => chunk('MTrk', t)))).buffer;
+}
+
+const END_OF_TRACK = [0x00, 0xff, 0x2f, 0x00];
+
+test('notes pair up and follow the tempo map across tracks', () => {
+    const tempoTrack = [
+        // 100 bpm for the first beat, 60 bpm after it
+        0x00, 0xff, 0x51, 0x03, 0x09, 0x27, 0xc0,
+        0x83, 0x60, 0xff, 0x51, 0x03, 0x0f, 0x42, 0x40,
+        ...END_OF_TRACK
+    ];
+    const noteTrack = [
+        0x00, 0x90, 60, 100,
+        // Running status: a second note-on, then note-offs as velocity 0
+        0x00, 64, 90,
+        0x83, 0x60, 60, 0,
+        0x83, 0x60, 0x80, 64, 0,
+        ...END_OF_TRACK
+    ];
+    const { notes, duration } = parseMidiFile(smf(1, 480, [tempoTrack, noteTrack]));
+    assert.deepEqual(notes.map(n => [n.note, n.velocity, n.channel]), [[60, 100, 0], [64, 90, 0]]);
+    assertClose(notes[0].start, 0, 1e-9, 'C4 start');
+    assertClose(notes[0].end, 0.6, 1e-9, 'C4 end');
+    assertClose(notes[1].end, 0.6 + 1, 1e-9, 'E4 end');
+    assertClose(duration, 1.6, 1e-9, 'duration');
+});
+
+test('meta and sysex events cancel running status', () => {
+    for (const event of [[0xff, 0x01, 0x01, 0x41], [0xf0, 0x02, 0x7e, 0xf7]]) {
+        const track = [0x00, 0x90, 60, 100, 0x00, ...event, 0x00, 60, 0, ...END_OF_TRACK];
+        assert.throws(() => parseMidiFile(smf(0, 480, [track])), /running status/);
+    }
+});
+
+test('format 2 files are rejected', () => {
+    assert.throws(() => parseMidiFile(smf(2, 480, [END_OF_TRACK])), /format 2/);
+});
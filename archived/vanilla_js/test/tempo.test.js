@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTempo, BeatTracker } from '../Rhythm/tempo.js';
+import { OnsetDetector } from '../Rhythm/onsets.js';
+import { noise } from './helpers.js';
+
+const FRAME_RATE = 48000 / 512;
+
+// Onset envelope of decaying pulses on every beat and, `offbeat` as loud,
+// halfway between them, over a faint noise floor
+function pulseTrain(bpm, seconds, offbeat = 0) {
+    const length = Math.round(seconds * FRAME_RATE);
+    const floor = noise(length, bpm);
+    const period = (60 * FRAME_RATE) / bpm;
+    const envelope = new Float32Array(length);
+    for (let t = 0; t < length; t++) {
+        const phase = (t / period) % 1;
+        const offPhase = (phase + 0.5) % 1;
+        envelope[t] = Math.exp(-phase * period / 2) + offbeat * Math.exp(-offPhase * period / 2) + 0.01 * Math.abs(floor[t]);
+    }
+    return envelope;
+}
+
+function assertBpm(actual, expected, message) {
+    assert.ok(actual && Math.abs(actual.bpm - expected) / expected < 0.02,
+        `${message}: expected ${expected} bpm, got ${actual ? actual.bpm.toFixed(1) : 'none'}`);
+}
+
+test('a pulse train reads its tempo across the range', () => {
+    for (let bpm = 60; bpm <= 200; bpm += 10) {
+        assertBpm(estimateTempo(pulseTrain(bpm, 6), FRAME_RATE), bpm, 'pulses');
+        assertBpm(estimateTempo(pulseTrain(bpm, 6, 0.4), FRAME_RATE), bpm, 'pulses with off-beats');
+    }
+});
+
+test('the tempo range bounds the estimate', () => {
+    // Only the off-beats give a 100 bpm pattern a period at 200 bpm
+    assertBpm(estimateTempo(pulseTrain(100, 6, 0.4), FRAME_RATE, 150, 250), 200, 'doubled into range');
+    assertBpm(estimateTempo(pulseTrain(180, 6), FRAME_RATE, 60, 120), 90, 'halved into range');
+});
+
+test('a flat envelope has no tempo', () => {
+    assert.equal(estimateTempo(new Float32Array(600), FRAME_RATE), null);
+});
+
+test('onset flux of a drum pattern reads its tempo', () => {
+    const bins = 256;
+    const bpm = 128;
+    const period = (60 * FRAME_RATE) / bpm;
+    const detector = new OnsetDetector(bins, FRAME_RATE);
+    const floor = noise(bins * Math.round(8 * FRAME_RATE), 3);
+    const envelope = [];
+    for (let t = 0; t < 8 * FRAME_RATE; t++) {
+        const phase = (t / period) % 1;
+        const kick = Math.exp(-phase * period / 2);
+        const hat = 0.1 * Math.exp(-((phase + 0.5) % 1) * period);
+        const mags = new Float32Array(bins);
+        for (let k = 0; k < bins; k++) {
+            mags[k] = 0.001 * Math.abs(floor[t * bins + k]) + (k < 150 ? kick / 2 : 0) + (k > 100 ? hat : 0);
+        }
+        envelope.push(detector.push(mags).flux);
+    }
+    assertBpm(estimateTempo(envelope.slice(-Math.round(6 * FRAME_RATE)), FRAME_RATE), bpm, 'drums');
+});
+
+test('beats land on the pulses one period apart', () => {
+    const bpm = 120;
+    const period = (60 * FRAME_RATE) / bpm;
+    const tracker = new BeatTracker(FRAME_RATE);
+    tracker.setTempo(bpm);
+    const beats = [];
+    for (const strength of pulseTrain(bpm, 10, 0.4)) {
+        const beat = tracker.push(strength);
+        if (beat !== null) beats.push(beat);
+    }
+    assert.ok(beats.length >= 15, `${beats.length} beats`);
+    for (const beat of beats.slice(2)) {
+        const offset = (beat / period) % 1;
+        assert.ok(Math.min(offset, 1 - offset) * period <= 1, `beat at frame ${beat} is off the pulses`);
+    }
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { YinPitchDetector } from '../PitchDetector/yin.js';
+import { sine, noise, assertClose } from './helpers.js';
+
+const SAMPLE_RATE = 48000;
+
+function cents(frequency, reference) {
+    return 1200 * Math.log2(frequency / reference);
+}
+
+test('a sine reads its frequency', () => {
+    const detector = new YinPitchDetector(SAMPLE_RATE, { minFreq: 50 });
+    for (const frequency of [55, 110, 261.63, 443.2, 1046.5, 1760]) {
+        const result = detector.detect(sine(frequency, SAMPLE_RATE, detector.frameSize, 0.5));
+        assert.ok(result, `${frequency} Hz not detected`);
+        assertClose(cents(result.frequency, frequency), 0, 1, `${frequency} Hz (cents)`);
+        assert.ok(result.confidence > 0.9);
+    }
+});
+
+test('a harmonic tone reads its fundamental, not an overtone', () => {
+    const detector = new YinPitchDetector(SAMPLE_RATE, { minFreq: 50 });
+    const frequency = 196;
+    const tone = new Float32Array(detector.frameSize);
+    for (let h = 1; h <= 5; h++) {
+        const partial = sine(frequency * h, SAMPLE_RATE, tone.length, 1 / h, h);
+        for (let i = 0; i < tone.length; i++) tone[i] += partial[i];
+    }
+    const result = detector.detect(tone);
+    assertClose(cents(result.frequency, frequency), 0, 2, 'G3 (cents)');
+});
+
+test('noise has no pitch', () => {
+    const detector = new YinPitchDetector(SAMPLE_RATE, { minFreq: 50 });
+    assert.equal(detector.detect(noise(detector.frameSize, 7)), null);
+});
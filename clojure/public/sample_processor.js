@@ -1,9 +1,53 @@
 // AudioWorkletProcessor for capturing audio samples in real-time
 // This runs on the audio thread and sends samples back to the main thread
+//
+// Every block is tagged with the audio-context frame index (currentFrame) of
+// its first sample.
+//
+// Transport is chosen from processorOptions:
+// - ring: { header, data, blocks, capacity, blockSlots, maxChannels } selects
+//   a lock-free SharedArrayBuffer ring buffer. header is an Int32Array over
+//   [writeIndex, readIndex, channelCount, droppedFrames, blockWriteIndex,
+//   blockReadIndex]; data holds maxChannels planar regions of capacity floats;
+//   blocks is a Float64Array ring of blockSlots [startFrame, length] records.
+//   The worklet only writes writeIndex/channelCount/droppedFrames/
+//   blockWriteIndex, the main thread only readIndex/blockReadIndex.
+//   Requires a cross-origin isolated page.
+// - otherwise, batched postMessage: batchQuanta contiguous render quanta
+//   (default 4) are collected and posted as one SAMPLES message with
+//   transferred buffers.
+
+const WRITE_INDEX = 0;
+const READ_INDEX = 1;
+const CHANNEL_COUNT = 2;
+const DROPPED_FRAMES = 3;
+const BLOCK_WRITE_INDEX = 4;
+const BLOCK_READ_INDEX = 5;
 
 class SampleProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
+    const opts = (options && options.processorOptions) || {};
+    if (opts.ring) {
+      // Shared ring buffer transport
+      this.header = new Int32Array(opts.ring.header);
+      this.blocks = new Float64Array(opts.ring.blocks);
+      this.blockSlots = opts.ring.blockSlots;
+      this.capacity = opts.ring.capacity;
+      this.maxChannels = opts.ring.maxChannels;
+      this.data = [];
+      for (let ch = 0; ch < this.maxChannels; ch++) {
+        this.data.push(new Float32Array(opts.ring.data, ch * this.capacity * 4, this.capacity));
+      }
+    } else {
+      // Batched postMessage transport
+      this.batchQuanta = opts.batchQuanta || 4;
+      this.batch = null;
+      this.batchFrames = 0;
+      this.batchTimestamp = 0;
+      this.batchFrame = 0;
+    }
+
     // Port to communicate with main thread
     this.port.onmessage = (event) => {
       if (event.data.type === 'INIT') {
@@ -15,25 +59,98 @@ class SampleProcessor extends AudioWorkletProcessor {
   process(inputs, outputs, parameters) {
     // Inputs is a 2D array: inputs[inputIndex][channelIndex] = Float32Array of samples
     const input = inputs[0]; // First input (microphone/audio source)
-    
+
     if (input && input.length > 0) {
-      // Send all channel data to main thread
-      const channelData = [];
-      for (let ch = 0; ch < input.length; ch++) {
-        // Copy the samples to avoid sharing across renders
-        channelData.push(new Float32Array(input[ch]));
+      if (this.header) {
+        this.writeRing(input);
+      } else {
+        this.writeBatch(input);
       }
-      
-      this.port.postMessage({
-        type: 'SAMPLES',
-        channels: channelData,
-        timestamp: currentTime
-      });
-    }
-    
+    }
+
     // Return false to auto-process; return true to keep alive
     return true;
   }
+
+  writeRing(input) {
+    const frames = input[0].length;
+    const cap = this.capacity;
+    const write = Atomics.load(this.header, WRITE_INDEX);
+    const read = Atomics.load(this.header, READ_INDEX);
+    const blockWrite = Atomics.load(this.header, BLOCK_WRITE_INDEX);
+    const blockRead = Atomics.load(this.header, BLOCK_READ_INDEX);
+    // Keep one slot empty so write === read always means "empty"
+    const free = cap - 1 - ((write - read + cap) % cap);
+    const freeBlocks = this.blockSlots - 1 -
+      ((blockWrite - blockRead + this.blockSlots) % this.blockSlots);
+    if (free < frames || freeBlocks < 1) {
+      // Main thread is not keeping up; drop this block and count it
+      Atomics.add(this.header, DROPPED_FRAMES, frames);
+      return;
+    }
+
+    const numChannels = Math.min(input.length, this.maxChannels);
+    const firstPart = Math.min(frames, cap - write);
+    for (let ch = 0; ch < numChannels; ch++) {
+      const src = input[ch];
+      this.data[ch].set(firstPart < frames ? src.subarray(0, firstPart) : src, write);
+      if (firstPart < frames) {
+        this.data[ch].set(src.subarray(firstPart), 0);
+      }
+    }
+    this.blocks[blockWrite * 2] = currentFrame;
+    this.blocks[blockWrite * 2 + 1] = frames;
+    Atomics.store(this.header, CHANNEL_COUNT, numChannels);
+    // Publish the samples only after they have been fully written, and the
+    // block record last, so a reader that sees the record sees its samples
+    Atomics.store(this.header, WRITE_INDEX, (write + frames) % cap);
+    Atomics.store(this.header, BLOCK_WRITE_INDEX, (blockWrite + 1) % this.blockSlots);
+  }
+
+  writeBatch(input) {
+    const frames = input[0].length;
+    if (this.batch && (this.batch.length !== input.length ||
+                       this.batchFrame + this.batchFrames !== currentFrame)) {
+      // Channel layout changed or quanta were skipped; send what we have
+      // before starting over
+      this.flushBatch();
+    }
+    if (!this.batch) {
+      this.batch = [];
+      for (let ch = 0; ch < input.length; ch++) {
+        this.batch.push(new Float32Array(frames * this.batchQuanta));
+      }
+      this.batchFrames = 0;
+      this.batchTimestamp = currentTime;
+      this.batchFrame = currentFrame;
+    }
+    if (this.batchFrames + frames > this.batch[0].length) {
+      this.flushBatch();
+      this.writeBatch(input);
+      return;
+    }
+    for (let ch = 0; ch < input.length; ch++) {
+      // Copy the samples to avoid sharing across renders
+      this.batch[ch].set(input[ch], this.batchFrames);
+    }
+    this.batchFrames += frames;
+    if (this.batchFrames === this.batch[0].length) {
+      this.flushBatch();
+    }
+  }
+
+  flushBatch() {
+    if (!this.batch) return;
+    const channelData = this.batch.map((ch) => ch.subarray(0, this.batchFrames));
+    this.port.postMessage({
+      type: 'SAMPLES',
+      channels: channelData,
+      timestamp: this.batchTimestamp,
+      frame: this.batchFrame
+    }, this.batch.map((ch) => ch.buffer));
+    this.batch = null;
+    this.batchFrames = 0;
+  }
 }
 
 registerProcessor('sample-processor', SampleProcessor);